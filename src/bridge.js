@@ -0,0 +1,44 @@
+const { BridgeCore } = require('fcecom-bridge-commons');
+const path = require('path');
+const accessLog = require('./utils/access-log');
+const logger = require('./utils/logger');
+const requestContext = require('./utils/request-context');
+const tenant = require('./utils/tenant');
+const { registerControllers } = require('./controllers');
+
+/**
+ * Starts the bridge with the configuration of the environment variables.
+ *
+ * @param {number|string} port The port to listen on.
+ * @return {Promise<*>} The Express app of the bridge.
+ */
+const startBridge = async (port) => {
+    const { BRIDGE_AUTH_USERNAME, BRIDGE_AUTH_PASSWORD, CONN_MODE, SSL_KEY, SSL_CERT, LOG_LEVEL } = process.env;
+
+    const bridge = await BridgeCore({
+        username: BRIDGE_AUTH_USERNAME,
+        password: BRIDGE_AUTH_PASSWORD,
+        servicesDir: path.join(__dirname, 'service'),
+        port: port,
+        logLevel: LOG_LEVEL,
+        features: {
+            contentPages: true,
+            categoryTree: true
+        },
+        useSsl: CONN_MODE === 'HTTPS',
+        sslCert: SSL_CERT,
+        sslKey: SSL_KEY
+    });
+    logger.installCommonsLogger();
+    const app = bridge.getAppInstance();
+    // The handlers are wrapped from the inside out, so the request context is available while selecting the tenant and logging
+    tenant.attach(app);
+    accessLog.attach(app);
+    requestContext.attach(app);
+    registerControllers(app);
+    return app;
+};
+
+module.exports = {
+    startBridge
+};
@@ -0,0 +1,66 @@
+const net = require('net');
+const { startTestBridge } = require('./utils/testBridge');
+
+/**
+ * Returns a port no server listens on, as the configuration of the server does not accept port 0.
+ *
+ * @return {Promise<number>} The free port.
+ */
+const findFreePort = () =>
+    new Promise((resolve) => {
+        const server = net.createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+
+describe('bridge', () => {
+    let bridge;
+
+    beforeAll(async () => {
+        Object.assign(process.env, {
+            PORT: String(await findFreePort()),
+            LOG_LEVEL: 'DEBUG',
+            LOG_FORMAT: 'json',
+            OAUTH_TOKEN_URL: 'http://127.0.0.1:9/authorizationserver/oauth/token',
+            OCC_BASE_URL: 'http://127.0.0.1:9',
+            CMS_BASE_URL: 'http://127.0.0.1:9',
+            CLIENT_ID: 'client',
+            API_USERNAME: 'api',
+            API_PASSWORD: 'api-password',
+            TEMPLATE_MAPPING_FILE: 'unused/template-mapping.json',
+            DELETED_PAGES_FILE: 'unused/deleted-pages.json'
+        });
+        // The modules are loaded in the order of `server.js`, the logger of the bridge commons is created afterwards by BridgeCore
+        jest.resetModules();
+        bridge = await startTestBridge(() => require('../server'));
+    });
+    afterAll(() => {
+        bridge.close();
+        ['PORT', 'LOG_LEVEL', 'LOG_FORMAT'].forEach((name) => delete process.env[name]);
+    });
+    beforeEach(() => {
+        console.debug = jest.fn();
+        console.info = jest.fn();
+        console.error = jest.fn();
+    });
+
+    it('redacts and formats the log entries of the bridge commons', async () => {
+        const response = await bridge.request(
+            'PUT',
+            '/api/content/page',
+            { template: 'unknown', pageUid: 'page', password: 'n1mda' },
+            { 'x-request-id': 'request-1' }
+        );
+
+        expect(response.status).toEqual(400);
+        const entries = [...console.debug.mock.calls, ...console.error.mock.calls].map(([line]) => JSON.parse(line));
+        expect(entries).toEqual(
+            expect.arrayContaining([
+                expect.objectContaining({ level: 'DEBUG', logger: 'Content', requestId: 'request-1' }),
+                expect.objectContaining({ level: 'ERROR', logger: 'errorUtils', requestId: 'request-1' })
+            ])
+        );
+        expect(JSON.stringify(entries)).not.toContain('n1mda');
+    });
+});
@@ -0,0 +1,75 @@
+const { getNumber } = require('fcecom-bridge-commons');
+const { extractParameters, writeJson, handleError } = require('../utils/controller-utils');
+const logger = require('../utils/logger');
+
+const LOGGING_NAME = 'Content';
+
+module.exports = function (service) {
+    const contentContentIdReleaseGet = async function contentContentIdReleaseGet(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /content/${req.params.contentId}/release`);
+        try {
+            const response = await service.contentContentIdReleaseGet(req.params.contentId);
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const contentContentIdReleasePost = async function contentContentIdReleasePost(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /content/${req.params.contentId}/release`);
+        try {
+            const response = await service.contentContentIdReleasePost(req.params.contentId);
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const contentContentIdRestorePost = async function contentContentIdRestorePost(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /content/${req.params.contentId}/restore`);
+        try {
+            const response = await service.contentContentIdRestorePost(req.params.contentId);
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const contentDeletedGet = async function contentDeletedGet(req, res) {
+        logger.logDebug(
+            LOGGING_NAME,
+            `Received ${req.method} request on /content/deleted with parameters ${JSON.stringify({ ...req.query })}`
+        );
+        try {
+            let { lang, page } = extractParameters(req.query);
+            page = page && getNumber(page, 'page');
+            const response = await service.contentDeletedGet(lang, page);
+            res.set({ 'X-Total': response.total, 'X-HasNext': response.hasNext });
+            writeJson(res, response.content);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const contentContentIdSlotsGet = async function contentContentIdSlotsGet(req, res) {
+        logger.logDebug(
+            LOGGING_NAME,
+            `Received ${req.method} request on /content/${req.params.contentId}/slots with parameters ${JSON.stringify({ ...req.query })}`
+        );
+        try {
+            const { lang } = extractParameters(req.query);
+            const response = await service.contentContentIdSlotsGet(req.params.contentId, lang);
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    return {
+        contentContentIdSlotsGet,
+        contentContentIdRestorePost,
+        contentDeletedGet,
+        contentContentIdReleaseGet,
+        contentContentIdReleasePost
+    };
+};
@@ -0,0 +1,126 @@
+const express = require('express');
+const { ShopError } = require('fcecom-bridge-commons');
+const service = require('../service/ContentService');
+const { registerControllers } = require('./index');
+const { startTestApp } = require('../utils/testBridge');
+
+jest.mock('../service/ContentService');
+
+describe('Content', () => {
+    let app;
+
+    beforeAll(async () => {
+        const routes = express();
+        routes.use(express.json());
+        registerControllers(routes);
+        app = await startTestApp(routes);
+    });
+    afterAll(() => {
+        app.close();
+    });
+    beforeEach(() => {
+        console.debug = jest.fn();
+        console.error = jest.fn();
+    });
+
+    describe('GET /api/content/deleted', () => {
+        it('returns the deleted pages with their pagination headers', async () => {
+            const content = [{ id: 'page', label: 'Page', deletedBy: 'editor', deletedAt: '2026-10-19T12:00:00.000Z' }];
+            service.contentDeletedGet.mockResolvedValue({ content, total: 21, hasNext: true });
+
+            const response = await app.request('GET', '/api/content/deleted?lang=de&page=2');
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: content }));
+            expect(response.headers.get('x-total')).toEqual('21');
+            expect(response.headers.get('x-hasnext')).toEqual('true');
+            expect(service.contentDeletedGet).toHaveBeenCalledWith('de', 2);
+        });
+        it('rejects invalid pages', async () => {
+            const response = await app.request('GET', '/api/content/deleted?page=first');
+
+            expect(response).toEqual(expect.objectContaining({ status: 400, body: { error: '"page" is not a number' } }));
+            expect(service.contentDeletedGet).not.toHaveBeenCalled();
+        });
+    });
+    describe('POST /api/content/:contentId/restore', () => {
+        it('restores the page', async () => {
+            service.contentContentIdRestorePost.mockResolvedValue({ id: 'page' });
+
+            const response = await app.request('POST', '/api/content/page/restore');
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: { id: 'page' } }));
+            expect(service.contentContentIdRestorePost).toHaveBeenCalledWith('page');
+        });
+        it('answers unknown pages with status 404', async () => {
+            service.contentContentIdRestorePost.mockRejectedValue({ error: true, data: 'Content page unknown not found', status: 404 });
+
+            const response = await app.request('POST', '/api/content/unknown/restore');
+
+            expect(response).toEqual(expect.objectContaining({ status: 404, body: { error: 'Content page unknown not found' } }));
+        });
+    });
+    describe('GET /api/content/:contentId/slots', () => {
+        it('returns the template and slots of the page in the requested language', async () => {
+            const page = { id: 'page', template: { uid: 'LandingPage2Template' }, slots: [{ uid: 'Section1Slot', components: [] }] };
+            service.contentContentIdSlotsGet.mockResolvedValue(page);
+
+            const response = await app.request('GET', '/api/content/page/slots?lang=de');
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: page }));
+            expect(service.contentContentIdSlotsGet).toHaveBeenCalledWith('page', 'de');
+        });
+        it('leaves the language to the service if none is requested', async () => {
+            service.contentContentIdSlotsGet.mockResolvedValue({ id: 'page', slots: [] });
+
+            await app.request('GET', '/api/content/page/slots?lang=');
+
+            expect(service.contentContentIdSlotsGet).toHaveBeenCalledWith('page', undefined);
+        });
+        it('answers errors of SAP Commerce with status 500', async () => {
+            service.contentContentIdSlotsGet.mockRejectedValue(new ShopError('Service Unavailable'));
+
+            const response = await app.request('GET', '/api/content/page/slots');
+
+            expect(response).toEqual(expect.objectContaining({ status: 500, body: { error: 'Service Unavailable' } }));
+        });
+    });
+    describe('GET /api/content/:contentId/release', () => {
+        it('returns the release status of the page', async () => {
+            const status = { id: 'page', status: 'NOT_SYNC', dependencies: [] };
+            service.contentContentIdReleaseGet.mockResolvedValue(status);
+
+            const response = await app.request('GET', '/api/content/page/release');
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: status }));
+            expect(service.contentContentIdReleaseGet).toHaveBeenCalledWith('page');
+        });
+        it('requires the credentials of the bridge', async () => {
+            const response = await app.request('GET', '/api/content/page/release', undefined, { authorization: 'Basic invalid' });
+
+            expect(response.status).toEqual(401);
+            expect(service.contentContentIdReleaseGet).not.toHaveBeenCalled();
+        });
+    });
+    describe('POST /api/content/:contentId/release', () => {
+        it('releases the page', async () => {
+            const status = { id: 'page', status: 'IN_SYNC', dependencies: [] };
+            service.contentContentIdReleasePost.mockResolvedValue(status);
+
+            const response = await app.request('POST', '/api/content/page/release');
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: status }));
+            expect(service.contentContentIdReleasePost).toHaveBeenCalledWith('page');
+        });
+        it('answers with the status of the error of the service', async () => {
+            service.contentContentIdReleasePost.mockRejectedValue({
+                error: true,
+                data: 'Content page page cannot be released',
+                status: 409
+            });
+
+            const response = await app.request('POST', '/api/content/page/release');
+
+            expect(response).toEqual(expect.objectContaining({ status: 409, body: { error: 'Content page page cannot be released' } }));
+        });
+    });
+});
@@ -0,0 +1,24 @@
+const { extractParameters, writeJson, handleError } = require('../utils/controller-utils');
+const logger = require('../utils/logger');
+
+const LOGGING_NAME = 'Products';
+
+module.exports = function (service) {
+    const productsFacetsGet = async function productsFacetsGet(req, res) {
+        logger.logDebug(
+            LOGGING_NAME,
+            `Received ${req.method} request on /products/facets with parameters ${JSON.stringify({ ...req.query })}`
+        );
+        try {
+            const { categoryId, q, lang } = extractParameters(req.query);
+            const response = await service.productsFacetsGet(categoryId, q, lang);
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    return {
+        productsFacetsGet
+    };
+};
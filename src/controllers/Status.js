@@ -0,0 +1,54 @@
+const { writeJson, handleError } = require('../utils/controller-utils');
+const logger = require('../utils/logger');
+const { isAuthenticated } = require('./index');
+
+const LOGGING_NAME = 'Status';
+
+module.exports = function (service) {
+    const liveGet = async function liveGet(req, res) {
+        try {
+            const response = await service.liveGet();
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const readyGet = async function readyGet(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /health/ready`);
+        try {
+            const response = await service.readyGet();
+            // Load balancers and orchestrators only evaluate the status code, the checks reveal the SAP Commerce configuration
+            const body = isAuthenticated(req) ? response : { status: response.status };
+            writeJson(res, body, response.status === 'UP' ? 200 : 503);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const upstreamsGet = async function upstreamsGet(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /status/upstreams`);
+        try {
+            const response = await service.upstreamsGet();
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const metricsGet = async function metricsGet(req, res) {
+        try {
+            const { contentType, metrics } = await service.metricsGet();
+            res.set('Content-Type', contentType).send(metrics);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    return {
+        liveGet,
+        readyGet,
+        upstreamsGet,
+        metricsGet
+    };
+};
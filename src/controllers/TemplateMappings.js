@@ -0,0 +1,56 @@
+const { writeJson, handleError } = require('../utils/controller-utils');
+const logger = require('../utils/logger');
+
+const LOGGING_NAME = 'TemplateMappings';
+
+module.exports = function (service) {
+    const templateMappingsGet = async function templateMappingsGet(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /template-mappings`);
+        try {
+            const response = await service.templateMappingsGet();
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const templateMappingsPost = async function templateMappingsPost(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /template-mappings with body ${JSON.stringify(req.body)}`);
+        try {
+            const response = await service.templateMappingsPost(req.body);
+            writeJson(res, response, 201);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const templateMappingsTemplatePut = async function templateMappingsTemplatePut(req, res) {
+        logger.logDebug(
+            LOGGING_NAME,
+            `Received ${req.method} request on /template-mappings/${req.params.template} with body ${JSON.stringify(req.body)}`
+        );
+        try {
+            const response = await service.templateMappingsTemplatePut(req.params.template, req.body);
+            writeJson(res, response);
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    const templateMappingsTemplateDelete = async function templateMappingsTemplateDelete(req, res) {
+        logger.logDebug(LOGGING_NAME, `Received ${req.method} request on /template-mappings/${req.params.template}`);
+        try {
+            await service.templateMappingsTemplateDelete(req.params.template);
+            res.status(204).end();
+        } catch (err) {
+            handleError(res, err);
+        }
+    };
+
+    return {
+        templateMappingsGet,
+        templateMappingsPost,
+        templateMappingsTemplatePut,
+        templateMappingsTemplateDelete
+    };
+};
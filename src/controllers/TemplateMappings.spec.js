@@ -0,0 +1,93 @@
+const express = require('express');
+const { BodyValidationError } = require('fcecom-bridge-commons');
+const service = require('../service/TemplateMappingService');
+const { registerControllers } = require('./index');
+const { startTestApp } = require('../utils/testBridge');
+
+jest.mock('../service/TemplateMappingService');
+
+describe('TemplateMappings', () => {
+    const mapping = { template: 'landingpage', sapTemplate: 'LandingPage2Template' };
+    let app;
+
+    beforeAll(async () => {
+        const routes = express();
+        routes.use(express.json());
+        registerControllers(routes);
+        app = await startTestApp(routes);
+    });
+    afterAll(() => {
+        app.close();
+    });
+    beforeEach(() => {
+        console.debug = jest.fn();
+        console.error = jest.fn();
+    });
+
+    describe('GET /api/template-mappings', () => {
+        it('returns the mapped templates', async () => {
+            service.templateMappingsGet.mockResolvedValue([mapping]);
+
+            const response = await app.request('GET', '/api/template-mappings');
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: [mapping] }));
+        });
+        it('requires the credentials of the bridge', async () => {
+            const response = await app.request('GET', '/api/template-mappings', undefined, { authorization: 'Basic invalid' });
+
+            expect(response.status).toEqual(401);
+            expect(service.templateMappingsGet).not.toHaveBeenCalled();
+        });
+    });
+    describe('POST /api/template-mappings', () => {
+        it('adds the mapping and answers with status 201', async () => {
+            service.templateMappingsPost.mockResolvedValue(mapping);
+
+            const response = await app.request('POST', '/api/template-mappings', mapping);
+
+            expect(response).toEqual(expect.objectContaining({ status: 201, body: mapping }));
+            expect(service.templateMappingsPost).toHaveBeenCalledWith(mapping);
+        });
+        it('rejects invalid mappings with status 400', async () => {
+            const cause = [{ field: 'sapTemplate', cause: 'required' }];
+            service.templateMappingsPost.mockRejectedValue(new BodyValidationError('Invalid field in body', { cause }));
+
+            const response = await app.request('POST', '/api/template-mappings', { template: 'landingpage' });
+
+            expect(response).toEqual(expect.objectContaining({ status: 400, body: { error: cause } }));
+        });
+    });
+    describe('PUT /api/template-mappings/:template', () => {
+        it('changes the mapping of the template', async () => {
+            service.templateMappingsTemplatePut.mockResolvedValue(mapping);
+
+            const response = await app.request('PUT', '/api/template-mappings/landingpage', { sapTemplate: 'LandingPage2Template' });
+
+            expect(response).toEqual(expect.objectContaining({ status: 200, body: mapping }));
+            expect(service.templateMappingsTemplatePut).toHaveBeenCalledWith('landingpage', { sapTemplate: 'LandingPage2Template' });
+        });
+    });
+    describe('DELETE /api/template-mappings/:template', () => {
+        it('removes the mapping and answers with status 204', async () => {
+            service.templateMappingsTemplateDelete.mockResolvedValue();
+
+            const response = await app.request('DELETE', '/api/template-mappings/landingpage');
+
+            expect(response.status).toEqual(204);
+            expect(service.templateMappingsTemplateDelete).toHaveBeenCalledWith('landingpage');
+        });
+        it('answers unmapped templates with status 404', async () => {
+            service.templateMappingsTemplateDelete.mockRejectedValue({
+                error: true,
+                data: 'FirstSpirit template unknown is not mapped',
+                status: 404
+            });
+
+            const response = await app.request('DELETE', '/api/template-mappings/unknown');
+
+            expect(response).toEqual(
+                expect.objectContaining({ status: 404, body: { error: 'FirstSpirit template unknown is not mapped' } })
+            );
+        });
+    });
+});
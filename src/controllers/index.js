@@ -0,0 +1,68 @@
+const logger = require('../utils/logger');
+
+const LOGGING_NAME = 'controllers';
+
+const { BRIDGE_AUTH_USERNAME, BRIDGE_AUTH_PASSWORD } = process.env;
+
+/**
+ * Checks whether the given request is authenticated with the credentials of the bridge API.
+ *
+ * @param {*} req The incoming request.
+ * @return {boolean} True if the request is authenticated.
+ */
+const isAuthenticated = (req) => {
+    const auth = `${BRIDGE_AUTH_USERNAME}:${BRIDGE_AUTH_PASSWORD}`;
+    return req.headers.authorization === `Basic ${Buffer.from(auth).toString('base64')}`;
+};
+
+/**
+ * Express middleware that protects the additional endpoints with the same Basic authentication as the bridge API.
+ */
+const basicAuth = (req, res, next) => {
+    if (isAuthenticated(req)) {
+        return next();
+    }
+
+    res.set('WWW-Authenticate', 'Basic realm="401"');
+    res.status(401).json({ error: 'Authentication required.' });
+};
+
+/**
+ * Registers the endpoints this bridge provides in addition to the bridge API.
+ *
+ * @param {*} app The Express app instance as returned by `BridgeCore().getAppInstance()`.
+ */
+const registerControllers = (app) => {
+    const content = require('./Content')(require('../service/ContentService'));
+    const products = require('./Products')(require('../service/ProductsService'));
+    const status = require('./Status')(require('../service/StatusService'));
+    const templateMappings = require('./TemplateMappings')(require('../service/TemplateMappingService'));
+
+    const routes = [
+        ['get', '/api/content/deleted', basicAuth, content.contentDeletedGet],
+        ['get', '/api/content/:contentId/slots', basicAuth, content.contentContentIdSlotsGet],
+        ['post', '/api/content/:contentId/restore', basicAuth, content.contentContentIdRestorePost],
+        ['get', '/api/content/:contentId/release', basicAuth, content.contentContentIdReleaseGet],
+        ['post', '/api/content/:contentId/release', basicAuth, content.contentContentIdReleasePost],
+        ['get', '/api/products/facets', basicAuth, products.productsFacetsGet],
+        ['get', '/api/status/upstreams', basicAuth, status.upstreamsGet],
+        ['get', '/api/template-mappings', basicAuth, templateMappings.templateMappingsGet],
+        ['post', '/api/template-mappings', basicAuth, templateMappings.templateMappingsPost],
+        ['put', '/api/template-mappings/:template', basicAuth, templateMappings.templateMappingsTemplatePut],
+        ['delete', '/api/template-mappings/:template', basicAuth, templateMappings.templateMappingsTemplateDelete],
+        ['get', '/health/live', status.liveGet],
+        ['get', '/health/ready', status.readyGet],
+        ['get', '/metrics', basicAuth, status.metricsGet]
+    ];
+
+    routes.forEach(([method, route, ...handlers]) => {
+        app[method](route, ...handlers);
+        logger.logDebug(LOGGING_NAME, `Created route ${method.toUpperCase()} ${route}`);
+    });
+};
+
+module.exports = {
+    isAuthenticated,
+    basicAuth,
+    registerControllers
+};
@@ -0,0 +1,55 @@
+const { basicAuth, registerControllers } = require('./index');
+
+describe('controllers', () => {
+    describe('basicAuth()', () => {
+        const createResponse = () => {
+            const res = { set: jest.fn(), json: jest.fn() };
+            res.status = jest.fn(() => res);
+            return res;
+        };
+
+        it('accepts the configured bridge credentials', () => {
+            const auth = Buffer.from(`${process.env.BRIDGE_AUTH_USERNAME}:${process.env.BRIDGE_AUTH_PASSWORD}`).toString('base64');
+            const next = jest.fn();
+
+            basicAuth({ headers: { authorization: `Basic ${auth}` } }, createResponse(), next);
+
+            expect(next).toHaveBeenCalled();
+        });
+        it('rejects invalid credentials', () => {
+            const res = createResponse();
+            const next = jest.fn();
+
+            basicAuth({ headers: { authorization: `Basic ${Buffer.from('john:doe').toString('base64')}` } }, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+    });
+    describe('registerControllers()', () => {
+        it('registers the additional endpoints', () => {
+            const app = { get: jest.fn(), post: jest.fn(), put: jest.fn(), delete: jest.fn() };
+
+            registerControllers(app);
+
+            expect(app.post.mock.calls.map(([route]) => route)).toEqual([
+                '/api/content/:contentId/restore',
+                '/api/content/:contentId/release',
+                '/api/template-mappings'
+            ]);
+            expect(app.put.mock.calls.map(([route]) => route)).toEqual(['/api/template-mappings/:template']);
+            expect(app.delete.mock.calls.map(([route]) => route)).toEqual(['/api/template-mappings/:template']);
+            expect(app.get.mock.calls.map(([route]) => route)).toEqual([
+                '/api/content/deleted',
+                '/api/content/:contentId/slots',
+                '/api/content/:contentId/release',
+                '/api/products/facets',
+                '/api/status/upstreams',
+                '/api/template-mappings',
+                '/health/live',
+                '/health/ready',
+                '/metrics'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,435 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const categoryData = require('../service/CategoriesService.spec.data');
+const contentData = require('../service/ContentService.spec.data');
+const productData = require('../service/ProductsService.spec.data');
+
+const LOGGING_NAME = 'sap-mock';
+
+const { MOCK_PORT = 3001 } = process.env;
+
+const LANGUAGES = ['en', 'de'];
+const PAGE_TEMPLATES = ['LandingPage2Template', 'ProductDetailsPageTemplate', 'CategoryPageTemplate'];
+
+/**
+ * Creates the UUID of a CMS item the way SAP Commerce does, as Base64 encoded JSON of the item ID and its catalog version.
+ *
+ * @param {string} itemId The UID of the item.
+ * @param {string} catalogVersion The catalog version of the item as `catalogId/version`.
+ * @return {string} The UUID of the item.
+ */
+const createUuid = (itemId, catalogVersion) => {
+    const [catalogId, version] = `${catalogVersion}`.split('/');
+    return Buffer.from(JSON.stringify({ itemId, catalogId, catalogVersion: version })).toString('base64');
+};
+
+/**
+ * Creates the initial CMS items of the mock, consisting of the content pages of the fixtures, their content slots and components and the
+ * page templates.
+ *
+ * @return {Map<string, *>} The CMS items by UUID.
+ */
+const createCmsItems = () => {
+    const { catalogVersion } = contentData.contentPagesGet.response[0];
+    const createItem = (uid, typeCode, fields) => ({
+        uuid: createUuid(uid, catalogVersion),
+        uid,
+        name: uid,
+        catalogVersion,
+        itemtype: typeCode,
+        typeCode,
+        ...fields
+    });
+    const templates = PAGE_TEMPLATES.map((uid) => createItem(uid, 'PageTemplate'));
+    // The fixtures do not contain the localized titles, slots and components, they are derived from the page names
+    const components = contentData.contentPagesGet.response.map(({ name }) =>
+        createItem(`${name}Paragraph`, 'CMSParagraphComponent', { visible: true, content: { en: `<p>${name}</p>` } })
+    );
+    const slots = contentData.contentPagesGet.response.map(({ name }, index) =>
+        createItem(`Section1Slot-${name}`, 'ContentSlot', { active: true, position: 'Section1', cmsComponents: [components[index].uuid] })
+    );
+    const pages = contentData.contentPagesGet.response.map((page, index) => ({
+        ...page,
+        title: Object.fromEntries(LANGUAGES.map((lang) => [lang, page.name])),
+        contentSlots: [slots[index].uuid]
+    }));
+    return new Map([...templates, ...pages, ...slots, ...components].map((item) => [item.uuid, item]));
+};
+
+/**
+ * Sends an error in the format of the SAP Commerce webservices.
+ *
+ * @param {*} res The response to send the error with.
+ * @param {number} status The HTTP status code.
+ * @param {*} error The error, merged into the first entry of `errors`.
+ */
+const sendError = (res, status, error) => res.status(status).json({ errors: [error] });
+
+/**
+ * Returns the requested page of the given items together with its pagination.
+ *
+ * @param {any[]} items The items to paginate.
+ * @param {*} query The query of the request containing `currentPage` and `pageSize`.
+ * @return {{items: any[], currentPage: number, pageSize: number, totalResults: number, totalPages: number}} The page.
+ */
+const paginateItems = (items, { currentPage = 0, pageSize = 20 }) => {
+    currentPage = Number(currentPage) || 0;
+    pageSize = Number(pageSize) || 20;
+    return {
+        items: items.slice(currentPage * pageSize, (currentPage + 1) * pageSize),
+        currentPage,
+        pageSize,
+        totalResults: items.length,
+        totalPages: Math.ceil(items.length / pageSize)
+    };
+};
+
+/**
+ * Searches the products of the fixtures by an OCC search query of the form `keyword:sort:facetKey:facetValue:...`.
+ * Only the `code` facet is evaluated, other facets are ignored. SAP Commerce does not document how several values of a facet are
+ * combined, so the mock only returns products matching every `code` filter.
+ *
+ * @param {string} [query] The OCC search query.
+ * @return {any[]} The matching products.
+ */
+const searchProducts = (query = '') => {
+    const [keyword, sort, ...segments] = query.split(':');
+    const codes = segments.filter((segment, index) => index % 2 === 1 && segments[index - 1] === 'code');
+    const products = productData.fetchProducts.products.filter(
+        ({ code, name }) => codes.every((filter) => filter === code) && (!keyword || name.toLowerCase().includes(keyword.toLowerCase()))
+    );
+    if (sort === 'name-asc' || sort === 'name-desc') {
+        products.sort((a, b) => a.name.localeCompare(b.name) * (sort === 'name-asc' ? 1 : -1));
+    }
+    return products;
+};
+
+/**
+ * Creates a stand-in for the SAP Commerce OCC and CMS webservices that serves the fixtures of the service tests.
+ * It provides the OAuth token endpoint, the OCC catalog, language and product endpoints and the CMS `/cmsitems` and page synchronization
+ * endpoints.
+ * Content pages created, changed, deleted or synchronized through the mock are kept in memory.
+ * All issued tokens can be revoked with `app.revokeTokens()` to simulate expired tokens.
+ * Failures of the upstream are simulated with `app.simulate(...responses)`: the next OCC and CMS requests are delayed by the given `delay` in
+ * milliseconds and, if a `status` is given, answered with an error with that status and the given `headers`, in order.
+ * The maximum number of requests handled in parallel since the last call is returned by `app.getMaxParallelRequests()`.
+ *
+ * @param {{occPath: string, cmsPath: string, expiresIn: number, catalogVersions: string[]}} [options] The paths of the OCC and CMS
+ * webservices, the lifetime of the tokens in seconds and the versions that exist for every catalog.
+ * @return {*} The Express app of the mock.
+ */
+const createMockServer = ({
+    occPath = '/occ/v2/',
+    cmsPath = '/cmswebservices/v1/sites/',
+    expiresIn = 3600,
+    catalogVersions = ['Staged', 'Online']
+} = {}) => {
+    const app = express();
+    const cmsItems = createCmsItems();
+    const accessTokens = new Set();
+    const refreshTokens = new Set();
+    const simulatedResponses = [];
+    // Changes of the content pages are counted to tell whether an item changed since its last synchronization
+    const revisions = new Map();
+    const syncs = new Map();
+    let changeCount = 0;
+    let tokenCount = 0;
+    let parallelRequests = 0;
+    let maxParallelRequests = 0;
+
+    app.revokeTokens = () => accessTokens.clear();
+    app.simulate = (...responses) => simulatedResponses.push(...responses);
+    app.getMaxParallelRequests = () => {
+        const result = maxParallelRequests;
+        maxParallelRequests = parallelRequests;
+        return result;
+    };
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+    app.use((req, res, next) => {
+        logger.logDebug(LOGGING_NAME, `${req.method} ${req.url}`);
+        next();
+    });
+
+    app.post('*/oauth/token', (req, res) => {
+        const { grant_type: grantType, refresh_token: refreshToken } = req.body;
+        if (!['password', 'client_credentials', 'refresh_token'].includes(grantType)) {
+            return res.status(400).json({ error: 'unsupported_grant_type', error_description: `Unsupported grant type: ${grantType}` });
+        }
+        if (grantType === 'refresh_token' && !refreshTokens.delete(refreshToken)) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: `Invalid refresh token: ${refreshToken}` });
+        }
+        const token = {
+            access_token: `mock-access-token-${++tokenCount}`,
+            token_type: 'bearer',
+            expires_in: expiresIn,
+            scope: 'basic openid'
+        };
+        accessTokens.add(token.access_token);
+        if (grantType !== 'client_credentials') {
+            token.refresh_token = `mock-refresh-token-${tokenCount}`;
+            refreshTokens.add(token.refresh_token);
+        }
+        res.json(token);
+    });
+
+    app.use([occPath, cmsPath], (req, res, next) => {
+        maxParallelRequests = Math.max(maxParallelRequests, ++parallelRequests);
+        res.on('close', () => parallelRequests--);
+        const [, accessToken] = /^Bearer (.*)$/.exec(req.headers.authorization || '') || [];
+        if (!accessTokens.has(accessToken)) {
+            return sendError(res, 401, { type: 'InvalidTokenError', message: 'Invalid access token' });
+        }
+        if (simulatedResponses.length) {
+            const { delay = 0, status, headers = {} } = simulatedResponses.shift();
+            return setTimeout(
+                () =>
+                    status
+                        ? sendError(res.set(headers), status, { type: 'SimulatedError', message: `Simulated error with status ${status}` })
+                        : next(),
+                delay
+            );
+        }
+        next();
+    });
+
+    app.get(`${occPath}:baseSiteId/catalogs/:catalogId/:catalogVersion`, (req, res) => {
+        const { catalogId, catalogVersion } = req.params;
+        if (!catalogVersions.includes(catalogVersion)) {
+            return sendError(res, 400, {
+                type: 'UnknownIdentifierError',
+                message: `Catalog version '${catalogId}:${catalogVersion}' not found!`
+            });
+        }
+        res.json({ id: req.params.catalogVersion, categories: categoryData.categoriesGet.categories });
+    });
+
+    app.get(`${occPath}:baseSiteId/languages`, (req, res) => {
+        res.json({ languages: LANGUAGES.map((isocode) => ({ isocode, active: true })) });
+    });
+
+    app.get(`${occPath}:baseSiteId/products/search`, (req, res) => {
+        const { items, ...pagination } = paginateItems(searchProducts(req.query.query), req.query);
+        const { facets, sorts } = productData.searchFacets;
+        res.json({ products: items, pagination, facets, sorts });
+    });
+
+    app.get(`${occPath}:baseSiteId/products/:productCode`, (req, res) => {
+        const product = productData.fetchProducts.products.find(({ code }) => code === req.params.productCode);
+        if (!product) {
+            return sendError(res, 400, {
+                type: 'UnknownIdentifierError',
+                message: `Product with code '${req.params.productCode}' not found!`
+            });
+        }
+        res.json(product);
+    });
+
+    app.get(`${cmsPath}:baseSiteId/cmsitems`, (req, res) => {
+        const { typeCode, mask, itemSearchParams, catalogId, catalogVersion } = req.query;
+        if (catalogVersion && !catalogVersions.includes(catalogVersion)) {
+            return sendError(res, 400, {
+                type: 'UnknownIdentifierError',
+                message: `Catalog version '${catalogId}:${catalogVersion}' not found!`
+            });
+        }
+        // Search params are passed as `key:value` pairs separated by commas, e.g. `label:homepage,pageStatus:ACTIVE`
+        const searchParams = (itemSearchParams || '')
+            .split(',')
+            .filter(Boolean)
+            .map((param) => [param.slice(0, param.indexOf(':')), param.slice(param.indexOf(':') + 1)]);
+        const items = [...cmsItems.values()].filter(
+            (item) =>
+                (!typeCode || item.typeCode === typeCode) &&
+                (!mask || `${item.name} ${item.uid}`.toLowerCase().includes(mask.toLowerCase())) &&
+                searchParams.every(([key, value]) => item[key] === value)
+        );
+        const { items: response, currentPage, pageSize, totalResults, totalPages } = paginateItems(items, req.query);
+        res.json({ response, pagination: { count: response.length, page: currentPage, pageSize, totalCount: totalResults, totalPages } });
+    });
+
+    app.get(`${cmsPath}:baseSiteId/cmsitems/:uuid`, (req, res) => {
+        const item = cmsItems.get(req.params.uuid);
+        if (!item) {
+            return sendError(res, 404, { type: 'UnknownIdentifierError', message: `Item with uuid '${req.params.uuid}' not found` });
+        }
+        res.json(item);
+    });
+
+    const catalogVersionPath = `${cmsPath}:baseSiteId/catalogs/:catalogId/versions/:versionId`;
+
+    /**
+     * Resolves the content page given by the `pageId` query parameter and its content slots, the slots are kept on the page in the mock.
+     */
+    const resolvePageSlots = (req, res, next) => {
+        const page = [...cmsItems.values()].find((item) => item.typeCode === 'ContentPage' && item.uid === req.query.pageId);
+        if (!page) {
+            return sendError(res, 400, { type: 'UnknownIdentifierError', message: `Page with uid '${req.query.pageId}' not found` });
+        }
+        res.locals.page = page;
+        res.locals.slots = (page.contentSlots || []).map((uuid) => cmsItems.get(uuid)).filter(Boolean);
+        next();
+    };
+
+    app.get(`${catalogVersionPath}/pagescontentslots`, resolvePageSlots, (req, res) => {
+        const { page, slots } = res.locals;
+        res.json({
+            pageContentSlotList: slots.map((slot) => ({
+                pageId: page.uid,
+                position: slot.position,
+                slotId: slot.uid,
+                slotShared: false,
+                slotStatus: 'PAGE'
+            }))
+        });
+    });
+
+    app.get(`${catalogVersionPath}/pagescontentslotscomponents`, resolvePageSlots, (req, res) => {
+        const { page, slots } = res.locals;
+        res.json({
+            pageContentSlotComponentList: slots.flatMap((slot) =>
+                (slot.cmsComponents || []).map((uuid, position) => ({
+                    componentId: cmsItems.get(uuid)?.uid,
+                    componentUuid: uuid,
+                    pageId: page.uid,
+                    position,
+                    slotId: slot.uid
+                }))
+            )
+        });
+    });
+
+    /**
+     * Validates a content page the way the CMS webservices do for the fields mapped by the bridge.
+     *
+     * @param {*} page The content page to validate.
+     * @param {string} [uuid] The UUID of the page if it already exists.
+     * @return {any[]} The validation errors.
+     */
+    const validatePage = (page, uuid) => {
+        const errors = [];
+        const templates = [...cmsItems.values()].filter(({ typeCode }) => typeCode === 'PageTemplate');
+        if (!page.uid) {
+            errors.push({ type: 'ValidationError', subject: 'uid', errorCode: 'field.required', message: 'Field is required' });
+        } else if ([...cmsItems.values()].some((item) => item.uid === page.uid && item.uuid !== uuid)) {
+            errors.push({ type: 'ValidationError', subject: 'uid', errorCode: 'field.already.exist', message: 'Field already exists' });
+        }
+        if (!templates.some((template) => [template.uuid, template.uid].includes(page.masterTemplate))) {
+            errors.push({ type: 'ValidationError', subject: 'masterTemplate', errorCode: 'field.invalid.uuid', message: 'Invalid UUID' });
+        }
+        return errors;
+    };
+
+    app.post(`${cmsPath}:baseSiteId/cmsitems`, (req, res) => {
+        const errors = validatePage(req.body);
+        if (errors.length) {
+            return res.status(400).json({ errors });
+        }
+        const now = new Date().toISOString();
+        const page = {
+            ...req.body,
+            uuid: createUuid(req.body.uid, req.body.catalogVersion),
+            typeCode: req.body.itemtype,
+            creationtime: now,
+            modifiedtime: now
+        };
+        revisions.set(page.uuid, { created: ++changeCount, modified: changeCount });
+        cmsItems.set(page.uuid, page);
+        res.status(201).json(page);
+    });
+
+    app.put(`${cmsPath}:baseSiteId/cmsitems/:uuid`, (req, res) => {
+        const { uuid } = req.params;
+        if (!cmsItems.has(uuid)) {
+            return sendError(res, 404, { type: 'UnknownIdentifierError', message: `Item with uuid '${uuid}' not found` });
+        }
+        const errors = validatePage(req.body, uuid);
+        if (errors.length) {
+            return res.status(400).json({ errors });
+        }
+        const page = { ...cmsItems.get(uuid), ...req.body, uuid, modifiedtime: new Date().toISOString() };
+        revisions.set(uuid, { created: 0, ...revisions.get(uuid), modified: ++changeCount });
+        cmsItems.set(uuid, page);
+        res.json(page);
+    });
+
+    app.delete(`${cmsPath}:baseSiteId/cmsitems/:uuid`, (req, res) => {
+        if (!cmsItems.delete(req.params.uuid)) {
+            return sendError(res, 404, { type: 'UnknownIdentifierError', message: `Item with uuid '${req.params.uuid}' not found` });
+        }
+        res.status(204).end();
+    });
+
+    /**
+     * Returns the items released together with the given page: the page itself and a content slot of its own.
+     *
+     * @param {*} page The content page.
+     * @return {{itemId: string, itemType: string, name: string, revision: number}[]} The page and its dependencies with their last change.
+     */
+    const getSyncItems = (page) => {
+        const { created, modified } = revisions.get(page.uuid) || { created: 0, modified: 0 };
+        return [
+            { itemId: page.uid, itemType: page.typeCode, name: page.name, revision: modified },
+            { itemId: `${page.uid}-Section1Slot`, itemType: 'ContentSlot', name: 'Section1 Slot', revision: created }
+        ];
+    };
+
+    /**
+     * Returns the synchronization status of the given item the way the CMS webservices do.
+     *
+     * @param {{itemId: string, itemType: string, name: string, revision: number}} item The item.
+     * @return {*} The synchronization status of the item.
+     */
+    const getSyncItemStatus = ({ itemId, itemType, name, revision }) => {
+        const sync = syncs.get(`${itemType}:${itemId}`);
+        return { itemId, itemType, name, status: sync?.revision >= revision ? 'IN_SYNC' : 'NOT_SYNC', lastSyncStatus: sync?.time };
+    };
+
+    const synchronizationPath = `${cmsPath}:baseSiteId/catalogs/:catalogId/versions/:versionId/synchronizations/versions/:targetId`;
+
+    /**
+     * Rejects synchronizations between unknown or identical catalog versions.
+     */
+    const validateSynchronization = (req, res, next) => {
+        const { catalogId, versionId, targetId } = req.params;
+        const unknown = [versionId, targetId].find((version) => !catalogVersions.includes(version));
+        if (unknown) {
+            return sendError(res, 400, { type: 'UnknownIdentifierError', message: `Catalog version '${catalogId}:${unknown}' not found!` });
+        }
+        if (versionId === targetId) {
+            return sendError(res, 400, { type: 'ValidationError', message: 'Source and target catalog version must differ' });
+        }
+        next();
+    };
+
+    app.get(`${synchronizationPath}/pages/:pageId`, validateSynchronization, (req, res) => {
+        const page = [...cmsItems.values()].find((item) => item.typeCode === 'ContentPage' && item.uid === req.params.pageId);
+        if (!page) {
+            return sendError(res, 400, { type: 'UnknownIdentifierError', message: `Page with uid '${req.params.pageId}' not found` });
+        }
+        const [pageStatus, ...dependencies] = getSyncItems(page).map(getSyncItemStatus);
+        res.json({ ...pageStatus, selectedDependencies: dependencies, sharedDependencies: [], unavailableDependencies: [] });
+    });
+
+    app.post(synchronizationPath, validateSynchronization, (req, res) => {
+        const sync = { time: Date.now(), revision: changeCount };
+        (req.body.items || []).forEach(({ itemId, itemType }) => syncs.set(`${itemType}:${itemId}`, sync));
+        res.status(204).end();
+    });
+
+    app.use((req, res) => sendError(res, 404, { type: 'NotFoundError', message: `No mock for ${req.method} ${req.path}` }));
+
+    return app;
+};
+
+if (require.main === module) {
+    const { OCC_PATH, CMS_PATH } = process.env;
+    createMockServer({ occPath: OCC_PATH || undefined, cmsPath: CMS_PATH || undefined }).listen(MOCK_PORT, () => {
+        logger.logInfo(LOGGING_NAME, `SAP Commerce mock is listening on port ${MOCK_PORT} (http://localhost:${MOCK_PORT})`);
+    });
+}
+
+module.exports = {
+    createMockServer
+};
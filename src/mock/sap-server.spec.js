@@ -0,0 +1,402 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockServer } = require('./sap-server');
+const { startTestBridge } = require('../utils/testBridge');
+
+describe('SAP Commerce mock', () => {
+    const mock = createMockServer();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sap-server-'));
+    let server;
+    let bridge;
+
+    /**
+     * Sends a request to the bridge and expects it to succeed.
+     *
+     * @param {string} method The HTTP method.
+     * @param {string} route The path and query of the request.
+     * @param {*} [body] The JSON body.
+     * @param {Object} [headers] Additional headers.
+     * @return {Promise<{status: number, headers: Headers, body: *}>} The response.
+     */
+    const send = async (method, route, body, headers) => {
+        const response = await bridge.request(method, route, body, headers);
+        if (response.status >= 300) {
+            throw new Error(`${method} ${route} failed with ${response.status} ${JSON.stringify(response.body)}`);
+        }
+        return response;
+    };
+
+    beforeAll(async () => {
+        server = await new Promise((resolve) => {
+            const listener = mock.listen(0, () => resolve(listener));
+        });
+        const url = `http://127.0.0.1:${server.address().port}`;
+        Object.assign(process.env, {
+            OAUTH_TOKEN_URL: `${url}/authorizationserver/oauth/token`,
+            OCC_BASE_URL: url,
+            CMS_BASE_URL: url,
+            OCC_PATH: '/occ/v2/',
+            CMS_PATH: '/cmswebservices/v1/sites/',
+            BASE_SITE_ID: 'electronics-spa',
+            CATALOG_ID: 'electronicsProductCatalog',
+            CATALOG_VERSION: 'Online',
+            CONTENT_CATALOG_ID: 'electronics-spaContentCatalog',
+            CONTENT_CATALOG_VERSION: 'Staged',
+            MEDIA_CDN_URL: 'https://media.example.com',
+            SAP_RETRY_BASE_DELAY: '1',
+            SAP_CMS_TIMEOUT: '200',
+            SAP_MAX_CONCURRENT_REQUESTS: '2',
+            CIRCUIT_BREAKER_THRESHOLD: '3',
+            DELETED_PAGES_FILE: path.join(dataDir, 'deleted-pages.json'),
+            TEMPLATE_MAPPING_FILE: path.join(dataDir, 'template-mapping.json')
+        });
+        // The bridge reads its configuration when it is loaded, so it is loaded once the mock is listening.
+        // It loads the controllers after BridgeCore has been created, so the modules are reset rather than isolated.
+        jest.resetModules();
+        bridge = await startTestBridge(() => require('../bridge').startBridge(0));
+    });
+    afterAll(() => {
+        bridge.close();
+        server.closeAllConnections();
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('OCC', () => {
+        it('serves the category catalog', async () => {
+            const { body, headers } = await send('GET', '/api/categories/tree?lang=en');
+
+            expect(body.map(({ id }) => id)).toEqual(['18', '20', '23']);
+            expect(headers.get('x-total')).toEqual('8');
+        });
+        it('retries requests rejected because of an invalid token', async () => {
+            mock.revokeTokens();
+
+            const { body } = await send('GET', '/api/storefront-url?type=product&id=450848&lang=en');
+
+            expect(body.url).toMatch(/\/p\/450848$/);
+        });
+        it('serves products by their IDs', async () => {
+            const { body } = await send('GET', '/api/products/ids/4769104,unknown,450848?lang=de');
+
+            expect(body.map(({ id }) => id)).toEqual(['4769104', '450848']);
+            expect(body[0].thumbnail).toMatch(/^https:\/\/media\.example\.com\/medias\//);
+        });
+        it('serves the product search', async () => {
+            const { body, headers } = await send('GET', '/api/products?q=battery%20charger&lang=en&page=1&sort=name-desc&pageSize=1');
+
+            expect(body).toEqual([expect.objectContaining({ id: '1312564' })]);
+            expect(headers.get('x-total')).toEqual('2');
+            expect(headers.get('x-hasnext')).toEqual('true');
+        });
+        it('serves the product URL', async () => {
+            const { body } = await send('GET', '/api/storefront-url?type=product&id=3965240&lang=en');
+
+            expect(body).toEqual({ url: '/Open-Catalogue/Components/Power-Supplies/Rechargeable-Batteries/NP-FV-70/p/3965240' });
+        });
+        it('rejects the URL of unknown products', async () => {
+            const { status } = await bridge.request('GET', '/api/storefront-url?type=product&id=unknown&lang=en');
+
+            expect(status).toEqual(404);
+        });
+    });
+    describe('CMS', () => {
+        const payload = {
+            template: 'landingpage',
+            released: true,
+            pageUid: 'mockpage',
+            label: { en: 'Mock page', de: 'Testseite' },
+            path: { en: 'mock-page', de: 'test-seite' }
+        };
+
+        it('serves the content pages', async () => {
+            const { body, headers } = await send('GET', '/api/content?q=testpage2&lang=en');
+
+            expect(body).toEqual([
+                {
+                    id: expect.any(String),
+                    label: 'TestPage2',
+                    extract: 'TestPage2',
+                    labels: { en: 'TestPage2', de: 'TestPage2' },
+                    robots: 'index, follow',
+                    homepage: false
+                }
+            ]);
+            expect(headers.get('x-total')).toEqual('1');
+            expect(headers.get('x-hasnext')).toEqual('false');
+        });
+        it('creates, changes and deletes content pages', async () => {
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', payload);
+            await send('PUT', `/api/content/${id}`, { ...payload, path: { en: 'moved-page' } });
+            const { body: content } = await send('GET', `/api/content/ids/${id}?lang=de`);
+            await send('DELETE', `/api/content/${id}`);
+            const { body: deleted } = await send('GET', `/api/content/ids/${id}?lang=de`);
+
+            expect(content).toEqual([{ id, label: 'Testseite', extract: 'moved-page', labels: payload.label, homepage: false }]);
+            expect(deleted).toEqual([]);
+        });
+        it('writes and returns the page metadata', async () => {
+            const metadata = {
+                description: { en: 'A page of the mock', de: 'Eine Seite des Mocks' },
+                keywords: { en: ['mock', 'page'], de: ['Mock', 'Seite'] },
+                robots: 'noindex, follow',
+                homepage: true
+            };
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', { ...payload, pageUid: 'metadata', path: { en: 'metadata' }, ...metadata });
+
+            const { body: content } = await send('GET', `/api/content/ids/${id}?lang=de`);
+
+            expect(content).toEqual([
+                expect.objectContaining({
+                    description: 'Eine Seite des Mocks',
+                    keywords: 'Mock, Seite',
+                    robots: 'noindex, follow',
+                    homepage: true
+                })
+            ]);
+        });
+        it('releases content pages with their dependencies', async () => {
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', { ...payload, pageUid: 'released', path: { en: 'released' } });
+
+            const { body: before } = await send('GET', `/api/content/${id}/release`);
+            const { body: released } = await send('POST', `/api/content/${id}/release`);
+            await send('PUT', `/api/content/${id}`, { ...payload, pageUid: 'released', path: { en: 'changed' } });
+            const { body: changed } = await send('GET', `/api/content/${id}/release`);
+
+            expect(before).toEqual({
+                id,
+                status: 'NOT_SYNC',
+                lastSync: null,
+                dependencies: [{ id: 'released-Section1Slot', type: 'ContentSlot', name: 'Section1 Slot', status: 'NOT_SYNC' }],
+                sharedDependencies: [],
+                unavailableDependencies: []
+            });
+            expect(released).toEqual(
+                expect.objectContaining({
+                    status: 'IN_SYNC',
+                    lastSync: expect.any(String),
+                    dependencies: [expect.objectContaining({ status: 'IN_SYNC' })]
+                })
+            );
+            expect(changed).toEqual(
+                expect.objectContaining({ status: 'NOT_SYNC', dependencies: [expect.objectContaining({ status: 'IN_SYNC' })] })
+            );
+        });
+        it('rejects the release of unknown content pages', async () => {
+            const { status } = await bridge.request('POST', '/api/content/unknown/release');
+
+            expect(status).toEqual(404);
+        });
+        it('restores deleted content pages', async () => {
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', { ...payload, pageUid: 'restored', path: { en: 'restored' } });
+
+            await send('DELETE', `/api/content/${id}`, undefined, { 'X-User': 'editor' });
+            const { body: deleted } = await send('GET', '/api/content/deleted?lang=en');
+            const { body: search } = await send('GET', '/api/content?q=restored&lang=en');
+            await send('POST', `/api/content/${id}/restore`);
+            const { body: restored } = await send('GET', `/api/content/ids/${id}?lang=en`);
+            const { body: deletedAfterRestore } = await send('GET', '/api/content/deleted?lang=en');
+
+            expect(deleted.find((page) => page.id === id)).toEqual(
+                expect.objectContaining({ extract: 'restored', deletedBy: 'editor', deletedAt: expect.any(String) })
+            );
+            expect(search).toEqual([]);
+            expect(restored).toEqual([expect.objectContaining({ id })]);
+            expect(deletedAfterRestore.map((page) => page.id)).not.toContain(id);
+        });
+        it('keeps content pages that are not released apart from deleted pages', async () => {
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', { ...payload, released: false, pageUid: 'unreleased', path: { en: 'unreleased' } });
+
+            const { body: content } = await send('GET', `/api/content/ids/${id}?lang=en`);
+            const { body: deleted } = await send('GET', '/api/content/deleted?lang=en');
+            await send('DELETE', `/api/content/${id}`);
+            await send('POST', `/api/content/${id}/restore`);
+            const { body: restored } = await send('GET', `/api/content/ids/${id}?lang=en`);
+            const { body: lookup } = await send('GET', '/api/lookup-url?url=unreleased&lang=en');
+
+            expect(content).toEqual([expect.objectContaining({ id })]);
+            expect(deleted.map((page) => page.id)).not.toContain(id);
+            expect(restored).toEqual([expect.objectContaining({ id })]);
+            expect(lookup).toEqual({ type: 'content', id });
+        });
+        it('creates deleted content pages again', async () => {
+            const page = { ...payload, pageUid: 'recreated', path: { en: 'recreated' } };
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', page);
+
+            await send('DELETE', `/api/content/${id}`);
+            const { body: recreated } = await send('POST', '/api/content', { ...page, path: { en: 'recreated-again' } });
+            const { body: content } = await send('GET', `/api/content/ids/${id}?lang=en`);
+            const { body: deleted } = await send('GET', '/api/content/deleted?lang=en');
+
+            expect(recreated).toEqual({ id });
+            expect(content).toEqual([expect.objectContaining({ extract: 'recreated-again' })]);
+            expect(deleted.map((page) => page.id)).not.toContain(id);
+        });
+        it('serves the template, slots and components of content pages', async () => {
+            const { body: content } = await send('GET', '/api/content?q=testpage2&lang=en');
+
+            const { body } = await send('GET', `/api/content/${content[0].id}/slots?lang=en`);
+
+            expect(body).toEqual(
+                expect.objectContaining({
+                    id: content[0].id,
+                    template: { id: expect.any(String), uid: 'LandingPage2Template', name: 'LandingPage2Template', type: 'PageTemplate' },
+                    slots: [
+                        {
+                            uid: 'Section1Slot-TestPage2',
+                            position: 'Section1',
+                            shared: false,
+                            status: 'PAGE',
+                            components: [
+                                {
+                                    id: expect.any(String),
+                                    uid: 'TestPage2Paragraph',
+                                    name: 'TestPage2Paragraph',
+                                    type: 'CMSParagraphComponent',
+                                    visible: true
+                                }
+                            ]
+                        }
+                    ]
+                })
+            );
+        });
+        it('rejects content pages with unmapped templates', async () => {
+            const { status, body } = await bridge.request('POST', '/api/content', { ...payload, pageUid: 'unmapped', template: 'unknown' });
+
+            expect(status).toEqual(400);
+            expect(body.error).toEqual([expect.objectContaining({ field: 'template', cause: 'wrongTemplateMapping' })]);
+        });
+        it('creates content pages with the UUID of the mapped page template', async () => {
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', { ...payload, pageUid: 'templated', path: { en: 'templated' } });
+
+            const {
+                body: { template }
+            } = await send('GET', `/api/content/${id}/slots?lang=en`);
+
+            expect(template).toEqual(expect.objectContaining({ id: expect.any(String), type: 'PageTemplate' }));
+        });
+    });
+    describe('Template mapping', () => {
+        const payload = { template: 'runtime', pageUid: 'runtime', label: { en: 'Runtime' }, path: { en: 'runtime' } };
+
+        it('maps templates at runtime', async () => {
+            await send('POST', '/api/template-mappings', { template: 'runtime', sapTemplate: 'LandingPage2Template' });
+            const {
+                body: { id }
+            } = await send('POST', '/api/content', payload);
+            await send('DELETE', '/api/template-mappings/runtime');
+            const { status, body } = await bridge.request('POST', '/api/content', { ...payload, pageUid: 'unmapped' });
+
+            expect(id).toEqual(expect.any(String));
+            expect(status).toEqual(400);
+            expect(body.error).toEqual([expect.objectContaining({ field: 'template', cause: 'wrongTemplateMapping' })]);
+        });
+        it('rejects page templates missing in the content catalog', async () => {
+            const { status, body } = await bridge.request('PUT', '/api/template-mappings/content', { sapTemplate: 'UnknownTemplate' });
+
+            expect(status).toEqual(400);
+            expect(body.error).toEqual([expect.objectContaining({ field: 'sapTemplate' })]);
+        });
+    });
+    describe('Health', () => {
+        it('reports the bridge as ready', async () => {
+            const { body } = await send('GET', '/health/ready');
+
+            expect(body.status).toEqual('UP');
+            expect(body.checks.map(({ name, status }) => [name, status])).toEqual([
+                ['token', 'UP'],
+                ['catalog', 'UP'],
+                ['contentCatalog', 'UP'],
+                ['templateMapping', 'UP']
+            ]);
+        });
+    });
+    describe('Metrics', () => {
+        it('records the operations and the requests to SAP Commerce', async () => {
+            await send('GET', '/api/products/ids/450848?lang=en');
+
+            const { body: metrics } = await send('GET', '/metrics');
+
+            expect(metrics).toMatch(/^bridge_operation_duration_seconds_count\{operation="productsProductIdsGet",status="200"\} [1-9]/m);
+            expect(metrics).toMatch(
+                /^sap_request_duration_seconds_count\{tenant="default",client="occ",method="get",status="200"\} [1-9]/m
+            );
+            expect(metrics).toMatch(/^sap_token_requests_total\{grant_type="password",result="success"\} [1-9]/m);
+            expect(metrics).toMatch(/^bridge_cache_hit_ratio\{cache="languages"\} /m);
+        });
+    });
+    describe('Resilience', () => {
+        it('retries GET requests failing temporarily', async () => {
+            mock.simulate({ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } });
+
+            const { body } = await send('GET', '/api/storefront-url?type=product&id=3965240&lang=en');
+
+            expect(body.url).toMatch(/\/p\/3965240$/);
+        });
+        it('does not retry requests changing data', async () => {
+            const payload = { template: 'landingpage', pageUid: 'retried', label: { en: 'Retried' }, path: { en: 'retried' } };
+            // The page template is cached by then, the searches for a deleted page with the UID and URL of the page pass
+            await send('POST', '/api/content', { ...payload, pageUid: 'template', label: { en: 'Template' }, path: { en: 'template' } });
+            mock.simulate({}, {}, { status: 503 });
+
+            const { status } = await bridge.request('POST', '/api/content', payload);
+            const { body: content } = await send('GET', '/api/content?q=retried&lang=en');
+
+            expect(status).toBeGreaterThanOrEqual(400);
+            expect(content).toEqual([]);
+        });
+        it('aborts requests exceeding the timeout', async () => {
+            mock.simulate({ delay: 400 });
+            const payload = { template: 'landingpage', pageUid: 'slow', label: { en: 'Slow' }, path: { en: 'slow' } };
+
+            const { status } = await bridge.request('PUT', '/api/content/slow', payload);
+
+            expect(status).toEqual(504);
+        });
+        it('limits the number of parallel requests', async () => {
+            mock.simulate(...[1, 2, 3, 4].map(() => ({ delay: 20 })));
+            mock.getMaxParallelRequests();
+
+            await Promise.all(
+                ['3965240', '450848', '4769104', '1312564'].map((id) => send('GET', `/api/storefront-url?type=product&id=${id}&lang=en`))
+            );
+
+            expect(mock.getMaxParallelRequests()).toEqual(2);
+        });
+        it('fails fast once the circuit of an upstream is open', async () => {
+            mock.simulate({ status: 503 }, { status: 503 }, { status: 503 });
+
+            const failed = await bridge.request('GET', '/api/storefront-url?type=product&id=3965240&lang=en');
+            const rejected = await bridge.request('GET', '/api/storefront-url?type=product&id=3965240&lang=en');
+            const { body: upstreams } = await send('GET', '/api/status/upstreams');
+
+            expect(failed).toEqual(expect.objectContaining({ status: 500, body: { error: 'Simulated error with status 503' } }));
+            expect(rejected).toEqual(
+                expect.objectContaining({
+                    status: 503,
+                    body: { error: 'SAP Commerce is unavailable, the circuit of default/occ is open' }
+                })
+            );
+            expect(upstreams.upstreams).toEqual([
+                { name: 'default/occ', state: 'OPEN', failures: 3, openedAt: expect.any(String) },
+                expect.objectContaining({ name: 'default/cms', state: 'CLOSED' })
+            ]);
+        });
+    });
+});
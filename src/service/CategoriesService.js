@@ -1,13 +1,16 @@
 const httpClient = require('../utils/http-client');
 const logger = require('../utils/logger');
+const { instrument } = require('../utils/metrics');
+const { createCache } = require('../utils/cache');
+const { getLocale } = require('../utils/locale');
+const { getSite } = require('../utils/site');
+const { getPageSize, paginateList } = require('../utils/pagination');
 
 const LOGGING_NAME = 'CategoriesService';
 
-const { CATALOG_ID, CATALOG_VERSION, DEFAULT_LANG } = process.env;
-// Map to cache category IDs in order to resolve their URLs later
-const idCache = new Map();
-
-const LIMIT = 20;
+const { CATEGORY_CACHE_TTL = 300 } = process.env;
+// Cache for the category catalog and its URL mappings, keyed by tenant, base site and language
+const categoryCache = createCache('categories', Number(CATEGORY_CACHE_TTL) * 1000);
 
 /**
  * This method recursively creates a nested tree structure for the given categories.
@@ -37,16 +40,60 @@ const getRelevantCategories = (categories, parentId, getTree) => {
 };
 
 /**
- * This Method traverses through the Category tree and builds fills the idCache with data
+ * Normalizes the given storefront URL so that URLs can be compared regardless of host and trailing slashes.
+ *
+ * @param {string} url The URL to normalize.
+ * @return {string|undefined} The path of the given URL without trailing slashes, undefined if the URL is invalid.
+ */
+const normalizeUrl = (url) => {
+    try {
+        return new URL(url, 'http://localhost').pathname.replace(/\/+$/, '');
+    } catch (error) {
+        logger.logDebug(LOGGING_NAME, `Cannot normalize invalid URL ${url}`);
+        return undefined;
+    }
+};
+
+/**
+ * This Method traverses through the Category tree and maps the category IDs to their URLs and vice versa.
  *
  * @param {any[]} categories: the categories
+ * @param {{urlsById: Map<string, string>, idsByUrl: Map<string, string>}} [urlMaps] The maps to add the categories to.
+ * @return {{urlsById: Map<string, string>, idsByUrl: Map<string, string>}} The maps containing all categories of the tree.
  */
-const buildCache = (categories) =>
+const buildUrlMaps = (categories = [], urlMaps = { urlsById: new Map(), idsByUrl: new Map() }) => {
     categories.forEach(({ id, url, subcategories }) => {
-        idCache.set(id, url);
-        idCache.set(url, id);
-        buildCache(subcategories);
+        if (url) {
+            urlMaps.urlsById.set(id, url);
+            const path = normalizeUrl(url);
+            path !== undefined && urlMaps.idsByUrl.set(path, id);
+        }
+        buildUrlMaps(subcategories, urlMaps);
+    });
+    return urlMaps;
+};
+
+/**
+ * This method returns the whole category catalog of the current base site for the given language.
+ * The catalog is taken from the category cache and only requested from SAP Commerce if it is not cached yet.
+ * The language is resolved to a language of the base site first, so unsupported languages share the catalog of the default language.
+ *
+ * @param {string} [lang] the language used for the request, defaults to the language of the base site
+ * @return {Promise<{categories: any[], status: number, urlsById: Map<string, string>, idsByUrl: Map<string, string>}>} The categories of the catalog and their URLs.
+ */
+const loadCategories = async (lang) => {
+    const { tenantId, baseSiteId, occPath, catalogId, catalogVersion } = getSite();
+    ({ lang } = await getLocale(lang));
+    return categoryCache.get(`${tenantId}:${baseSiteId}:${lang}`, async () => {
+        logger.logDebug(LOGGING_NAME, `Performing GET request to /catalogs/ with parameters ${catalogId}/${catalogVersion}?lang=${lang}`);
+
+        let { data: { categories = [] } = {}, status } = await httpClient.occClient.get(
+            occPath + `/catalogs/${catalogId}/${catalogVersion}?lang=${encodeURIComponent(lang)}`
+        );
+        categories = categories.filter(({ name }) => !!name);
+        return { categories, status, ...buildUrlMaps(categories) };
     });
+};
 
 /**
  * This method fetches all categories and returns them as a nested structure.
@@ -57,14 +104,8 @@ const buildCache = (categories) =>
  * @param {string} parentId a filter attribute to filter the Category tree
  * @return Promise<*> The category tree.
  */
-const fetchCategories = async (lang = DEFAULT_LANG, parentId, getTree = false) => {
-    logger.logDebug(LOGGING_NAME, `Performing GET request to /catalogs/ with parameters ${CATALOG_ID}/${CATALOG_VERSION}?lang=${lang}`);
-
-    let { data: { categories = [] } = {}, status } = await httpClient.occClient.get(
-        httpClient.constants.FULL_OCC_PATH + `/catalogs/${CATALOG_ID}/${CATALOG_VERSION}?lang=${lang}`
-    );
-    categories = categories.filter(({ name }) => !!name);
-    buildCache(categories);
+const fetchCategories = async (lang, parentId, getTree = false) => {
+    const { categories, status } = await loadCategories(lang);
     return {
         status,
         data: getRelevantCategories(categories, parentId, getTree) || [],
@@ -74,44 +115,17 @@ const fetchCategories = async (lang = DEFAULT_LANG, parentId, getTree = false) =
 
 /**
  * This method fetches all categories provided via the categoryIds comma seperated string.
+ * The categories are looked up in the cached catalog, unknown IDs are ignored.
  * @see SwaggerUI {@link http://localhost:3000/api/#/categories/get_categories}
  *
  * @param {string[]} categoryIds a comma seperated string to represent the categoryIds (e.G. id1,id2)
  * @param {string} lang the language used for the request
  */
-const fetchCategoriesByIds = async ({ categoryIds, lang = DEFAULT_LANG }) => {
-    let hasError = false;
-    let lastError;
-    let categories = await Promise.all(
-        categoryIds.map(async (categoryId) => {
-            logger.logDebug(
-                LOGGING_NAME,
-                `Performing GET request to /catalogs/ with parameters ${CATALOG_ID}/${CATALOG_VERSION}/categories/${categoryId}?lang=${lang}`
-            );
-
-            try {
-                const { data, status } = await httpClient.occClient.get(
-                    httpClient.constants.FULL_OCC_PATH +
-                        `/catalogs/${CATALOG_ID}/${CATALOG_VERSION}/categories/${categoryId}?${new URLSearchParams({ lang })}`
-                );
-                return data;
-            } catch (error) {
-                hasError = true;
-                lastError = error;
-                return { errors: true };
-            }
-        })
-    );
+const fetchCategoriesByIds = async ({ categoryIds, lang }) => {
+    const { categories: catalog } = await loadCategories(lang);
+    const categoriesById = new Map(getCategoryList(catalog).map((category) => [category.id, category]));
 
-    if (hasError) {
-        return Promise.reject(lastError);
-    }
-
-    categories = categories
-        .filter((category) => !category.errors)
-        .map((category) => {
-            return { id: category.id, label: category.name };
-        });
+    const categories = categoryIds.map((categoryId) => categoriesById.get(categoryId)).filter((category) => !!category);
 
     return { categories, status: 200 };
 };
@@ -120,19 +134,36 @@ const fetchCategoriesByIds = async ({ categoryIds, lang = DEFAULT_LANG }) => {
  * This method returns the URL for the category with the given ID.
  *
  * @param {string} categoryId ID of the category to get the URL for.
- * @param {string} lang the language to get the URL for.
- * @return {Promise<string>} The URL of the category, null if given ID is invalid.
+ * @param {string} [lang] the language to get the URL for.
+ * @return {Promise<{url: string}>} The localized URL of the category, null if given ID is invalid.
  */
 const getCategoryUrl = async (categoryId, lang) => {
-    idCache.size || (await fetchCategories(lang, true));
-    if (idCache.has(categoryId)) {
-        return { url: idCache.get(categoryId) };
+    const { urlsById } = await loadCategories(lang);
+    if (urlsById.has(categoryId)) {
+        return { url: urlsById.get(categoryId) };
     } else {
         logger.logError(LOGGING_NAME, 'Invalid categoryId passed', categoryId);
         return null;
     }
 };
 
+/**
+ * This method returns the ID of the category with the given storefront URL.
+ *
+ * @param {string} url The storefront URL of the category.
+ * @param {string} [lang] the language of the given URL.
+ * @return {Promise<{type: string, id: string}>} The identifier of the category, null if no category has the given URL.
+ */
+const getCategoryIdByUrl = async (url, lang) => {
+    const path = normalizeUrl(url);
+    if (path === undefined) {
+        return null;
+    }
+    const { idsByUrl } = await loadCategories(lang);
+    const id = idsByUrl.get(path);
+    return id ? { type: 'category', id } : null;
+};
+
 /**
  * This Method returns the passed Categories in a flat list
  * @param {{id: string, name: string, subcategories: *[]}[]} categories
@@ -163,8 +194,7 @@ const filterCategories = (keyword, categories) => {
  * @param {any[]} tree Category tree.
  * @returns {number} Total count of all categories including nested children.
  */
-const countCategories = (tree) =>
-    tree.reduce((count, { children = [] }) => count + 1 + countCategories(children), 0);
+const countCategories = (tree) => tree.reduce((count, { children = [] }) => count + 1 + countCategories(children), 0);
 
 /**
  * This method fetches all categories and returns them as a flat list structure.
@@ -174,21 +204,17 @@ const countCategories = (tree) =>
  * @param {string} [keyword] Keyword to filter the categories by.
  * @param {string} [lang] Language of the request.
  * @param {number} [page=1] Number of the page to retrieve.
+ * @param {number} [pageSize] Number of categories per page, taken from the request if omitted.
  * @return Promise<{ hasNext: boolean, total: number, categories: any[]}> The category tree.
  */
-const categoriesGet = async (parentId, keyword, lang, page = 1) => {
+const categoriesGet = async (parentId, keyword, lang, page = 1, pageSize = getPageSize()) => {
     let { data } = await fetchCategories(lang, parentId, false);
 
     if (keyword) {
         data = filterCategories(keyword, data);
     }
 
-    const total = data.length;
-    const pageSize = LIMIT;
-    const hasNext = page * pageSize <= total;
-    const start = pageSize * (page - 1);
-    const end = pageSize * page;
-    const categories = data.slice(start, end);
+    const { items: categories, total, hasNext } = paginateList(data, page, pageSize);
 
     return { categories, total, hasNext };
 };
@@ -223,13 +249,15 @@ const categoriesCategoryIdsGet = async (categoryIds, lang) => {
 };
 
 module.exports = {
+    categoryCache,
     buildCategoryTree,
     fetchCategories,
     fetchCategoriesByIds,
     getRelevantCategories,
     getCategoryUrl,
+    getCategoryIdByUrl,
     getCategoryList,
-    categoriesGet,
-    categoryTreeGet,
-    categoriesCategoryIdsGet
+    categoriesGet: instrument('categoriesGet', categoriesGet),
+    categoryTreeGet: instrument('categoryTreeGet', categoryTreeGet),
+    categoriesCategoryIdsGet: instrument('categoriesCategoryIdsGet', categoriesCategoryIdsGet)
 };
@@ -1,14 +1,25 @@
 const httpClient = require('../utils/http-client');
 const data = require('./CategoriesService.spec.data');
 const service = require('./CategoriesService');
+const requestContext = require('../utils/request-context');
+const locale = require('../utils/locale');
+const { getSite } = require('../utils/site');
 
 jest.mock('../../src/utils/http-client');
+jest.mock('../utils/locale', () => ({ ...jest.requireActual('../utils/locale'), getLocale: jest.fn() }));
+jest.mock('../resources/SiteConfiguration.json', () => ({
+    'apparel-uk-spa': { catalogId: 'apparelProductCatalog', defaultLang: 'en_GB' }
+}));
 
 describe('CategoriesService', () => {
     const testLang = 'DE';
     const defaultLang = process.env.DEFAULT_LANG; // Taken from local .env
     const testCategory = data.categoriesGet.categories[0];
-    httpClient.constants.FULL_OCC_PATH = 'path/to/OCC';
+
+    beforeEach(() => {
+        service.categoryCache.clear();
+        locale.getLocale.mockImplementation(async (lang) => ({ lang: lang || getSite().defaultLang }));
+    });
 
     describe('getCategoryUrl', () => {
         it('returns the URL of the given category', async () => {
@@ -17,7 +28,31 @@ describe('CategoriesService', () => {
             const result = await service.getCategoryUrl(testCategory.id, testLang);
 
             expect(result).toEqual({ url: testCategory.url });
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/catalogs/catalog_id/catalog_version?lang=${testLang}`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${testLang}`
+            );
+        });
+        it('returns the URL in the requested language', async () => {
+            const germanCatalog = { categories: [{ ...testCategory, url: '/badezimmer/' }] };
+            httpClient.occClient.get.mockImplementation(async (url) => ({
+                data: url.endsWith(`lang=${testLang}`) ? germanCatalog : data.categoriesGet,
+                status: 200
+            }));
+
+            const englishResult = await service.getCategoryUrl(testCategory.id, 'EN');
+            const germanResult = await service.getCategoryUrl(testCategory.id, testLang);
+
+            expect(englishResult).toEqual({ url: testCategory.url });
+            expect(germanResult).toEqual({ url: '/badezimmer/' });
+        });
+        it('uses fallback language', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            await service.getCategoryUrl(testCategory.id);
+
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+            );
         });
         it('returns null if the given category is invalid', async () => {
             console.error = jest.fn();
@@ -29,6 +64,28 @@ describe('CategoriesService', () => {
             expect(console.error).toHaveBeenCalled();
         });
     });
+    describe('getCategoryIdByUrl', () => {
+        it('returns the ID of the category with the given URL', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            const result = await service.getCategoryIdByUrl('https://mycommerce.com/bath/kitchen', testLang);
+
+            expect(result).toEqual({ type: 'category', id: '21' });
+        });
+        it('does not resolve IDs as URLs', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            const result = await service.getCategoryIdByUrl(testCategory.id, testLang);
+
+            expect(result).toEqual(null);
+        });
+        it('returns null for invalid URLs without loading the catalog', async () => {
+            const results = await Promise.all(['http://', '//'].map((url) => service.getCategoryIdByUrl(url, testLang)));
+
+            expect(results).toEqual([null, null]);
+            expect(httpClient.occClient.get).not.toHaveBeenCalled();
+        });
+    });
     describe('fetchCategories', () => {
         it('returns the categories as tree', async () => {
             process.env = {
@@ -40,7 +97,9 @@ describe('CategoriesService', () => {
 
             const result = await service.fetchCategories(testLang, undefined, true);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/catalogs/catalog_id/catalog_version?lang=${testLang}`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${testLang}`
+            );
             expect(result).toEqual(data.buildCategoryTreeResult);
         });
         it('returns the categories as list', async () => {
@@ -48,9 +107,67 @@ describe('CategoriesService', () => {
 
             const result = await service.fetchCategories(testLang);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/catalogs/catalog_id/catalog_version?lang=${testLang}`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${testLang}`
+            );
             expect(result).toEqual(data.categoriesGetResult);
         });
+        it('uses the cached catalog for subsequent calls with the same language', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            await service.fetchCategories(testLang);
+            const result = await service.fetchCategories(testLang, undefined, true);
+
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(1);
+            expect(result).toEqual(data.buildCategoryTreeResult);
+            expect(service.categoryCache.getStats()).toEqual({ hits: 1, misses: 1, size: 1 });
+        });
+        it('caches the catalog per language', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            await service.fetchCategories(testLang);
+            await service.fetchCategories('EN');
+
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(2);
+            expect(httpClient.occClient.get.mock.calls[1][0]).toEqual(`occ/path/base_site/catalogs/catalog_id/catalog_version?lang=EN`);
+        });
+        it('caches the catalog per language of the base site', async () => {
+            locale.getLocale.mockResolvedValue({ lang: 'de' });
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            await service.fetchCategories('DE');
+            await service.fetchCategories('de');
+
+            expect(locale.getLocale).toHaveBeenCalledWith('DE');
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(1);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`occ/path/base_site/catalogs/catalog_id/catalog_version?lang=de`);
+        });
+        it('encodes the language', async () => {
+            locale.getLocale.mockResolvedValue({ lang: 'en&fields=FULL' });
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            await service.fetchCategories('en&fields=FULL');
+
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=en%26fields%3DFULL`
+            );
+        });
+        it('caches the catalog per base site', async () => {
+            const req = { headers: { 'x-base-site-id': 'apparel-uk-spa' }, query: {} };
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            await service.fetchCategories(testLang);
+            await requestContext.run({ req }, () => service.fetchCategories(testLang));
+            await requestContext.run({ req }, () => service.fetchCategories());
+
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(3);
+            expect(httpClient.occClient.get.mock.calls[1][0]).toEqual(
+                `occ/path/apparel-uk-spa/catalogs/apparelProductCatalog/catalog_version?lang=${testLang}`
+            );
+            expect(httpClient.occClient.get.mock.calls[2][0]).toEqual(
+                `occ/path/apparel-uk-spa/catalogs/apparelProductCatalog/catalog_version?lang=en_GB`
+            );
+        });
         it('uses fallback language', async () => {
             const defaultLang = 'en';
 
@@ -59,7 +176,7 @@ describe('CategoriesService', () => {
             const result = await service.fetchCategories();
 
             expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
-                `path/to/OCC/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
             );
             expect(result).toEqual(data.categoriesGetResult);
         });
@@ -88,17 +205,17 @@ describe('CategoriesService', () => {
     describe('getCategoriesById', () => {
         it('fetches Categories data based on provided ids', async () => {
             const testCategory1 = data.categoriesGet.categories[0];
-            const testCategory2 = data.categoriesGet.categories[1];
-            const testCategoryIds = [testCategory1.id, testCategory2.id];
-            httpClient.occClient.get
-                .mockResolvedValueOnce({ data: testCategory1, status: 200 })
-                .mockResolvedValue({ data: testCategory2, status: 200 });
+            const testCategory2 = data.categoriesGet.categories[0].subcategories[1];
+            const testCategoryIds = [testCategory2.id, testCategory1.id];
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
 
             const result = await service.fetchCategoriesByIds({ categoryIds: testCategoryIds, lang: 'EN' });
 
-            result.categories.forEach((category) => {
-                expect(category.id).toBeDefined();
-            });
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`occ/path/base_site/catalogs/catalog_id/catalog_version?lang=EN`);
+            expect(result.categories).toEqual([
+                { id: testCategory2.id, label: testCategory2.name },
+                { id: testCategory1.id, label: testCategory1.name }
+            ]);
         });
     });
     describe('getRelevantCategories', () => {
@@ -138,7 +255,7 @@ describe('CategoriesService', () => {
             const result = await service.categoriesGet();
 
             expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
-                `path/to/OCC/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
             );
             expect(result.categories.length).toEqual(expectedCategoryLength);
             for (let i = 0; i < data.categoriesGet.categories.length; i++) {
@@ -155,7 +272,7 @@ describe('CategoriesService', () => {
             const result = await service.categoriesGet(data.categoriesGet.categories[0].id);
 
             expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
-                `path/to/OCC/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
             );
             expect(result.categories.length).toEqual(expectedCategoryLength);
             expect(result.categories[0].id).toEqual('19');
@@ -170,7 +287,9 @@ describe('CategoriesService', () => {
 
             const result = await service.categoriesGet(0, undefined, testLang, 123);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/catalogs/catalog_id/catalog_version?lang=${testLang}`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${testLang}`
+            );
             expect(result.categories.length).toEqual(0);
             expect(result.hasNext).toEqual(false);
             expect(result.total).toEqual(expectedCategoryTotal);
@@ -181,7 +300,9 @@ describe('CategoriesService', () => {
 
             const result = await service.categoriesGet(0, 'Bath', testLang, 1);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/catalogs/catalog_id/catalog_version?lang=${testLang}`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${testLang}`
+            );
             expect(result.categories.length).toEqual(1);
             expect(result.categories[0].label).toEqual('Bath');
             expect(result.hasNext).toEqual(false);
@@ -193,7 +314,9 @@ describe('CategoriesService', () => {
 
             const result = await service.categoriesGet(data.categoriesGet.categories[0].id, 'ov', testLang, 1);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/catalogs/catalog_id/catalog_version?lang=${testLang}`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${testLang}`
+            );
 
             expect(result.categories.length).toEqual(2);
             expect(result.categories[0].label).toEqual('ovens');
@@ -202,6 +325,25 @@ describe('CategoriesService', () => {
             expect(result.total).toEqual(expectedCategoryTotal);
         });
     });
+    describe('categoriesGet with page size', () => {
+        it('returns the requested number of categories per page', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            const result = await service.categoriesGet(undefined, undefined, testLang, 2, 3);
+
+            expect(result.categories.map((category) => category.id)).toEqual(['212', '2121', '22']);
+            expect(result.total).toEqual(8);
+            expect(result.hasNext).toEqual(true);
+        });
+        it('has no next page if the last page is exactly full', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
+
+            const result = await service.categoriesGet(undefined, undefined, testLang, 2, 4);
+
+            expect(result.categories.length).toEqual(4);
+            expect(result.hasNext).toEqual(false);
+        });
+    });
     describe('categoryTreeGet', () => {
         it('returns the categories as tree (no parent ID)', async () => {
             httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
@@ -209,7 +351,7 @@ describe('CategoriesService', () => {
             const result = await service.categoryTreeGet();
 
             expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
-                `path/to/OCC/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
             );
             expect(result.categorytree[0].id).toEqual('18');
             expect(result.categorytree[0].children[0].id).toEqual('19');
@@ -225,7 +367,7 @@ describe('CategoriesService', () => {
             const result = await service.categoryTreeGet(data.categoriesGet.categories[0].id);
 
             expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
-                `path/to/OCC/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
             );
             expect(result.categorytree[0].id).toEqual('19');
             expect(result.categorytree[1].id).toEqual('21');
@@ -238,7 +380,7 @@ describe('CategoriesService', () => {
             const result = await service.categoryTreeGet('21');
 
             expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
-                `path/to/OCC/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
+                `occ/path/base_site/catalogs/catalog_id/catalog_version?lang=${defaultLang}`
             );
             expect(result.categorytree[0].id).toEqual('212');
             expect(result.categorytree[0].children[0].id).toEqual('2121');
@@ -248,11 +390,8 @@ describe('CategoriesService', () => {
 
     describe('categoriesCategoryIdsGet', () => {
         it('returns the categories pages with the given IDs', async () => {
-            const categoryIds = [data.categoriesGet.categories[0].id, -999];
-            const testCategory1 = data.categoriesGet.categories[0];
-            httpClient.occClient.get
-                .mockResolvedValueOnce({ data: testCategory1, status: 200 })
-                .mockResolvedValue({ data: { errors: true } });
+            const categoryIds = [data.categoriesGet.categories[0].id, '-999'];
+            httpClient.occClient.get.mockResolvedValue({ data: data.categoriesGet, status: 200 });
 
             const result = await service.categoriesCategoryIdsGet(categoryIds);
 
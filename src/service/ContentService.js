@@ -1,46 +1,170 @@
 const httpClient = require('../utils/http-client');
-const templateMap = require('../resources/FStoSAPTemplateMapping.json');
 const logger = require('../utils/logger');
+const { instrument } = require('../utils/metrics');
+const { getPageTemplateUuid } = require('../utils/page-templates');
+const { getSapTemplate } = require('../utils/template-mapping');
+const { getPage, getPageSize, paginate } = require('../utils/pagination');
+const requestContext = require('../utils/request-context');
+const { createFileStore } = require('../utils/file-store');
+const { getSite } = require('../utils/site');
+const { getConfig } = require('../utils/tenant');
+const { BodyValidationError, ErrorCode } = require('fcecom-bridge-commons');
 
 const LOGGING_NAME = 'ContentService';
 
-const { CONTENT_CATALOG_ID, CONTENT_CATALOG_VERSION, DEFAULT_LANG } = process.env;
+const { CONTENT_DELETE_MODE = 'soft', DELETED_PAGES_FILE } = process.env;
+
+// Who deleted a page and when, SAP Commerce only keeps the status of deleted pages
+const deletedPages = createFileStore(DELETED_PAGES_FILE || 'data/deleted-pages.json');
+
+// Values of the SAP Commerce `PageRobots` enumeration by the robots meta tag they stand for
+const ROBOT_TAGS = {
+    'index, follow': 'INDEX_FOLLOW',
+    'index, nofollow': 'INDEX_NOFOLLOW',
+    'noindex, follow': 'NOINDEX_FOLLOW',
+    'noindex, nofollow': 'NOINDEX_NOFOLLOW'
+};
+
+/**
+ * Returns the value of a localized SAP Commerce attribute in the given language.
+ * @param {string|Object<string, string>} [value] the localized value, either as map of languages or already resolved to a string
+ * @param {string} lang the language to return the value in
+ * @return {string|undefined} the value in the given language
+ */
+const getLocalizedValue = (value, lang) => (typeof value === 'string' ? value : value?.[lang.toLowerCase()]);
+
+/**
+ * Converts a localized value of the Bridge API into a localized SAP Commerce attribute
+ * @param {Object<string, string|string[]>|string|string[]} [value] the value by language, a value without language is taken as `DEFAULT_LANG`
+ * @param {string} field the name of the field in the body, used in the error of an invalid value
+ * @return {Object<string, string>|undefined} the value by lower case language, lists are joined by commas
+ */
+const toLocalizedAttribute = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+        value = { [getSite().defaultLang]: value };
+    }
+    if (typeof value !== 'object') {
+        throw new BodyValidationError('Invalid field in body', {
+            cause: [{ field, cause: 'invalidValue', code: ErrorCode.UNKNOWN }]
+        });
+    }
+    return Object.fromEntries(
+        Object.entries(value).map(([lang, localized]) => [lang.toLowerCase(), Array.isArray(localized) ? localized.join(', ') : localized])
+    );
+};
+
+/**
+ * Converts the robots meta tag of the Bridge API into the `robotTag` of a SAP Commerce page
+ * @param {string} [robots] the robots meta tag, e.g. `noindex, follow`, or the SAP Commerce value, e.g. `NOINDEX_FOLLOW`
+ * @return {string|undefined} the SAP Commerce value
+ */
+const toRobotTag = (robots) => {
+    if (robots === undefined || robots === null || robots === '') {
+        return undefined;
+    }
+    const tag = String(robots)
+        .toLowerCase()
+        .replace('_', ',')
+        .split(',')
+        .map((part) => part.trim())
+        .join(', ');
+    if (!ROBOT_TAGS[tag]) {
+        throw new BodyValidationError('Invalid field in body', {
+            cause: [{ field: 'robots', cause: 'invalidValue', code: ErrorCode.UNKNOWN }]
+        });
+    }
+    return ROBOT_TAGS[tag];
+};
+
+/**
+ * Converts the `robotTag` of a SAP Commerce page into the robots meta tag of the Bridge API
+ * @param {string} [robotTag] the SAP Commerce value, e.g. `NOINDEX_FOLLOW`
+ * @return {string|undefined} the robots meta tag, e.g. `noindex, follow`
+ */
+const toRobots = (robotTag) => Object.keys(ROBOT_TAGS).find((robots) => ROBOT_TAGS[robots] === robotTag);
 
 /**
  * Converts page Data from the SAP Commerce Page response to the response body from the Bridge
  * @param {*} page the SAP Commerce Page as responded by the CMSWebservices API
- * @param {string} lang the language of the request
- * @return {{extract: string, id: string, label:string}} the converted/simplified page as used by FirstSpirit
+ * @param {string} [lang] the language of the request, defaults to the language of the base site
+ * @return {{extract: string, id: string, label:string, labels: Object<string, string>, description: string, keywords: string, robots: string, homepage: boolean}} the converted/simplified page as used by FirstSpirit, the metadata is left out if the page has none
  */
-const createContentPageResponseBody = (page, lang = DEFAULT_LANG) => {
+const createContentPageResponseBody = (page, lang = getSite().defaultLang) => {
     return {
         id: page.uuid,
-        label: page.title[lang.toLowerCase()],
-        extract: page.label
+        label: getLocalizedValue(page.title, lang),
+        extract: page.label,
+        labels: typeof page.title === 'object' ? page.title : undefined,
+        description: getLocalizedValue(page.description, lang),
+        keywords: getLocalizedValue(page.keywords, lang),
+        robots: toRobots(page.robotTag),
+        homepage: page.homepage
     };
 };
 
+/**
+ * Creates the error rejecting a page whose FirstSpirit template cannot be resolved to a SAP Commerce page template
+ * @param {string} message the description of the problem
+ * @return {BodyValidationError} the error, its cause has the format of the errors mapped from SAP Commerce
+ */
+const createTemplateError = (message) =>
+    new BodyValidationError(message, {
+        cause: [{ field: 'template', cause: 'wrongTemplateMapping', code: ErrorCode.TEMPLATE_NOT_MAPPED, message }]
+    });
+
+/**
+ * Resolves the FirstSpirit template of a page to the UUID of the SAP Commerce page template it is mapped to
+ * The mapping is checked before any request is sent to SAP Commerce.
+ * @param {string} template the name of the FirstSpirit template
+ * @return {Promise<string>} the UUID of the SAP Commerce page template
+ */
+const resolveMasterTemplate = async (template) => {
+    const sapTemplate = getSapTemplate(template);
+    if (!sapTemplate) {
+        throw createTemplateError(`FirstSpirit template "${template}" is not mapped to a SAP Commerce page template`);
+    }
+    const uuid = await getPageTemplateUuid(sapTemplate);
+    if (!uuid) {
+        const { contentCatalogId, contentCatalogVersion } = getSite();
+        throw createTemplateError(
+            `SAP Commerce page template "${sapTemplate}" of FirstSpirit template "${template}" does not exist in ${contentCatalogId}:${contentCatalogVersion}`
+        );
+    }
+    return uuid;
+};
+
 /**
  * Converts Page Data received by the Bridge API and converts it into an Page object needed by the SAP Commerce CMSWebservices API
  * @param requestBody the body of the request as received by the Bridge API call
  * @param uuid the uuid of the pageItem, passed as path parameter in the Bridge API call
- * @return {{catalogVersion: string, approvalStatus: (string), uid, pageStatus: (string), defaultPage: boolean, itemtype: string, masterTemplate: string, name, label, title: {[p: string]: *}, uuid: undefined, homepage: boolean}}
+ * @param masterTemplate the uuid of the SAP Commerce page template, as resolved by `resolveMasterTemplate`
+ * @return {{catalogVersion: string, approvalStatus: (string), uid, pageStatus: (string), defaultPage: boolean, itemtype: string, masterTemplate: string, name, label, title: {[p: string]: *}, description: {[p: string]: string}, keywords: {[p: string]: string}, robotTag: string, uuid: undefined, homepage: boolean}}
  */
-const createContentPageRequestBody = (requestBody, uuid) => {
+const createContentPageRequestBody = (requestBody, uuid, masterTemplate) => {
+    const { contentCatalogId, contentCatalogVersion, defaultLang } = getSite();
+    const title = toLocalizedAttribute(requestBody.label, 'label');
     return {
         uuid: uuid,
         uid: requestBody.pageUid,
         itemtype: 'ContentPage',
-        catalogVersion: `${CONTENT_CATALOG_ID}/${CONTENT_CATALOG_VERSION}`,
-        masterTemplate: templateMap[requestBody.template],
+        catalogVersion: `${contentCatalogId}/${contentCatalogVersion}`,
+        masterTemplate,
         // See https://help.sap.com/doc/02d5152884b34821a06408495ba0b771/1905/en-US/de/hybris/platform/cms2/enums/package-summary.html for ENUM values
+        // Pages that are not released are hidden by their approval status, as the status `DELETED` marks deleted pages
         approvalStatus: requestBody.released ? 'APPROVED' : 'UNAPPROVED',
-        pageStatus: requestBody.released ? 'ACTIVE' : 'DELETED',
+        // Deleted pages are kept as `DELETED` to be restorable, saving a deleted page restores it
+        pageStatus: 'ACTIVE',
         defaultPage: true,
-        homepage: false,
-        label: requestBody.path[DEFAULT_LANG.toLowerCase()],
-        name: requestBody.label[DEFAULT_LANG.toLowerCase()],
-        title: requestBody.label
+        homepage: requestBody.homepage === true,
+        label: toLocalizedAttribute(requestBody.path, 'path')?.[defaultLang.toLowerCase()],
+        name: title?.[defaultLang.toLowerCase()],
+        title,
+        description: toLocalizedAttribute(requestBody.description, 'description'),
+        keywords: toLocalizedAttribute(requestBody.keywords, 'keywords'),
+        robotTag: toRobotTag(requestBody.robots)
     };
 };
 
@@ -55,7 +179,7 @@ const fetchContentPageById = async (pageId, lang) => {
 
     logger.logDebug(LOGGING_NAME, `Performing GET request to /cmsitems/ with parameters ${params}`);
 
-    return await httpClient.cmsClient.get(httpClient.constants.FULL_CMS_PATH + `/cmsitems/${params}`);
+    return await httpClient.cmsClient.get(getSite().cmsPath + `/cmsitems/${params}`);
 };
 
 /**
@@ -65,9 +189,20 @@ const fetchContentPageById = async (pageId, lang) => {
  * @param {number} page the page that is to be requested (relevant for the pagination) (default: 1)
  * @param {string} keyword the keyword used to filter the items and refine the search
  * @param {string} lang the Language to be used for the call
+ * @param {number} pageSize the number of pages per page of the pagination (default: `getPageSize()`)
+ * @param {string} pageStatus the status of the Pages to search for, Pages requested by ID are returned unless they are deleted (default: `ACTIVE`)
+ * @param {function(*, string): *} toResponseBody converts a found Page to the response body (default: `createContentPageResponseBody`)
  * @return {Promise<{total: number, pages: *, hasNext: boolean, responseStatus: number}>} The Pages found in SAP Commerce
  */
-const fetchContentPages = async ({ contentIds, page = 1, q: keyword, lang }) => {
+const fetchContentPages = async ({
+    contentIds,
+    page = 1,
+    q: keyword,
+    lang,
+    pageSize = getPageSize(),
+    pageStatus = 'ACTIVE',
+    toResponseBody = createContentPageResponseBody
+}) => {
     let { pages = [], total = 0, hasNext = false, responseStatus = 200 } = {};
 
     if (contentIds) {
@@ -81,31 +216,28 @@ const fetchContentPages = async ({ contentIds, page = 1, q: keyword, lang }) =>
                 }
             })
         );
-        pages = pages
-            .map((page) => createContentPageResponseBody(page, lang))
-            .filter((pageItem) => {
-                return !!pageItem.id;
-            });
+        // Unknown IDs are answered with an error instead of a page
+        pages = pages.filter((page) => !!page.uuid && page.pageStatus !== 'DELETED').map((page) => toResponseBody(page, lang));
         total = pages.length;
     } else {
-        let pageSize = 20;
+        const { cmsPath, contentCatalogId, contentCatalogVersion } = getSite();
         let params = new URLSearchParams({
-            catalogId: CONTENT_CATALOG_ID,
-            catalogVersion: CONTENT_CATALOG_VERSION,
-            currentPage: page - 1,
+            catalogId: contentCatalogId,
+            catalogVersion: contentCatalogVersion,
+            currentPage: getPage(page) - 1,
             pageSize: pageSize,
             typeCode: 'ContentPage',
-            lang
+            lang,
+            itemSearchParams: `pageStatus:${pageStatus}`
         });
         if (keyword) params.append('mask', keyword);
 
         logger.logDebug(LOGGING_NAME, `Performing GET request to /cmsitems with parameters ${params}`);
 
-        const { data, status } = await httpClient.cmsClient.get(httpClient.constants.FULL_CMS_PATH + `/cmsitems?${params}`);
-        pages = data.response?.map((page) => createContentPageResponseBody(page, lang));
+        const { data, status } = await httpClient.cmsClient.get(cmsPath + `/cmsitems?${params}`);
+        pages = (data.response || []).map((page) => toResponseBody(page, lang));
         responseStatus = status;
-        total = data.pagination?.totalCount;
-        hasNext = data.pagination?.totalCount > page * pageSize || false;
+        ({ total, hasNext } = paginate({ page, pageSize, total: data.pagination?.totalCount, count: pages.length }));
     }
 
     return { pages, total, hasNext, responseStatus };
@@ -125,28 +257,31 @@ const getContentUrl = async (contentId, lang) => {
 /**
  * Fetches a Content Page based on its URL and returns its type and Id
  * @param {string} url the URL of the Content Page whose Id is requested
- * @param {string} lang the language used for the API Call
- * @return {Promise<string>} The identifier of the given page.
+ * @param {string} [lang] the language used for the API Call, defaults to the language of the base site
+ * @return {Promise<{type: string, id: string}>} The identifier of the given page, null if no page has the given URL.
  */
-const getContentIdByUrl = async (url, lang = 'en') => {
+const getContentIdByUrl = async (url, lang) => {
+    const { cmsPath, contentCatalogId, contentCatalogVersion, defaultLang } = getSite();
     let params = new URLSearchParams({
-        catalogId: CONTENT_CATALOG_ID,
-        catalogVersion: CONTENT_CATALOG_VERSION,
+        catalogId: contentCatalogId,
+        catalogVersion: contentCatalogVersion,
         currentPage: 0,
         pageSize: 1,
         typeCode: 'ContentPage',
-        lang,
-        itemSearchParams: `label:${url}`
+        lang: lang || defaultLang,
+        itemSearchParams: `label:${url},pageStatus:ACTIVE`
     });
 
     logger.logDebug(LOGGING_NAME, `Performing GET request to /cmsitems with parameters ${params}`);
 
-    const { data } = await httpClient.cmsClient.get(httpClient.constants.FULL_CMS_PATH + `/cmsitems?${params}`);
-    const contentPage = data.response[0];
-    return {
-        type: 'content',
-        id: contentPage.uuid
-    };
+    const { data } = await httpClient.cmsClient.get(cmsPath + `/cmsitems?${params}`);
+    const contentPage = data.response?.[0];
+    return contentPage
+        ? {
+              type: 'content',
+              id: contentPage.uuid
+          }
+        : null;
 };
 
 /**
@@ -156,10 +291,11 @@ const getContentIdByUrl = async (url, lang = 'en') => {
  * @param {string} query Query string to search pages for.
  * @param {string} [lang] Language of the request.
  * @param {number} [page=1] Number of the page to retrieve.
+ * @param {number} [pageSize] Number of content pages per page, taken from the request if omitted.
  * @return An array containing all content pages.
  */
-const contentGet = async (query, lang, page) => {
-    const { pages: content, hasNext, total } = await fetchContentPages({ page, q: query, lang });
+const contentGet = async (query, lang, page, pageSize = getPageSize()) => {
+    const { pages: content, hasNext, total } = await fetchContentPages({ page, q: query, lang, pageSize });
 
     return { content, total, hasNext };
 };
@@ -184,58 +320,381 @@ const contentContentIdsGet = async (contentIds, lang) => {
 
 /**
  * This method creates a page using the SAP API.
+ * A deleted page with the same `pageUid` is saved and restored instead, as SAP Commerce still holds it.
  *
  * @param {object} payload Payload created using `createPagePayload`.
  * @return {*} The response data received from the SAP API.
  */
 const contentPost = async (payload) => {
-    const cmsItemBody = createContentPageRequestBody(payload);
+    const masterTemplate = await resolveMasterTemplate(payload.template);
+    const { defaultLang } = getSite();
+    const label = toLocalizedAttribute(payload.path, 'path')?.[defaultLang.toLowerCase()];
+    const deletedPage = await findDeletedPage(`uid:${payload.pageUid}`);
+    if (deletedPage) {
+        logger.logDebug(LOGGING_NAME, `Content page ${payload.pageUid} is deleted, restoring it instead of creating it`);
+        return contentContentIdPut(deletedPage.uuid, payload);
+    }
+    const deletedPageWithLabel = label && (await findDeletedPage(`label:${label}`));
+    if (deletedPageWithLabel) {
+        throw {
+            error: true,
+            data: `Content page ${deletedPageWithLabel.uid} with the URL ${label} is deleted, restore it before creating another page with this URL`,
+            status: 409
+        };
+    }
+    const cmsItemBody = createContentPageRequestBody(payload, undefined, masterTemplate);
 
     logger.logDebug(LOGGING_NAME, `Performing POST request to /cmsitems with body ${JSON.stringify(cmsItemBody)}`);
 
-    const { data } = await httpClient.cmsClient.post(httpClient.constants.FULL_CMS_PATH + `/cmsitems`, cmsItemBody);
+    const { data } = await httpClient.cmsClient.post(getSite().cmsPath + `/cmsitems`, cmsItemBody);
 
     return data.uuid ? { id: data.uuid } : data;
 };
 
 /**
  * This method moves or renames a page using the SAP API.
+ * Saving a deleted page restores it.
  *
  * @param {number} contentId ID of the page to move or rename.
  * @param {object} payload Payload created using `createPagePayload` containing the new values.
  */
-const contentContentIdPut = async (payload, contentId) => {
-    const cmsItemBody = createContentPageRequestBody(payload, contentId);
+const contentContentIdPut = async (contentId, payload) => {
+    const cmsItemBody = createContentPageRequestBody(payload, contentId, await resolveMasterTemplate(payload.template));
 
     logger.logDebug(
         LOGGING_NAME,
         `Performing PUT request to /cmsitems/ with parameters ${contentId} and body ${JSON.stringify(cmsItemBody)}`
     );
 
-    const { data } = await httpClient.cmsClient.put(httpClient.constants.FULL_CMS_PATH + `/cmsitems/` + contentId, cmsItemBody);
+    const { data } = await httpClient.cmsClient.put(getSite().cmsPath + `/cmsitems/` + contentId, cmsItemBody);
+    deletedPages.delete(getDeletedPageKey(contentId));
 
     const responseBody = data.uuid ? { id: data.uuid } : data;
 
     return responseBody;
 };
 
+/**
+ * Returns the key of the given page in the store of deleted pages.
+ * @param {string} contentId the Id of the Page
+ * @return {string} the key of the Page, unique across tenants
+ */
+const getDeletedPageKey = (contentId) => `${getSite().tenantId}:${contentId}`;
+
+/**
+ * Searches the content catalog version of the base site for a deleted Content Page
+ * @param {string} searchParam the attribute to search by, e.g. `uid:homepage`
+ * @return {Promise<*>} the deleted Page, undefined if there is none
+ */
+const findDeletedPage = async (searchParam) => {
+    const { cmsPath, contentCatalogId, contentCatalogVersion, defaultLang } = getSite();
+    const params = new URLSearchParams({
+        catalogId: contentCatalogId,
+        catalogVersion: contentCatalogVersion,
+        currentPage: 0,
+        pageSize: 1,
+        typeCode: 'ContentPage',
+        lang: defaultLang,
+        itemSearchParams: `${searchParam},pageStatus:DELETED`
+    });
+
+    logger.logDebug(LOGGING_NAME, `Performing GET request to /cmsitems with parameters ${params}`);
+
+    const { data } = await httpClient.cmsClient.get(cmsPath + `/cmsitems?${params}`);
+    return data.response?.[0];
+};
+
+/**
+ * Returns who sent the current request, the user passed by the `USER_HEADER` header or the bridge user of the tenant
+ * @return {string} the name of the user
+ */
+const getCurrentUser = () => requestContext.getUser() || getConfig().BRIDGE_AUTH_USERNAME;
+
+/**
+ * Changes the status of the given Content Page, keeping all its other fields
+ * @param {*} page the SAP Commerce Page
+ * @param {string} pageStatus the new status
+ */
+const updatePageStatus = async (page, pageStatus) => {
+    logger.logDebug(LOGGING_NAME, `Performing PUT request to /cmsitems/ with parameters ${page.uuid} and pageStatus ${pageStatus}`);
+
+    await httpClient.cmsClient.put(getSite().cmsPath + `/cmsitems/` + page.uuid, { ...page, pageStatus });
+};
+
 /**
  * This method deletes the page with the given ID.
+ * Unless `CONTENT_DELETE_MODE` is `hard`, the page is kept with the status `DELETED` and can be restored by `contentContentIdRestorePost`.
+ * Who deleted the page and when is recorded in `DELETED_PAGES_FILE`.
  *
  * @param {number} contentId ID of the page to delete.
  */
 const contentContentIdDelete = async (contentId) => {
-    logger.logDebug(LOGGING_NAME, `Performing DELETE request to /cmsitems/ with parameters ${contentId}`);
+    if (CONTENT_DELETE_MODE === 'hard') {
+        logger.logDebug(LOGGING_NAME, `Performing DELETE request to /cmsitems/ with parameters ${contentId}`);
+
+        await httpClient.cmsClient.delete(getSite().cmsPath + `/cmsitems/` + contentId);
+        deletedPages.delete(getDeletedPageKey(contentId));
+        return;
+    }
+
+    const { data: page } = await fetchContentPageById(contentId, getSite().defaultLang);
+    // Like SAP Commerce for hard deletes, unknown and already deleted pages are ignored
+    if (!page?.uuid || page.pageStatus === 'DELETED') {
+        return;
+    }
+    await updatePageStatus(page, 'DELETED');
+    deletedPages.set(getDeletedPageKey(page.uuid), { uid: page.uid, deletedBy: getCurrentUser(), deletedAt: new Date().toISOString() });
+};
+
+/**
+ * This method restores the deleted page with the given ID.
+ *
+ * @param {string} contentId ID of the page to restore.
+ * @return {{id: string}} The ID of the restored page.
+ */
+const contentContentIdRestorePost = async (contentId) => {
+    const page = await fetchExistingContentPage(contentId);
+
+    if (page.pageStatus === 'DELETED') {
+        await updatePageStatus(page, 'ACTIVE');
+    } else {
+        logger.logDebug(LOGGING_NAME, `Content page ${page.uid} is not deleted`);
+    }
+    deletedPages.delete(getDeletedPageKey(page.uuid));
+
+    return { id: page.uuid };
+};
+
+/**
+ * This method returns the deleted pages together with who deleted them and when.
+ * Pages deleted outside of the bridge, e.g. in the SAP Backoffice, have no `deletedBy` and their last modification as `deletedAt`.
+ *
+ * @param {string} [lang] Language of the request.
+ * @param {number} [page=1] Number of the page to retrieve.
+ * @param {number} [pageSize] Number of content pages per page, taken from the request if omitted.
+ * @return The deleted content pages.
+ */
+const contentDeletedGet = async (lang, page, pageSize = getPageSize()) => {
+    const toResponseBody = (deletedPage, lang) => {
+        const { deletedBy = null, deletedAt = deletedPage.modifiedtime } = deletedPages.get(getDeletedPageKey(deletedPage.uuid)) || {};
+        return { ...createContentPageResponseBody(deletedPage, lang), deletedBy, deletedAt };
+    };
+    const { pages: content, hasNext, total } = await fetchContentPages({ page, lang, pageSize, pageStatus: 'DELETED', toResponseBody });
+
+    return { content, total, hasNext };
+};
+
+/**
+ * Returns the path of the CMS endpoints of the content catalog version of the base site
+ * @return {string} the path of the catalog version endpoints
+ */
+const getCatalogVersionPath = () => {
+    const { cmsPath, contentCatalogId, contentCatalogVersion } = getSite();
+    return cmsPath + `/catalogs/${contentCatalogId}/versions/${contentCatalogVersion}`;
+};
+
+/**
+ * Returns the path of the CMS synchronization endpoints from the content catalog version of the base site to its online version
+ * @return {string} the path of the synchronization endpoints
+ */
+const getSynchronizationPath = () => {
+    const { contentCatalogVersion, contentCatalogOnlineVersion } = getSite();
+    if (contentCatalogVersion === contentCatalogOnlineVersion) {
+        throw {
+            error: true,
+            data: `Content pages cannot be released, the content catalog version ${contentCatalogVersion} is already the online version`,
+            status: 409
+        };
+    }
+    return getCatalogVersionPath() + `/synchronizations/versions/${contentCatalogOnlineVersion}`;
+};
+
+/**
+ * Fetches the Content Page with the given Id, rejects if there is none
+ * @param {string} contentId the Id of the Content Page
+ * @param {string} [lang] the Language to be used for the call, defaults to the language of the base site
+ * @return {Promise<*>} the Page found in SAP Commerce
+ */
+const fetchExistingContentPage = async (contentId, lang = getSite().defaultLang) => {
+    const { data } = await fetchContentPageById(contentId, lang);
+    if (!data?.uuid) {
+        throw { error: true, data: `Content page ${contentId} does not exist`, status: 404 };
+    }
+    return data;
+};
+
+/**
+ * Fetches the synchronization status of a Content Page and its dependencies from the CMS webservices
+ * @param {*} page the SAP Commerce Page
+ * @return {Promise<*>} the synchronization status as responded by the CMSWebservices API
+ */
+const fetchSyncStatus = async (page) => {
+    const path = `${getSynchronizationPath()}/pages/${page.uid}`;
+
+    logger.logDebug(LOGGING_NAME, `Performing GET request to ${path}`);
+
+    const { data } = await httpClient.cmsClient.get(path);
+    return data;
+};
+
+/**
+ * Converts the synchronization status of an item to the status returned by the Bridge
+ * @param {*} item the synchronization status of the item as responded by the CMSWebservices API
+ * @return {{id: string, type: string, name: string, status: string}} the status of the item
+ */
+const createSyncItemResponseBody = ({ itemId, itemType, name, status }) => ({ id: itemId, type: itemType, name, status });
+
+/**
+ * Converts the synchronization status of a Content Page to the response body from the Bridge
+ * @param {*} page the SAP Commerce Page
+ * @param {*} syncStatus the synchronization status as responded by the CMSWebservices API
+ * @return {{id: string, status: string, lastSync: string, dependencies: *[], sharedDependencies: *[], unavailableDependencies: *[]}} the release status of the page
+ */
+const createReleaseResponseBody = (page, syncStatus) => ({
+    id: page.uuid,
+    status: syncStatus.status,
+    lastSync: syncStatus.lastSyncStatus ? new Date(syncStatus.lastSyncStatus).toISOString() : null,
+    dependencies: (syncStatus.selectedDependencies || []).map(createSyncItemResponseBody),
+    sharedDependencies: (syncStatus.sharedDependencies || []).map(createSyncItemResponseBody),
+    unavailableDependencies: (syncStatus.unavailableDependencies || []).map(createSyncItemResponseBody)
+});
+
+/**
+ * This method returns the release status of the page with the given ID, i.e. whether it and its dependencies are synchronized to the online
+ * version of the content catalog.
+ *
+ * @param {string} contentId ID of the page.
+ * @return {*} The release status of the page.
+ */
+const contentContentIdReleaseGet = async (contentId) => {
+    const page = await fetchExistingContentPage(contentId);
+
+    return createReleaseResponseBody(page, await fetchSyncStatus(page));
+};
+
+/**
+ * This method releases the page with the given ID by synchronizing it and its dependencies to the online version of the content catalog.
+ * Shared dependencies, e.g. slots used by other pages as well, are not synchronized.
+ * The synchronization runs in SAP Commerce, its progress is reported by `contentContentIdReleaseGet`.
+ *
+ * @param {string} contentId ID of the page to release.
+ * @return {*} The release status of the page after starting the synchronization.
+ */
+const contentContentIdReleasePost = async (contentId) => {
+    const page = await fetchExistingContentPage(contentId);
+    const syncStatus = await fetchSyncStatus(page);
+
+    const unavailable = syncStatus.unavailableDependencies || [];
+    if (unavailable.length) {
+        throw {
+            error: true,
+            data: `Content page ${page.uid} cannot be released before ${unavailable.map(({ itemId }) => itemId).join(', ')}`,
+            status: 409
+        };
+    }
+    const items = [syncStatus, ...(syncStatus.selectedDependencies || [])]
+        .filter(({ status }) => status !== 'IN_SYNC')
+        .map(({ itemId, itemType }) => ({ itemId, itemType }));
+    if (!items.length) {
+        logger.logDebug(LOGGING_NAME, `Content page ${page.uid} is already released`);
+        return createReleaseResponseBody(page, syncStatus);
+    }
+
+    const path = getSynchronizationPath();
+    logger.logDebug(LOGGING_NAME, `Performing POST request to ${path} with body ${JSON.stringify({ items })}`);
+
+    await httpClient.cmsClient.post(path, { items });
+
+    return createReleaseResponseBody(page, await fetchSyncStatus(page));
+};
+
+/**
+ * Fetches the CMSItems with the given UUIDs, e.g. the slots of a page or the components of a slot
+ * @param {string[]} [uuids] the UUIDs of the items
+ * @param {string} lang the Language to be used for the call
+ * @return {Promise<*[]>} the items found in SAP Commerce, in the given order; unknown items are left out
+ */
+const fetchCmsItems = async (uuids = [], lang) => {
+    const items = await Promise.all(
+        uuids.filter((uuid) => typeof uuid === 'string').map(async (uuid) => (await fetchContentPageById(uuid, lang)).data)
+    );
+    return items.filter((item) => !!item?.uuid);
+};
+
+/**
+ * Converts a CMSItem to the summary returned by the Bridge
+ * @param {*} item the CMSItem as responded by the CMSWebservices API
+ * @return {{id: string, uid: string, name: string, type: string}} the summary of the item
+ */
+const createCmsItemResponseBody = ({ uuid, uid, name, typeCode, itemtype }) => ({ id: uuid, uid, name, type: typeCode || itemtype });
 
-    await httpClient.cmsClient.delete(httpClient.constants.FULL_CMS_PATH + `/cmsitems/` + contentId);
+/**
+ * Fetches the relations of the page with the given UID to its content slots, or to the components in its content slots
+ * @param {string} resource the CMS resource of the relations, `pagescontentslots` or `pagescontentslotscomponents`
+ * @param {string} pageUid the UID of the page
+ * @return {Promise<*>} the relations as responded by the CMSWebservices API
+ */
+const fetchPageRelations = async (resource, pageUid) => {
+    const params = new URLSearchParams({ pageId: pageUid });
+
+    logger.logDebug(LOGGING_NAME, `Performing GET request to /${resource} with parameters ${params}`);
+
+    const { data } = await httpClient.cmsClient.get(getCatalogVersionPath() + `/${resource}?${params}`);
+    return data;
+};
+
+/**
+ * This method returns the template of the page with the given ID, its content slots and the components in each slot,
+ * so editors can see which content SAP Commerce already shows on the page.
+ * The slots include the slots of the page template, as they are resolved through the relations of the page to its slots.
+ *
+ * @param {string} contentId ID of the page.
+ * @param {string} [lang] Language of the request.
+ * @return {*} The page with its template and its slots.
+ */
+const contentContentIdSlotsGet = async (contentId, lang = getSite().defaultLang) => {
+    const page = await fetchExistingContentPage(contentId, lang);
+
+    const [[template], { pageContentSlotList: slots = [] }, { pageContentSlotComponentList: slotComponents = [] }] = await Promise.all([
+        fetchCmsItems([page.masterTemplate], lang),
+        fetchPageRelations('pagescontentslots', page.uid),
+        fetchPageRelations('pagescontentslotscomponents', page.uid)
+    ]);
+    slotComponents.sort((a, b) => a.position - b.position);
+    const components = await fetchCmsItems(
+        slotComponents.map(({ componentUuid }) => componentUuid),
+        lang
+    );
+    const componentsByUuid = new Map(components.map((component) => [component.uuid, component]));
+
+    return {
+        ...createContentPageResponseBody(page, lang),
+        // Templates that cannot be fetched are identified by the ID SAP Commerce returns along with the page
+        template: template ? createCmsItemResponseBody(template) : { uid: page.masterTemplateId },
+        slots: slots.map(({ slotId, position, slotShared, slotStatus }) => ({
+            uid: slotId,
+            position,
+            shared: slotShared,
+            status: slotStatus,
+            components: slotComponents
+                .filter((slotComponent) => slotComponent.slotId === slotId && componentsByUuid.has(slotComponent.componentUuid))
+                .map(({ componentUuid }) => componentsByUuid.get(componentUuid))
+                .map((component) => ({ ...createCmsItemResponseBody(component), visible: component.visible }))
+        }))
+    };
 };
 
 module.exports = {
-    contentContentIdsGet,
+    contentContentIdsGet: instrument('contentContentIdsGet', contentContentIdsGet),
     getContentUrl,
     getContentIdByUrl,
-    contentGet,
-    contentPost,
-    contentContentIdPut,
-    contentContentIdDelete
+    contentGet: instrument('contentGet', contentGet),
+    contentPost: instrument('contentPost', contentPost),
+    contentContentIdPut: instrument('contentContentIdPut', contentContentIdPut),
+    contentContentIdDelete: instrument('contentContentIdDelete', contentContentIdDelete),
+    contentContentIdRestorePost: instrument('contentContentIdRestorePost', contentContentIdRestorePost),
+    contentDeletedGet: instrument('contentDeletedGet', contentDeletedGet),
+    contentContentIdSlotsGet: instrument('contentContentIdSlotsGet', contentContentIdSlotsGet),
+    contentContentIdReleaseGet: instrument('contentContentIdReleaseGet', contentContentIdReleaseGet),
+    contentContentIdReleasePost: instrument('contentContentIdReleasePost', contentContentIdReleasePost)
 };
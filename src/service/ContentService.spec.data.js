@@ -92,6 +92,54 @@ module.exports = {
             }
         ]
     },
+    // Data received from /catalogs/{catalogId}/versions/{versionId}/pagescontentslots?pageId=testpage
+    pagesContentSlotsGet: {
+        pageContentSlotList: [
+            {
+                pageId: 'testpage',
+                position: 'SiteLogo',
+                slotId: 'SiteLogoSlot',
+                slotShared: true,
+                slotStatus: 'TEMPLATE'
+            },
+            {
+                pageId: 'testpage',
+                position: 'Section1',
+                slotId: 'Section1Slot-TestPage',
+                slotShared: false,
+                slotStatus: 'PAGE'
+            }
+        ]
+    },
+    // Data received from /catalogs/{catalogId}/versions/{versionId}/pagescontentslotscomponents?pageId=testpage
+    pagesContentSlotsComponentsGet: {
+        pageContentSlotComponentList: [
+            {
+                componentId: 'TestPageParagraph2',
+                componentUuid:
+                    'eyJpdGVtSWQiOiJUZXN0UGFnZVBhcmFncmFwaDIiLCJjYXRhbG9nSWQiOiJlbGVjdHJvbmljcy1zcGFDb250ZW50Q2F0YWxvZyIsImNhdGFsb2dWZXJzaW9uIjoiT25saW5lIn0=',
+                pageId: 'testpage',
+                position: 1,
+                slotId: 'Section1Slot-TestPage'
+            },
+            {
+                componentId: 'SiteLogoComponent',
+                componentUuid:
+                    'eyJpdGVtSWQiOiJTaXRlTG9nb0NvbXBvbmVudCIsImNhdGFsb2dJZCI6ImVsZWN0cm9uaWNzLXNwYUNvbnRlbnRDYXRhbG9nIiwiY2F0YWxvZ1ZlcnNpb24iOiJPbmxpbmUifQ==',
+                pageId: 'testpage',
+                position: 0,
+                slotId: 'SiteLogoSlot'
+            },
+            {
+                componentId: 'TestPageParagraph1',
+                componentUuid:
+                    'eyJpdGVtSWQiOiJUZXN0UGFnZVBhcmFncmFwaDEiLCJjYXRhbG9nSWQiOiJlbGVjdHJvbmljcy1zcGFDb250ZW50Q2F0YWxvZyIsImNhdGFsb2dWZXJzaW9uIjoiT25saW5lIn0=',
+                pageId: 'testpage',
+                position: 0,
+                slotId: 'Section1Slot-TestPage'
+            }
+        ]
+    },
     requestBody: {
         template: 'contentpage',
         visible: true,
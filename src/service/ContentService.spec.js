@@ -1,5 +1,8 @@
 const httpClient = require('../utils/http-client');
 const service = require('./ContentService');
+const requestContext = require('../utils/request-context');
+const { createFileStore } = require('../utils/file-store');
+const { getPageTemplateUuid } = require('../utils/page-templates');
 const data = require('./ContentService.spec.data'); /* same as before (the shop responses dont change) */
 
 const testTemplateMap = {
@@ -7,10 +10,30 @@ const testTemplateMap = {
 };
 
 jest.mock('../../src/utils/http-client');
+jest.mock('../utils/file-store', () => {
+    const entries = new Map();
+    const store = {
+        get: (key) => entries.get(key),
+        set: (key, value) => entries.set(key, value),
+        delete: (key) => entries.delete(key),
+        entries: () => [...entries],
+        clear: () => entries.clear()
+    };
+    return { createFileStore: () => store };
+});
+jest.mock('../utils/page-templates');
 jest.mock('../resources/FStoSAPTemplateMapping.json', () => testTemplateMap);
+jest.mock('../resources/SiteConfiguration.json', () => ({
+    'apparel-uk-spa': { contentCatalogId: 'apparel-ukContentCatalog', contentCatalogVersion: 'Staged' },
+    'apparel-de-spa': { contentCatalogId: 'apparel-deContentCatalog', contentCatalogVersion: 'Online' }
+}));
 
 describe('ContentService', () => {
-    httpClient.constants.FULL_CMS_PATH = 'FULL_PATH';
+    const cmsPath = 'cms/path/base_site';
+    const deletedPages = createFileStore();
+
+    beforeEach(() => getPageTemplateUuid.mockImplementation(async (uid) => (uid === 'resultTemplate' ? 'resultTemplateUuid' : undefined)));
+    beforeEach(() => deletedPages.clear());
 
     describe('contentGet', () => {
         it('should fetch all ContentPages if no contentIds are provided', async () => {
@@ -27,6 +50,45 @@ describe('ContentService', () => {
             expect(result.total).toEqual(data.contentPagesGet.pagination.totalCount);
             expect(result.hasNext).toEqual(expectedHasNextValue);
         });
+        it('searches only pages that are not deleted, so SAP Commerce counts them', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: data.contentPagesGet, status: 200 });
+
+            await service.contentGet(undefined, 'en');
+
+            expect(new URL(httpClient.cmsClient.get.mock.calls[0][0], 'http://localhost').searchParams.get('itemSearchParams')).toEqual(
+                'pageStatus:ACTIVE'
+            );
+        });
+    });
+    describe('contentGet with page size', () => {
+        it('requests the given page size', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: data.contentPagesGet, status: 200 });
+
+            const result = await service.contentGet('testPage', 'EN', 2, 4);
+
+            const params = new URL(httpClient.cmsClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(params.get('pageSize')).toEqual('4');
+            expect(params.get('currentPage')).toEqual('1');
+            expect(result.hasNext).toEqual(true);
+        });
+        it('has no next page if the last page is exactly full', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: data.contentPagesGet, status: 200 });
+
+            const result = await service.contentGet('testPage', 'EN', 2, 5);
+
+            expect(result.hasNext).toEqual(false);
+        });
+    });
+    describe('contentGet without total count', () => {
+        it('derives the total from the returned pages and reports no next page', async () => {
+            const { pagination, ...response } = data.contentPagesGet;
+            httpClient.cmsClient.get.mockResolvedValue({ data: response, status: 200 });
+
+            const result = await service.contentGet('testPage', 'EN', 1, 2);
+
+            expect(result.total).toEqual(response.response.length);
+            expect(result.hasNext).toEqual(false);
+        });
     });
     describe('contentContentIdsGet', () => {
         it('should fetch specific content  by Id', async () => {
@@ -44,6 +106,45 @@ describe('ContentService', () => {
             });
             expect(result.total).toEqual(2);
         });
+        it('leaves out unknown IDs before mapping the pages', async () => {
+            const testPage = data.contentPagesGet.response[0];
+            const unknown = { errors: [{ type: 'UnknownIdentifierError', message: 'No item found for uuid unknown' }] };
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: unknown, status: 400 })
+                .mockRejectedValueOnce({ error: true, status: 500 })
+                .mockResolvedValue({ data: testPage, status: 200 });
+
+            const result = await service.contentContentIdsGet(['unknown', 'failing', testPage.uuid]);
+
+            expect(result.content.map(({ id }) => id)).toEqual([testPage.uuid]);
+            expect(result.total).toEqual(1);
+        });
+        it('returns the metadata of the page', async () => {
+            const page = {
+                ...data.contentPagesGet.response[0],
+                title: { en: 'Test page', de: 'Testseite' },
+                description: { en: 'Description', de: 'Beschreibung' },
+                keywords: { en: 'test, page', de: 'Test, Seite' },
+                robotTag: 'NOINDEX_NOFOLLOW',
+                homepage: true
+            };
+            httpClient.cmsClient.get.mockResolvedValue({ data: page, status: 200 });
+
+            const result = await service.contentContentIdsGet([page.uuid], 'DE');
+
+            expect(result.content).toEqual([
+                {
+                    id: page.uuid,
+                    label: 'Testseite',
+                    extract: page.label,
+                    labels: { en: 'Test page', de: 'Testseite' },
+                    description: 'Beschreibung',
+                    keywords: 'Test, Seite',
+                    robots: 'noindex, nofollow',
+                    homepage: true
+                }
+            ]);
+        });
     });
     describe('getContentUrl', () => {
         const testPage = data.contentPagesGet.response[0];
@@ -57,14 +158,145 @@ describe('ContentService', () => {
             expect(result).toEqual({ url: testPage.label });
         });
     });
+    describe('getContentIdByUrl', () => {
+        it('returns the ID of the content page with the given URL', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: data.contentPagesGet, status: 200 });
+
+            const result = await service.getContentIdByUrl('testpage');
+
+            expect(result).toEqual({ type: 'content', id: data.contentPagesGet.response[0].uuid });
+            expect(httpClient.cmsClient.get.mock.calls[0][0]).toContain('lang=en&itemSearchParams=label%3Atestpage%2CpageStatus%3AACTIVE');
+        });
+        it('returns null if no content page has the given URL', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { response: [] }, status: 200 });
+
+            const result = await service.getContentIdByUrl('unknown', 'de');
+
+            expect(result).toEqual(null);
+        });
+    });
     describe('contentContentIdDelete', () => {
-        it('should remove the page', async () => {
-            const testLang = 'EN';
+        const testPage = data.contentPagesGet.response[0];
+
+        afterEach(() => jest.restoreAllMocks());
+
+        it('should mark the page as deleted', async () => {
+            jest.spyOn(Date.prototype, 'toISOString').mockReturnValue('2024-05-01T10:00:00.000Z');
+            const req = { headers: { 'x-user': 'jdoe' }, query: {} };
+            httpClient.cmsClient.get.mockResolvedValue({ data: testPage, status: 200 });
+
+            await requestContext.run({ req }, () => service.contentContentIdDelete(testPage.uuid));
+
+            expect(httpClient.cmsClient.delete).not.toHaveBeenCalled();
+            expect(httpClient.cmsClient.put).toHaveBeenCalledWith(`${cmsPath}/cmsitems/${testPage.uuid}`, {
+                ...testPage,
+                pageStatus: 'DELETED'
+            });
+            expect(deletedPages.get(`default:${testPage.uuid}`)).toEqual({
+                uid: testPage.uid,
+                deletedBy: 'jdoe',
+                deletedAt: '2024-05-01T10:00:00.000Z'
+            });
+        });
+        it('should record the bridge user if the request names no user', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: testPage, status: 200 });
+
+            await service.contentContentIdDelete(testPage.uuid);
+
+            expect(deletedPages.get(`default:${testPage.uuid}`).deletedBy).toEqual(process.env.BRIDGE_AUTH_USERNAME);
+        });
+        it('should ignore unknown and deleted pages', async () => {
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: { errors: [{ type: 'UnknownIdentifierError' }] }, status: 404 })
+                .mockResolvedValueOnce({ data: { ...testPage, pageStatus: 'DELETED' }, status: 200 });
+
+            await service.contentContentIdDelete('unknown');
+            await service.contentContentIdDelete(testPage.uuid);
+
+            expect(httpClient.cmsClient.put).not.toHaveBeenCalled();
+        });
+        it('should remove the page if hard deletes are configured', async () => {
+            process.env.CONTENT_DELETE_MODE = 'hard';
             const testContentId = '123';
+            // The delete mode is read when the service is loaded
+            let isolated;
+            jest.isolateModules(() => {
+                isolated = {
+                    service: require('./ContentService'),
+                    httpClient: require('../utils/http-client'),
+                    deletedPages: require('../utils/file-store').createFileStore()
+                };
+            });
+            delete process.env.CONTENT_DELETE_MODE;
+            isolated.deletedPages.set(`default:${testContentId}`, { uid: 'testpage' });
 
-            await service.contentContentIdDelete(testContentId, testLang);
+            await isolated.service.contentContentIdDelete(testContentId);
 
-            expect(httpClient.cmsClient.delete.mock.calls[0][0]).toEqual(`${httpClient.constants.FULL_CMS_PATH}/cmsitems/${testContentId}`);
+            expect(isolated.httpClient.cmsClient.delete.mock.calls[0][0]).toEqual(`${cmsPath}/cmsitems/${testContentId}`);
+            expect(isolated.httpClient.cmsClient.put).not.toHaveBeenCalled();
+            expect(isolated.deletedPages.get(`default:${testContentId}`)).toBeUndefined();
+        });
+    });
+    describe('contentContentIdRestorePost', () => {
+        const testPage = { ...data.contentPagesGet.response[0], pageStatus: 'DELETED' };
+
+        it('should restore the page', async () => {
+            deletedPages.set(`default:${testPage.uuid}`, { uid: testPage.uid });
+            httpClient.cmsClient.get.mockResolvedValue({ data: testPage, status: 200 });
+
+            const result = await service.contentContentIdRestorePost(testPage.uuid);
+
+            expect(result).toEqual({ id: testPage.uuid });
+            expect(httpClient.cmsClient.put).toHaveBeenCalledWith(`${cmsPath}/cmsitems/${testPage.uuid}`, {
+                ...testPage,
+                pageStatus: 'ACTIVE'
+            });
+            expect(deletedPages.get(`default:${testPage.uuid}`)).toBeUndefined();
+        });
+        it('should not change pages that are not deleted', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { ...testPage, pageStatus: 'ACTIVE' }, status: 200 });
+
+            await service.contentContentIdRestorePost(testPage.uuid);
+
+            expect(httpClient.cmsClient.put).not.toHaveBeenCalled();
+        });
+        it('should reject unknown pages', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { errors: [{ type: 'UnknownIdentifierError' }] }, status: 404 });
+
+            await expect(service.contentContentIdRestorePost('unknown')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+        });
+    });
+    describe('contentDeletedGet', () => {
+        it('should return the deleted pages with who deleted them and when', async () => {
+            const [deletedPage, backofficePage] = data.contentPagesGet.response.map((page) => ({ ...page, pageStatus: 'DELETED' }));
+            deletedPages.set(`default:${deletedPage.uuid}`, {
+                uid: deletedPage.uid,
+                deletedBy: 'jdoe',
+                deletedAt: '2024-05-01T10:00:00.000Z'
+            });
+            httpClient.cmsClient.get.mockResolvedValue({
+                data: { response: [deletedPage, backofficePage], pagination: { totalCount: 2 } },
+                status: 200
+            });
+
+            const result = await service.contentDeletedGet('en', 1, 10);
+
+            expect(new URL(httpClient.cmsClient.get.mock.calls[0][0], 'http://localhost').searchParams.get('itemSearchParams')).toEqual(
+                'pageStatus:DELETED'
+            );
+            expect(result.total).toEqual(2);
+            expect(result.content).toEqual([
+                expect.objectContaining({ id: deletedPage.uuid, deletedBy: 'jdoe', deletedAt: '2024-05-01T10:00:00.000Z' }),
+                expect.objectContaining({ id: backofficePage.uuid, deletedBy: null, deletedAt: backofficePage.modifiedtime })
+            ]);
+        });
+        it('should list deleted pages whose metadata was lost', async () => {
+            const deletedPage = { ...data.contentPagesGet.response[0], pageStatus: 'DELETED' };
+            httpClient.cmsClient.get.mockResolvedValue({ data: { response: [deletedPage], pagination: { totalCount: 1 } }, status: 200 });
+
+            const result = await service.contentDeletedGet('en', 1, 10);
+
+            expect(result.content).toEqual([expect.objectContaining({ id: deletedPage.uuid, deletedBy: null })]);
         });
     });
     describe('contentPost', () => {
@@ -83,21 +315,161 @@ describe('ContentService', () => {
                 de: 'testpage-de'
             }
         };
+
+        // No deleted page has the UID or URL of the page
+        beforeEach(() => httpClient.cmsClient.get.mockResolvedValue({ data: { response: [] }, status: 200 }));
+
         it('should add the page', async () => {
             const createPagePayloadResponse = { data: { uuid: '123' }, status: 201 };
             httpClient.cmsClient.post.mockResolvedValue(createPagePayloadResponse);
 
             await service.contentPost(testRequestBody);
 
-            expect(httpClient.cmsClient.post.mock.calls[0][0]).toEqual(`${httpClient.constants.FULL_CMS_PATH}/cmsitems`);
+            expect(httpClient.cmsClient.post.mock.calls[0][0]).toEqual(`${cmsPath}/cmsitems`);
             expect(httpClient.cmsClient.post.mock.calls[0][1].uid).toEqual(testRequestBody.pageUid);
-            expect(httpClient.cmsClient.post.mock.calls[0][1].masterTemplate).toEqual(testTemplateMap[testRequestBody.template]);
+            expect(getPageTemplateUuid).toHaveBeenCalledWith(testTemplateMap[testRequestBody.template]);
+            expect(httpClient.cmsClient.post.mock.calls[0][1].masterTemplate).toEqual('resultTemplateUuid');
             expect(httpClient.cmsClient.post.mock.calls[0][1].approvalStatus).toEqual('APPROVED');
             expect(httpClient.cmsClient.post.mock.calls[0][1].pageStatus).toEqual('ACTIVE');
             expect(httpClient.cmsClient.post.mock.calls[0][1].label).toEqual(testRequestBody.path[defaultLang]);
             expect(httpClient.cmsClient.post.mock.calls[0][1].name).toEqual(testRequestBody.label[defaultLang]);
             expect(httpClient.cmsClient.post.mock.calls[0][1].title).toEqual(testRequestBody.label);
         });
+        it('should hide pages that are not released by their approval status', async () => {
+            httpClient.cmsClient.post.mockResolvedValue({ data: { uuid: '123' }, status: 201 });
+
+            await service.contentPost({ ...testRequestBody, released: false });
+
+            expect(httpClient.cmsClient.post.mock.calls[0][1].approvalStatus).toEqual('UNAPPROVED');
+            expect(httpClient.cmsClient.post.mock.calls[0][1].pageStatus).toEqual('ACTIVE');
+        });
+        it('should restore a deleted page with the same page UID instead of adding it', async () => {
+            deletedPages.set('default:deletedUuid', { uid: testRequestBody.pageUid, deletedBy: 'jdoe' });
+            httpClient.cmsClient.get.mockResolvedValueOnce({ data: { response: [{ uuid: 'deletedUuid', uid: 'testpage' }] }, status: 200 });
+            httpClient.cmsClient.put.mockResolvedValue({ data: { uuid: 'deletedUuid' }, status: 200 });
+
+            const result = await service.contentPost(testRequestBody);
+
+            expect(new URL(httpClient.cmsClient.get.mock.calls[0][0], 'http://localhost').searchParams.get('itemSearchParams')).toEqual(
+                'uid:testpage,pageStatus:DELETED'
+            );
+            expect(result).toEqual({ id: 'deletedUuid' });
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+            expect(httpClient.cmsClient.put.mock.calls[0][0]).toEqual(`${cmsPath}/cmsitems/deletedUuid`);
+            expect(httpClient.cmsClient.put.mock.calls[0][1]).toEqual(expect.objectContaining({ uid: 'testpage', pageStatus: 'ACTIVE' }));
+            expect(deletedPages.get('default:deletedUuid')).toBeUndefined();
+        });
+        it('should reject pages with the URL of a deleted page', async () => {
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: { response: [] }, status: 200 })
+                .mockResolvedValueOnce({ data: { response: [{ uuid: 'deletedUuid', uid: 'otherpage' }] }, status: 200 });
+
+            await expect(service.contentPost(testRequestBody)).rejects.toEqual(
+                expect.objectContaining({
+                    status: 409,
+                    data: `Content page otherpage with the URL testpage-en is deleted, restore it before creating another page with this URL`
+                })
+            );
+            expect(new URL(httpClient.cmsClient.get.mock.calls[1][0], 'http://localhost').searchParams.get('itemSearchParams')).toEqual(
+                'label:testpage-en,pageStatus:DELETED'
+            );
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+        });
+        it('should write the metadata of the page', async () => {
+            httpClient.cmsClient.post.mockResolvedValue({ data: { uuid: '123' }, status: 201 });
+
+            await service.contentPost({
+                ...testRequestBody,
+                label: { EN: 'TestPage en', de: 'TestPage de' },
+                description: { en: 'Description en', de: 'Description de' },
+                keywords: { en: ['test', 'page'], de: 'test, seite' },
+                robots: 'NOINDEX,follow',
+                homepage: true
+            });
+
+            expect(httpClient.cmsClient.post.mock.calls[0][1]).toEqual(
+                expect.objectContaining({
+                    name: 'TestPage en',
+                    title: { en: 'TestPage en', de: 'TestPage de' },
+                    description: { en: 'Description en', de: 'Description de' },
+                    keywords: { en: 'test, page', de: 'test, seite' },
+                    robotTag: 'NOINDEX_FOLLOW',
+                    homepage: true,
+                    defaultPage: true
+                })
+            );
+        });
+        it('should write metadata without language in the default language', async () => {
+            httpClient.cmsClient.post.mockResolvedValue({ data: { uuid: '123' }, status: 201 });
+
+            await service.contentPost({ ...testRequestBody, description: 'Summer sale', keywords: ['summer', 'sale'] });
+
+            expect(httpClient.cmsClient.post.mock.calls[0][1]).toEqual(
+                expect.objectContaining({ description: { [defaultLang]: 'Summer sale' }, keywords: { [defaultLang]: 'summer, sale' } })
+            );
+        });
+        it('should write localized metadata by language', async () => {
+            httpClient.cmsClient.post.mockResolvedValue({ data: { uuid: '123' }, status: 201 });
+
+            await service.contentPost({ ...testRequestBody, description: { EN: 'Summer sale', de: 'Sommerschlussverkauf' } });
+
+            expect(httpClient.cmsClient.post.mock.calls[0][1].description).toEqual({ en: 'Summer sale', de: 'Sommerschlussverkauf' });
+        });
+        it('should reject metadata that is no map of languages', async () => {
+            await expect(service.contentPost({ ...testRequestBody, description: 42 })).rejects.toEqual(
+                expect.objectContaining({ name: 'BodyValidationError', cause: [expect.objectContaining({ field: 'description' })] })
+            );
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+        });
+        it('should leave out missing metadata', async () => {
+            httpClient.cmsClient.post.mockResolvedValue({ data: { uuid: '123' }, status: 201 });
+
+            await service.contentPost(testRequestBody);
+
+            const body = httpClient.cmsClient.post.mock.calls[0][1];
+            expect(body.homepage).toEqual(false);
+            expect(JSON.parse(JSON.stringify(body))).not.toHaveProperty('robotTag');
+            expect(JSON.parse(JSON.stringify(body))).not.toHaveProperty('description');
+        });
+        it('should reject unknown robots tags', async () => {
+            await expect(service.contentPost({ ...testRequestBody, robots: 'nofollow' })).rejects.toEqual(
+                expect.objectContaining({ name: 'BodyValidationError', cause: [expect.objectContaining({ field: 'robots' })] })
+            );
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+        });
+        it('should reject templates without mapping before any request', async () => {
+            await expect(service.contentPost({ ...testRequestBody, template: 'unknown' })).rejects.toEqual(
+                expect.objectContaining({
+                    name: 'BodyValidationError',
+                    message: 'FirstSpirit template "unknown" is not mapped to a SAP Commerce page template',
+                    cause: [expect.objectContaining({ field: 'template', cause: 'wrongTemplateMapping', code: '1020' })]
+                })
+            );
+            expect(getPageTemplateUuid).not.toHaveBeenCalled();
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+        });
+        it('should reject templates mapped to page templates missing in SAP Commerce', async () => {
+            getPageTemplateUuid.mockResolvedValue(undefined);
+
+            await expect(service.contentPost(testRequestBody)).rejects.toEqual(
+                expect.objectContaining({
+                    name: 'BodyValidationError',
+                    message: expect.stringContaining(
+                        'SAP Commerce page template "resultTemplate" of FirstSpirit template "content" does not exist'
+                    )
+                })
+            );
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+        });
+        it('should add the page to the content catalog of the selected base site', async () => {
+            const req = { headers: {}, query: { baseSiteId: 'apparel-uk-spa' } };
+            httpClient.cmsClient.post.mockResolvedValue({ data: { uuid: '123' }, status: 201 });
+
+            await requestContext.run({ req }, () => service.contentPost(testRequestBody));
+
+            expect(httpClient.cmsClient.post.mock.calls[0][0]).toEqual('cms/path/apparel-uk-spa/cmsitems');
+            expect(httpClient.cmsClient.post.mock.calls[0][1].catalogVersion).toEqual('apparel-ukContentCatalog/Staged');
+        });
     });
     describe('contentContentIdPut', () => {
         const defaultLang = process.env.DEFAULT_LANG;
@@ -120,17 +492,215 @@ describe('ContentService', () => {
             const createPagePayloadResponse = { data: { uuid: testContentId }, status: 201 };
             httpClient.cmsClient.put.mockResolvedValue(createPagePayloadResponse);
 
-            await service.contentContentIdPut(testRequestBody, testContentId);
+            await service.contentContentIdPut(testContentId, testRequestBody);
 
-            expect(httpClient.cmsClient.put.mock.calls[0][0]).toEqual(`${httpClient.constants.FULL_CMS_PATH}/cmsitems/${testContentId}`);
+            expect(httpClient.cmsClient.put.mock.calls[0][0]).toEqual(`${cmsPath}/cmsitems/${testContentId}`);
             expect(httpClient.cmsClient.put.mock.calls[0][1].uuid).toEqual(testContentId);
             expect(httpClient.cmsClient.put.mock.calls[0][1].uid).toEqual(testRequestBody.pageUid);
-            expect(httpClient.cmsClient.put.mock.calls[0][1].masterTemplate).toEqual(testTemplateMap[testRequestBody.template]);
+            expect(httpClient.cmsClient.put.mock.calls[0][1].masterTemplate).toEqual('resultTemplateUuid');
             expect(httpClient.cmsClient.put.mock.calls[0][1].approvalStatus).toEqual('APPROVED');
             expect(httpClient.cmsClient.put.mock.calls[0][1].pageStatus).toEqual('ACTIVE');
             expect(httpClient.cmsClient.put.mock.calls[0][1].label).toEqual(testRequestBody.path[defaultLang]);
             expect(httpClient.cmsClient.put.mock.calls[0][1].name).toEqual(testRequestBody.label[defaultLang]);
             expect(httpClient.cmsClient.put.mock.calls[0][1].title).toEqual(testRequestBody.label);
         });
+        it('should restore deleted pages', async () => {
+            deletedPages.set(`default:${testContentId}`, { uid: testRequestBody.pageUid, deletedBy: 'jdoe' });
+            httpClient.cmsClient.put.mockResolvedValue({ data: { uuid: testContentId }, status: 200 });
+
+            await service.contentContentIdPut(testContentId, testRequestBody);
+
+            expect(httpClient.cmsClient.put.mock.calls[0][1].pageStatus).toEqual('ACTIVE');
+            expect(deletedPages.get(`default:${testContentId}`)).toBeUndefined();
+        });
+    });
+    describe('contentContentIdSlotsGet', () => {
+        const page = data.contentPagesGet.response[0];
+        const versionPath = `${cmsPath}/catalogs/content_catalog_id/versions/content_catalog_version`;
+        const [logoUuid, paragraph1Uuid] = ['SiteLogoComponent', 'TestPageParagraph1'].map(
+            (uid) =>
+                data.pagesContentSlotsComponentsGet.pageContentSlotComponentList.find(({ componentId }) => componentId === uid)
+                    .componentUuid
+        );
+        const items = {
+            [page.uuid]: page,
+            [page.masterTemplate]: {
+                uuid: page.masterTemplate,
+                uid: 'LandingPage2Template',
+                name: 'Landing Page 2',
+                typeCode: 'PageTemplate'
+            },
+            [logoUuid]: { uuid: logoUuid, uid: 'SiteLogoComponent', name: 'Site Logo', typeCode: 'SimpleBannerComponent', visible: true },
+            [paragraph1Uuid]: {
+                uuid: paragraph1Uuid,
+                uid: 'TestPageParagraph1',
+                name: 'Paragraph',
+                typeCode: 'CMSParagraphComponent',
+                visible: false
+            }
+        };
+
+        beforeEach(() => {
+            httpClient.cmsClient.get.mockImplementation(async (url) => {
+                if (url.startsWith(`${versionPath}/pagescontentslots?`)) {
+                    return { data: data.pagesContentSlotsGet, status: 200 };
+                }
+                if (url.startsWith(`${versionPath}/pagescontentslotscomponents?`)) {
+                    return { data: data.pagesContentSlotsComponentsGet, status: 200 };
+                }
+                const [uuid] = url.replace(`${cmsPath}/cmsitems/`, '').split('?');
+                return { data: items[uuid] || { errors: [{ type: 'UnknownIdentifierError' }] }, status: 200 };
+            });
+        });
+
+        it('returns the template, slots and components of the page', async () => {
+            const result = await service.contentContentIdSlotsGet(page.uuid, 'en');
+
+            expect(result).toEqual(
+                expect.objectContaining({
+                    id: page.uuid,
+                    extract: page.label,
+                    template: { id: page.masterTemplate, uid: 'LandingPage2Template', name: 'Landing Page 2', type: 'PageTemplate' },
+                    slots: [
+                        {
+                            uid: 'SiteLogoSlot',
+                            position: 'SiteLogo',
+                            shared: true,
+                            status: 'TEMPLATE',
+                            components: [
+                                { id: logoUuid, uid: 'SiteLogoComponent', name: 'Site Logo', type: 'SimpleBannerComponent', visible: true }
+                            ]
+                        },
+                        {
+                            uid: 'Section1Slot-TestPage',
+                            position: 'Section1',
+                            shared: false,
+                            status: 'PAGE',
+                            components: [
+                                {
+                                    id: paragraph1Uuid,
+                                    uid: 'TestPageParagraph1',
+                                    name: 'Paragraph',
+                                    type: 'CMSParagraphComponent',
+                                    visible: false
+                                }
+                            ]
+                        }
+                    ]
+                })
+            );
+        });
+        it('resolves the slots and components through the relations of the page', async () => {
+            await service.contentContentIdSlotsGet(page.uuid, 'en');
+
+            expect(httpClient.cmsClient.get).toHaveBeenCalledWith(`${versionPath}/pagescontentslots?pageId=${page.uid}`);
+            expect(httpClient.cmsClient.get).toHaveBeenCalledWith(`${versionPath}/pagescontentslotscomponents?pageId=${page.uid}`);
+            expect(httpClient.cmsClient.get).toHaveBeenCalledWith(`${cmsPath}/cmsitems/${logoUuid}?lang=en&pageSize=500&currentPage=0`);
+        });
+        it('rejects unknown pages', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { errors: [{ type: 'UnknownIdentifierError' }] }, status: 404 });
+
+            await expect(service.contentContentIdSlotsGet('unknown', 'en')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+        });
+    });
+    describe('contentContentIdReleaseGet', () => {
+        const page = data.contentPagesGet.response[0];
+        const syncPath = `${cmsPath}/catalogs/content_catalog_id/versions/content_catalog_version/synchronizations/versions/Online`;
+
+        it('returns the synchronization status of the page and its dependencies', async () => {
+            httpClient.cmsClient.get.mockResolvedValueOnce({ data: page, status: 200 }).mockResolvedValueOnce({
+                data: {
+                    itemId: page.uid,
+                    itemType: 'ContentPage',
+                    name: page.name,
+                    status: 'IN_SYNC',
+                    lastSyncStatus: 1645615025000,
+                    selectedDependencies: [{ itemId: 'Section1Slot', itemType: 'ContentSlot', name: 'Section1', status: 'IN_SYNC' }],
+                    sharedDependencies: [{ itemId: 'FooterSlot', itemType: 'ContentSlot', name: 'Footer', status: 'NOT_SYNC' }]
+                },
+                status: 200
+            });
+
+            const result = await service.contentContentIdReleaseGet(page.uuid);
+
+            expect(httpClient.cmsClient.get.mock.calls[1][0]).toEqual(`${syncPath}/pages/${page.uid}`);
+            expect(result).toEqual({
+                id: page.uuid,
+                status: 'IN_SYNC',
+                lastSync: '2022-02-23T11:17:05.000Z',
+                dependencies: [{ id: 'Section1Slot', type: 'ContentSlot', name: 'Section1', status: 'IN_SYNC' }],
+                sharedDependencies: [{ id: 'FooterSlot', type: 'ContentSlot', name: 'Footer', status: 'NOT_SYNC' }],
+                unavailableDependencies: []
+            });
+        });
+        it('rejects unknown pages', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { errors: [{ type: 'UnknownIdentifierError' }] }, status: 404 });
+
+            await expect(service.contentContentIdReleaseGet('unknown')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+        });
+        it('rejects sites whose content catalog version is the online version', async () => {
+            const req = { headers: {}, query: { baseSiteId: 'apparel-de-spa' } };
+            httpClient.cmsClient.get.mockResolvedValue({ data: page, status: 200 });
+
+            await expect(requestContext.run({ req }, () => service.contentContentIdReleaseGet(page.uuid))).rejects.toEqual(
+                expect.objectContaining({ status: 409 })
+            );
+        });
+    });
+    describe('contentContentIdReleasePost', () => {
+        const page = data.contentPagesGet.response[0];
+        const syncPath = `${cmsPath}/catalogs/content_catalog_id/versions/content_catalog_version/synchronizations/versions/Online`;
+        const syncStatus = {
+            itemId: page.uid,
+            itemType: 'ContentPage',
+            status: 'NOT_SYNC',
+            selectedDependencies: [
+                { itemId: 'Section1Slot', itemType: 'ContentSlot', status: 'NOT_SYNC' },
+                { itemId: 'Section2Slot', itemType: 'ContentSlot', status: 'IN_SYNC' }
+            ],
+            sharedDependencies: [{ itemId: 'FooterSlot', itemType: 'ContentSlot', status: 'NOT_SYNC' }],
+            unavailableDependencies: []
+        };
+
+        it('synchronizes the page and its dependencies that are not in sync', async () => {
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: page, status: 200 })
+                .mockResolvedValueOnce({ data: syncStatus, status: 200 })
+                .mockResolvedValueOnce({ data: { ...syncStatus, status: 'IN_PROGRESS' }, status: 200 });
+
+            const result = await service.contentContentIdReleasePost(page.uuid);
+
+            expect(httpClient.cmsClient.post).toHaveBeenCalledWith(syncPath, {
+                items: [
+                    { itemId: page.uid, itemType: 'ContentPage' },
+                    { itemId: 'Section1Slot', itemType: 'ContentSlot' }
+                ]
+            });
+            expect(result.status).toEqual('IN_PROGRESS');
+        });
+        it('does not synchronize pages that are in sync', async () => {
+            const inSync = { ...syncStatus, status: 'IN_SYNC', selectedDependencies: [] };
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: page, status: 200 })
+                .mockResolvedValueOnce({ data: inSync, status: 200 });
+
+            const result = await service.contentContentIdReleasePost(page.uuid);
+
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+            expect(result.status).toEqual('IN_SYNC');
+        });
+        it('rejects pages with unavailable dependencies', async () => {
+            const unavailable = { ...syncStatus, unavailableDependencies: [{ itemId: 'LandingPage2Template', itemType: 'PageTemplate' }] };
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: page, status: 200 })
+                .mockResolvedValueOnce({ data: unavailable, status: 200 });
+
+            await expect(service.contentContentIdReleasePost(page.uuid)).rejects.toEqual({
+                error: true,
+                data: `Content page ${page.uid} cannot be released before LandingPage2Template`,
+                status: 409
+            });
+            expect(httpClient.cmsClient.post).not.toHaveBeenCalled();
+        });
     });
 });
@@ -2,23 +2,31 @@ const ContentPages = require('./ContentService');
 const Categories = require('./CategoriesService');
 const Products = require('./ProductsService');
 const logger = require('../utils/logger');
+const { instrument } = require('../utils/metrics');
+const requestContext = require('../utils/request-context');
 
 const LOGGING_NAME = 'MappingService';
 
 /**
  * This method returns an identifier for a given Storefront URL which is used in FirstSpirit to identify the page.
+ * URLs that are neither product nor category URLs by pattern are resolved using the content pages first,
+ * which only needs a single search, and the localized category URLs of the whole category catalog afterwards.
  *
  * @param {string} url The Storefront URL to look up.
+ * @param {string} [lang] The language of the given URL, taken from the `lang` query parameter of the request if omitted.
  * @returns {object} The identifier for the given URL.
  */
-const lookupUrlGet = async function (url) {
+const lookupUrlGet = async function (url, lang = requestContext.getQuery().lang) {
     const [, type, id] = (url || '').match(/\/([^\/]+)\/([^\/]+)\/?$/) || [];
     const ecomId =
         type === 'p'
             ? { type: 'product', id }
             : type === 'categories'
             ? { type: 'category', id }
-            : await ContentPages.getContentIdByUrl(url);
+            : (await ContentPages.getContentIdByUrl(url, lang)) || (await Categories.getCategoryIdByUrl(url, lang));
+    if (!ecomId) {
+        throw { error: true, data: `No product, category or content page has the URL ${url}`, status: 404 };
+    }
 
     logger.logDebug(LOGGING_NAME, `Extracted type ${ecomId.type} and id ${ecomId.id} from url ${url}`);
 
@@ -34,16 +42,20 @@ const lookupUrlGet = async function (url) {
  * @returns The Storefront URL belonging to the given element.
  */
 const storefrontUrlGet = async function (type, id, lang) {
-    const { url } = await (type === 'category'
-        ? Categories.getCategoryUrl(id, lang)
-        : type === 'product'
-        ? Products.getProductUrl(id)
-        : ContentPages.getContentUrl(id));
+    const { url } =
+        (await (type === 'category'
+            ? Categories.getCategoryUrl(id, lang)
+            : type === 'product'
+            ? Products.getProductUrl(id, lang)
+            : ContentPages.getContentUrl(id, lang))) || {};
+    if (!url) {
+        throw { error: true, data: `No ${type} with the ID ${id} has a URL`, status: 404 };
+    }
 
     return { url };
 };
 
 module.exports = {
-    lookupUrlGet,
-    storefrontUrlGet
+    lookupUrlGet: instrument('lookupUrlGet', lookupUrlGet),
+    storefrontUrlGet: instrument('storefrontUrlGet', storefrontUrlGet)
 };
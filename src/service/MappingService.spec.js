@@ -5,6 +5,7 @@ const categoriesData = require('./CategoriesService.spec.data');
 const CategoriesService = require('./CategoriesService');
 const contentPagesData = require('./ContentService.spec.data');
 const ContentPagesService = require('./ContentService');
+const requestContext = require('../utils/request-context');
 
 jest.mock('../../src/service/ProductsService');
 jest.mock('../../src/service/CategoriesService');
@@ -23,6 +24,7 @@ describe('MappingService', () => {
 
             expect(result).toEqual({ url });
             expect(ProductsService.getProductUrl.mock.calls[0][0]).toEqual(id);
+            expect(ProductsService.getProductUrl.mock.calls[0][1]).toEqual(lang);
         });
         it('returns the storefront url for a category', async () => {
             const type = 'category';
@@ -35,6 +37,7 @@ describe('MappingService', () => {
 
             expect(result).toEqual({ url });
             expect(CategoriesService.getCategoryUrl.mock.calls[0][0]).toEqual(id);
+            expect(CategoriesService.getCategoryUrl.mock.calls[0][1]).toEqual(lang);
         });
         it('returns the storefront url for a content page', async () => {
             const type = 'content';
@@ -47,6 +50,26 @@ describe('MappingService', () => {
 
             expect(result).toEqual({ url });
             expect(ContentPagesService.getContentUrl.mock.calls[0][0]).toEqual(id);
+            expect(ContentPagesService.getContentUrl.mock.calls[0][1]).toEqual(lang);
+        });
+        it('rejects unknown categories with status 404', async () => {
+            CategoriesService.getCategoryUrl.mockResolvedValue(null);
+
+            await expect(service.storefrontUrlGet('category', 'unknown', 'EN')).rejects.toEqual({
+                error: true,
+                data: 'No category with the ID unknown has a URL',
+                status: 404
+            });
+        });
+        it('rejects unknown products with status 404', async () => {
+            ProductsService.getProductUrl.mockResolvedValue({ url: undefined });
+
+            await expect(service.storefrontUrlGet('product', 'unknown', 'EN')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+        });
+        it('rejects unknown content pages with status 404', async () => {
+            ContentPagesService.getContentUrl.mockResolvedValue('');
+
+            await expect(service.storefrontUrlGet('content', 'unknown', 'EN')).rejects.toEqual(expect.objectContaining({ status: 404 }));
         });
     });
     describe('lookupUrlGet', () => {
@@ -72,6 +95,31 @@ describe('MappingService', () => {
 
             expect(result).toEqual(identifier);
         });
+        it('returns the identifier for a localized category URL', async () => {
+            const identifier = {
+                type: 'category',
+                id: '18'
+            };
+            const url = `https://mycommerce.com/badezimmer/`;
+            CategoriesService.getCategoryIdByUrl.mockResolvedValue(identifier);
+
+            const result = await service.lookupUrlGet(url, 'DE');
+
+            expect(result).toEqual(identifier);
+            expect(CategoriesService.getCategoryIdByUrl.mock.calls[0]).toEqual([url, 'DE']);
+            expect(ContentPagesService.getContentIdByUrl.mock.calls[0]).toEqual([url, 'DE']);
+        });
+        it('takes the language of the URL from the request', async () => {
+            const req = { headers: {}, query: { url: 'https://mycommerce.com/badezimmer/', lang: 'DE' } };
+            CategoriesService.getCategoryIdByUrl.mockResolvedValue({ type: 'category', id: '18' });
+
+            await requestContext.run({ req }, () => service.lookupUrlGet(req.query.url));
+
+            expect(CategoriesService.getCategoryIdByUrl.mock.calls[0]).toEqual([req.query.url, 'DE']);
+        });
+        it('rejects URLs that are not known', async () => {
+            await expect(service.lookupUrlGet('https://mycommerce.com/unknown/')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+        });
         it('returns the identifier for a storefront URL for content pages', async () => {
             const identifier = {
                 type: 'content',
@@ -84,6 +132,7 @@ describe('MappingService', () => {
 
             expect(result).toEqual(identifier);
             expect(ContentPagesService.getContentIdByUrl.mock.calls[0][0]).toEqual(url);
+            expect(CategoriesService.getCategoryIdByUrl).not.toHaveBeenCalled();
         });
     });
 });
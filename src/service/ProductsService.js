@@ -1,113 +1,321 @@
-const { ShopError } = require('fcecom-bridge-commons');
+const { ParameterValidationError, ShopError } = require('fcecom-bridge-commons');
 const httpClient = require('../utils/http-client');
 const logger = require('../utils/logger');
+const { instrument } = require('../utils/metrics');
+const requestContext = require('../utils/request-context');
+const { chunk, mapLimit } = require('../utils/batch');
+const { getLocale, getLocaleParams } = require('../utils/locale');
+const { getPage, getPageSize, paginate } = require('../utils/pagination');
+const { getSite } = require('../utils/site');
+const { getConfig } = require('../utils/tenant');
+const productMap = require('../resources/SAPtoFSProductMapping.json');
 
 const LOGGING_NAME = 'ProductsService';
 
-const { MEDIA_CDN_URL } = process.env;
+const PRODUCT_BATCH_SIZE = Number(process.env.PRODUCT_BATCH_SIZE) || 20;
+const PRODUCT_BATCH_CONCURRENCY = Number(process.env.PRODUCT_BATCH_CONCURRENCY) || 4;
+const PRODUCT_FIELDS =
+    process.env.PRODUCT_FIELDS ||
+    'code,name,url,summary,manufacturer,price(formattedValue),stock(stockLevelStatus),categories(code),images(format,url)';
+
+// Fields of the search response besides the products
+const SEARCH_FIELDS = 'facets(name,multiSelect,values(name,count,selected,query(query(value)))),sorts(code,name,selected),pagination';
+
+/**
+ * Returns the value at the given dot-separated path of the given SAP object.
+ * If a value on the path is an array, the remaining path is resolved for each of its elements.
+ *
+ * @param {*} value The object to read the value from.
+ * @param {string} path The path of the value, e.g. `price.formattedValue`.
+ * @return {*} The value at the given path, undefined if it does not exist.
+ */
+const getValue = (value, path) => {
+    const [key, ...rest] = path.split('.');
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (Array.isArray(value)) {
+        return value.map((element) => getValue(element, path));
+    }
+    return rest.length ? getValue(value[key], rest.join('.')) : value[key];
+};
+
+/**
+ * Converts a product from the SAP OCC API into the bridge product model.
+ * The attributes are mapped as configured in `SAPtoFSProductMapping.json`, the images are added as thumbnail and image.
+ *
+ * @param {*} product The product as returned by the SAP OCC API.
+ * @return {*} The product as used by FirstSpirit.
+ */
+const mapProduct = (product) => {
+    const { MEDIA_CDN_URL } = getConfig();
+    const { thumbnail, product: image } = (product.images || []).reduce(
+        (map, { format, url }) => Object.assign(map, { [format]: MEDIA_CDN_URL + url }),
+        {}
+    );
+    const result = Object.entries(productMap).reduce((result, [field, path]) => {
+        const value = getValue(product, path);
+        return value === undefined ? result : Object.assign(result, { [field]: value });
+    }, {});
+    return { ...result, thumbnail, image };
+};
+
+/**
+ * This method fetches the product with the given ID from the product endpoint of OCC.
+ *
+ * @param {string} productId ID of the product to fetch.
+ * @param {string} fields The OCC fields to request.
+ * @param {{lang: string, curr: string}} locale The language and currency to request the product in.
+ * @return {Promise<*>} The product, undefined if it does not exist.
+ */
+const fetchProductById = async (productId, fields, locale) => {
+    const params = `${encodeURIComponent(productId)}?${new URLSearchParams({ fields, ...getLocaleParams(locale) })}`;
+
+    logger.logDebug(LOGGING_NAME, `Performing GET request to /products/ with parameters ${params}`);
+
+    const { data } = await httpClient.occClient.get(getSite().occPath + `/products/${params}`);
+    // Unknown product codes are answered with an UnknownIdentifierError, which the HTTP client resolves
+    return data?.errors ? undefined : data;
+};
+
+/**
+ * This method fetches the products with the given IDs using the product search filtered by product code.
+ * The IDs are requested in chunks of `PRODUCT_BATCH_SIZE` with at most `PRODUCT_BATCH_CONCURRENCY` parallel requests.
+ * OCC does not document how several values of the `code` filter are combined, so each ID the search does not return is fetched
+ * from the product endpoint. IDs containing a colon would break the search query and are only fetched from the product endpoint.
+ *
+ * @param {string[]} productIds IDs of the products to fetch.
+ * @param {string} fields The OCC fields to request for each product.
+ * @param {{lang: string, curr: string}} locale The language and currency to request the products in.
+ * @return {Promise<any[]>} The found products in the order of the given IDs, unknown IDs are omitted.
+ */
+const fetchProductsByIds = async (productIds, fields, locale) => {
+    const uniqueIds = [...new Set(productIds)];
+    const chunks = chunk(
+        uniqueIds.filter((id) => !id.includes(':')),
+        PRODUCT_BATCH_SIZE
+    );
+    const results = await mapLimit(chunks, PRODUCT_BATCH_CONCURRENCY, async (ids) => {
+        const query = `:relevance${ids.map((id) => `:code:${id}`).join('')}`;
+        const params = `${new URLSearchParams({
+            query,
+            fields: `products(${fields})`,
+            pageSize: ids.length,
+            ...getLocaleParams(locale)
+        })}`;
+
+        logger.logDebug(LOGGING_NAME, `Performing GET request to /products/search with parameters ${params}`);
+
+        const { data } = await httpClient.occClient.get(getSite().occPath + `/products/search?${params}`);
+        return data?.products || [];
+    });
+
+    const productsById = new Map(results.flat().map((product) => [product.code, product]));
+    const missingIds = uniqueIds.filter((id) => !productsById.has(id));
+    const missingProducts = await mapLimit(missingIds, PRODUCT_BATCH_CONCURRENCY, (id) => fetchProductById(id, fields, locale));
+    missingProducts.forEach((product, index) => product && productsById.set(missingIds[index], product));
+    return productIds.map((productId) => productsById.get(productId)).filter((product) => !!product);
+};
+
+/**
+ * Reads the sort order, the facet filters and the page size from the query of the current request.
+ * Facets are passed as `key:value` pairs, either comma separated or as repeated `facets` parameters.
+ *
+ * @return {{sort: string, facets: string[], pageSize: number}} The search options of the current request.
+ */
+const getSearchOptions = () => {
+    const { sort, facets = [] } = requestContext.getQuery();
+    return {
+        sort,
+        pageSize: getPageSize(),
+        facets: []
+            .concat(facets)
+            .flatMap((facet) => `${facet}`.split(','))
+            .filter((facet) => !!facet.trim())
+    };
+};
+
+/**
+ * Builds the OCC search query of the form `keyword:sort:facetKey:facetValue:...`.
+ *
+ * @param {string} [keyword] Keyword to search for.
+ * @param {string} [categoryId] ID of the category to filter by.
+ * @param {string} [sort='relevance'] Code of the sort order.
+ * @param {string[]} [facets=[]] Facet filters as `key:value` pairs.
+ * @return {string} The OCC search query.
+ */
+const buildSearchQuery = (keyword, categoryId, sort = 'relevance', facets = []) => {
+    if (!/^[\w-]+$/.test(sort)) {
+        throw new ParameterValidationError(`"sort" is not a valid sort code`);
+    }
+    const invalidFacet = facets.find((facet) => !/^[^:]+:.+$/.test(facet));
+    if (invalidFacet) {
+        throw new ParameterValidationError(`"facets" contains invalid facet "${invalidFacet}", expected "key:value"`);
+    }
+    return [keyword || '', sort, ...(categoryId ? [`category:${categoryId}`] : []), ...facets].join(':');
+};
+
+/**
+ * Returns the facet filters contained in the given OCC search query as `key:value` pairs.
+ *
+ * @param {string} [query] The OCC search query.
+ * @return {string[]} The facet filters.
+ */
+const getQueryFacets = (query = '') => {
+    const [, , ...segments] = query.split(':');
+    const facets = [];
+    for (let i = 0; i + 1 < segments.length; i += 2) {
+        facets.push(`${segments[i]}:${segments[i + 1]}`);
+    }
+    return facets;
+};
+
+/**
+ * Converts the facets of an OCC search response into the bridge model.
+ * The value of each facet value is the `key:value` filter that toggles it when passed in the `facets` parameter.
+ *
+ * @param {any[]} facets The facets of the OCC search response.
+ * @param {string} query The OCC search query the facets were returned for.
+ * @return {any[]} The facets.
+ */
+const mapFacets = (facets = [], query) => {
+    const currentFacets = getQueryFacets(query);
+    return facets.map(({ name, multiSelect = false, values = [] }) => ({
+        name,
+        multiSelect,
+        values: values.map(({ name: label, count, selected = false, query: valueQuery }) => {
+            const valueFacets = getQueryFacets(valueQuery?.query?.value);
+            const value =
+                valueFacets.find((facet) => !currentFacets.includes(facet)) || currentFacets.find((facet) => !valueFacets.includes(facet));
+            return { label, count, selected, value };
+        })
+    }));
+};
 
 /**
  * This method fetches all products and transforms them into the internal model.
  *
- * @param { page = 1, productIds, categoryId, q: keyword } The parameters to use.
+ * @param { page = 1, productIds, categoryId, q: keyword, lang, sort, facets, pageSize } The parameters to use.
  * @return The fetched products.
  */
-const fetchProducts = async ({ page = 1, productIds, categoryId, q: keyword }) => {
+const fetchProducts = async ({ page = 1, productIds, categoryId, q: keyword, lang, sort, facets, pageSize = getPageSize() }) => {
     let hasError = false;
     let errorMessage;
-    const fields = 'code,name,url,images(format,url)';
-    let { products = [], total = 0, hasNext = false, responseStatus = 200 } = {};
+    const fields = PRODUCT_FIELDS;
+    const locale = await getLocale(lang);
+    let { products = [], total = 0, hasNext = false, responseStatus = 200, searchFacets = [], sorts = [] } = {};
 
     if (productIds) {
-        products = await Promise.all(
-            productIds.map(async (productId) => {
-                const params = `${productId}?${new URLSearchParams({ fields })}`;
-                logger.logDebug(LOGGING_NAME, `Performing GET request to /products/ with parameters ${params}`);
-                try {
-                    const { data } = await httpClient.occClient.get(httpClient.constants.FULL_OCC_PATH + `/products/${params}`);
-                    return data;
-                } catch (error) {
-                    hasError = true;
-                    errorMessage = error.data;
-                    return { errors: true };
-                }
-            })
-        );
-        products = products.filter((product) => !product.errors);
-        total = products?.length;
+        try {
+            products = await fetchProductsByIds(productIds, fields, locale);
+        } catch (error) {
+            hasError = true;
+            errorMessage = error.data;
+        }
+        total = products.length;
     } else {
-        const query = `${keyword || ''}:relevance${categoryId ? `:category:${categoryId}` : ''}`;
-        const params = `${new URLSearchParams({ query, fields: `products(${fields})`, currentPage: page - 1 })}`;
+        const query = buildSearchQuery(keyword, categoryId, sort, facets);
+        const params = `${new URLSearchParams({
+            query,
+            fields: `products(${fields}),${SEARCH_FIELDS}`,
+            currentPage: getPage(page) - 1,
+            pageSize,
+            ...getLocaleParams(locale)
+        })}`;
 
         logger.logDebug(LOGGING_NAME, `Performing GET request to /products/search with parameters ${params}`);
 
-        const { data, status } = await httpClient.occClient.get(httpClient.constants.FULL_OCC_PATH + `/products/search?${params}`);
+        const { data, status } = await httpClient.occClient.get(getSite().occPath + `/products/search?${params}`);
         products = data.products || [];
         responseStatus = status;
-        total = data.pagination?.totalResults || 0;
-        hasNext = page < data.pagination?.totalPages || false;
+        ({ total, hasNext } = paginate({ page, pageSize, total: data.pagination?.totalResults, count: products.length }));
+        searchFacets = mapFacets(data.facets, query);
+        sorts = (data.sorts || []).map(({ code, name: label, selected = false }) => ({ code, label, selected }));
     }
 
     if (hasError) {
         return Promise.reject(new ShopError(errorMessage));
     }
 
-    products = products.map(({ code: id, name: label, images = [], url }) => {
-        const { thumbnail, product: image } = images.reduce(
-            (map, { format, url }) => Object.assign(map, { [format]: MEDIA_CDN_URL + url }),
-            {}
-        );
-        return { id, label, extract: url, thumbnail, image };
-    });
+    products = products.map(mapProduct);
 
-    return { products, total, hasNext, responseStatus };
+    return { products, total, hasNext, responseStatus, facets: searchFacets, sorts };
 };
 
 /**
  * This method returns the URL for the given product.
  *
  * @param {number} productId The ID of the product to get the URL for.
+ * @param {string} [lang] The language to get the URL for.
  * @return {string} The URL of the given product.
  */
-const getProductUrl = async (productId) => {
-    const params = `${productId}?${new URLSearchParams({ fields: 'url' })}`;
+const getProductUrl = async (productId, lang) => {
+    const params = `${productId}?${new URLSearchParams({ fields: 'url', ...getLocaleParams(await getLocale(lang)) })}`;
 
     logger.logDebug(LOGGING_NAME, `Performing GET request to /products/ with parameters ${params}`);
 
-    const { data } = await httpClient.occClient.get(httpClient.constants.FULL_OCC_PATH + `/products/${params}`);
+    const { data } = await httpClient.occClient.get(getSite().occPath + `/products/${params}`);
     return { url: data.url };
 };
 
 /**
  * This method fetches all products and transforms them into the internal model.
+ * The sort order and facet filters are taken from the `sort` and `facets` query parameters of the current request.
  *
  * @param {number} [categoryId] ID of the category to get products from.
  * @param {string} [keyword] Keyword to filter the products by.
  * @param {string} [lang] Language of the request.
  * @param {number} [page=1] Number of the page to retrieve.
+ * @param {{sort: string, facets: string[], pageSize: number}} [options] Sort order, facet filters and page size of the search.
  * @return The fetched products.
  */
-const productsGet = async (categoryId, keyword, lang, page = 1) => {
-    const { products, total, hasNext, responseStatus } = await fetchProducts({ page, categoryId, q: keyword });
+const productsGet = async (categoryId, keyword, lang, page = 1, { sort, facets, pageSize } = getSearchOptions()) => {
+    const { products, total, hasNext, responseStatus } = await fetchProducts({
+        page,
+        categoryId,
+        q: keyword,
+        lang,
+        sort,
+        facets,
+        pageSize
+    });
 
     return { products, total, hasNext };
 };
 
+/**
+ * This method returns the facets and sort orders available for the given product search.
+ *
+ * @param {number} [categoryId] ID of the category to get products from.
+ * @param {string} [keyword] Keyword to filter the products by.
+ * @param {string} [lang] Language of the request.
+ * @param {{sort: string, facets: string[]}} [options] Sort order and facet filters of the search.
+ * @return Promise<{ facets: any[], sorts: any[]}> The available facets and sort orders.
+ */
+const productsFacetsGet = async (categoryId, keyword, lang, { sort, facets } = getSearchOptions()) => {
+    const { facets: searchFacets, sorts } = await fetchProducts({ categoryId, q: keyword, lang, sort, facets });
+
+    return { facets: searchFacets, sorts };
+};
+
 /**
  * This method fetches the data for the products with the given IDs.
  * @see SwaggerUI {@link http://localhost:3000/api/#/Products/productsProductIdsGet}
  *
  * @param {string[]} [productIds] IDs of the categories to get.
+ * @param {string} [lang] Language of the request.
  * @return Promise<{ hasNext: boolean, total: number, products: any[]}> The category data.
  */
-const productsProductIdsGet = async (productIds) => {
-    const { products } = await fetchProducts({ productIds });
+const productsProductIdsGet = async (productIds, lang) => {
+    const { products } = await fetchProducts({ productIds, lang });
 
     return { products, total: products.length, hasNext: false };
 };
 
 module.exports = {
-    productsProductIdsGet,
-    productsGet,
+    mapProduct,
+    productsProductIdsGet: instrument('productsProductIdsGet', productsProductIdsGet),
+    productsGet: instrument('productsGet', productsGet),
+    productsFacetsGet: instrument('productsFacetsGet', productsFacetsGet),
     getProductUrl
 };
@@ -146,3 +146,49 @@ module.exports.getProductUrl = {
     id: 86,
     custom_url: { url: '/able-brewing-system/', is_customized: false }
 };
+
+// Data received from /products/search with facets
+module.exports.searchFacets = {
+    products: [],
+    pagination: { currentPage: 0, totalPages: 1, totalResults: 0 },
+    facets: [
+        {
+            name: 'Brand',
+            multiSelect: true,
+            values: [
+                { name: 'Canon', count: 12, selected: true, query: { query: { value: 'camera:relevance' } } },
+                { name: 'Sony', count: 7, selected: false, query: { query: { value: 'camera:relevance:brand:Canon:brand:Sony' } } }
+            ]
+        },
+        {
+            name: 'Price',
+            values: [{ name: '$50-$199.99', count: 3, query: { query: { value: 'camera:relevance:brand:Canon:price:$50-$199.99' } } }]
+        }
+    ],
+    sorts: [
+        { code: 'relevance', name: 'Relevance', selected: true },
+        { code: 'name-asc', name: 'Name (ascending)', selected: false }
+    ]
+};
+
+module.exports.searchFacetsResult = {
+    facets: [
+        {
+            name: 'Brand',
+            multiSelect: true,
+            values: [
+                { label: 'Canon', count: 12, selected: true, value: 'brand:Canon' },
+                { label: 'Sony', count: 7, selected: false, value: 'brand:Sony' }
+            ]
+        },
+        {
+            name: 'Price',
+            multiSelect: false,
+            values: [{ label: '$50-$199.99', count: 3, selected: false, value: 'price:$50-$199.99' }]
+        }
+    ],
+    sorts: [
+        { code: 'relevance', label: 'Relevance', selected: true },
+        { code: 'name-asc', label: 'Name (ascending)', selected: false }
+    ]
+};
@@ -1,11 +1,17 @@
+const { ParameterValidationError, ShopError } = require('fcecom-bridge-commons');
 const httpClient = require('../utils/http-client');
 const data = require('./ProductsService.spec.data');
+const locale = require('../utils/locale');
+const requestContext = require('../utils/request-context');
 const service = require('./ProductsService');
 
 jest.mock('../../src/utils/http-client');
+jest.mock('../utils/locale', () => ({ ...jest.requireActual('../utils/locale'), getLocale: jest.fn() }));
 
 describe('ProductsService', () => {
-    httpClient.constants.FULL_OCC_PATH = 'path/to/OCC';
+    beforeEach(() => {
+        locale.getLocale.mockImplementation(async (lang = 'en') => ({ lang: lang.toLowerCase(), curr: 'USD' }));
+    });
 
     describe('productsGet', () => {
         it('fetches product data and maps it to internal type', async () => {
@@ -18,7 +24,10 @@ describe('ProductsService', () => {
 
             const result = await service.productsGet(body);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toContain(`path/to/OCC/products/search`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toContain(`occ/path/base_site/products/search`);
+            expect(new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams.get('fields')).toContain(
+                'products(code,name,url,summary,manufacturer,price(formattedValue),stock(stockLevelStatus),categories(code),images(format,url))'
+            );
             expect(result.products.length).toEqual(data.fetchProducts.products.length);
             result.products.forEach((product, index) => {
                 expect(product.id).toEqual(data.fetchProducts.products[index].code);
@@ -28,21 +37,212 @@ describe('ProductsService', () => {
             expect(result.total).toEqual(data.fetchProducts.products.length);
             expect(result.hasNext).toEqual(data.fetchProducts.pagination.currentPage + 1 > data.fetchProducts.pagination.totalPages);
         });
+        it('forwards the language and the derived currency', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.fetchProducts, status: 200 });
+
+            await service.productsGet('456', 'KEYWORD', 'DE');
+
+            const params = new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(locale.getLocale).toHaveBeenCalledWith('DE');
+            expect(params.get('lang')).toEqual('de');
+            expect(params.get('curr')).toEqual('USD');
+        });
+    });
+    describe('productsGet with sort and facets', () => {
+        const getQuery = () => new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams.get('query');
+
+        it('uses relevance if no sort order is given', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.fetchProducts, status: 200 });
+
+            await service.productsGet('456', 'camera');
+
+            expect(getQuery()).toEqual('camera:relevance:category:456');
+        });
+        it('adds the given sort order and facets to the search query', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.fetchProducts, status: 200 });
+
+            await service.productsGet('456', 'camera', 'EN', 1, { sort: 'price-asc', facets: ['brand:Canon', 'price:$50-$199.99'] });
+
+            expect(getQuery()).toEqual('camera:price-asc:category:456:brand:Canon:price:$50-$199.99');
+        });
+        it('reads sort order and facets from the query of the current request', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.fetchProducts, status: 200 });
+            const query = { sort: 'topRated', facets: ['brand:Canon,availableInStores:Tokio', 'price:$0-$49.99'] };
+
+            await requestContext.run({ req: { query } }, () => service.productsGet(undefined, 'camera'));
+
+            expect(getQuery()).toEqual('camera:topRated:brand:Canon:availableInStores:Tokio:price:$0-$49.99');
+        });
+        it('requests the given page size', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.fetchProducts, status: 200 });
+
+            const result = await service.productsGet(undefined, 'camera', 'EN', 2, { pageSize: 5 });
+
+            const params = new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(params.get('pageSize')).toEqual('5');
+            expect(params.get('currentPage')).toEqual('1');
+            expect(result.hasNext).toEqual(false);
+        });
+        it('reads the page size from the query of the current request', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.fetchProducts, status: 200 });
+
+            const result = await requestContext.run({ req: { query: { pageSize: '3' } } }, () => service.productsGet(undefined, 'camera'));
+
+            const params = new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(params.get('pageSize')).toEqual('3');
+            expect(result.hasNext).toEqual(true);
+        });
+        it('rejects invalid sort codes', async () => {
+            await expect(service.productsGet(undefined, 'camera', 'EN', 1, { sort: 'name:asc' })).rejects.toBeInstanceOf(
+                ParameterValidationError
+            );
+            expect(httpClient.occClient.get).not.toHaveBeenCalled();
+        });
+        it('rejects facets that are no key value pairs', async () => {
+            await expect(service.productsGet(undefined, 'camera', 'EN', 1, { facets: ['Canon'] })).rejects.toBeInstanceOf(
+                ParameterValidationError
+            );
+        });
+    });
+    describe('productsFacetsGet', () => {
+        it('returns the available facets and sort orders', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: data.searchFacets, status: 200 });
+
+            const result = await service.productsFacetsGet(undefined, 'camera', 'EN', { facets: ['brand:Canon'] });
+
+            expect(result).toEqual(data.searchFacetsResult);
+        });
     });
     describe('productsProductIdsGet', () => {
         it('fetches product data based on provided ids', async () => {
             const testProduct1 = data.fetchProducts.products[0];
             const testProduct2 = data.fetchProducts.products[1];
             const testProductIds = [testProduct1.code, testProduct2.code];
-            httpClient.occClient.get.mockResolvedValueOnce({ data: testProduct1 }).mockResolvedValue({ data: testProduct2 });
+            httpClient.occClient.get.mockResolvedValue({ data: { products: [testProduct2, testProduct1] } });
 
             const result = await service.productsProductIdsGet(testProductIds);
 
-            result.products.forEach((page) => {
-                expect(page.id).toBeDefined();
-            });
+            const params = new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(1);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toContain(`occ/path/base_site/products/search`);
+            expect(params.get('query')).toEqual(`:relevance:code:${testProduct1.code}:code:${testProduct2.code}`);
+            expect(params.get('pageSize')).toEqual('2');
+            expect(result.products.map((product) => product.id)).toEqual(testProductIds);
             expect(result.total).toEqual(2);
         });
+        it('requests large ID lists in chunks and keeps the order of the IDs', async () => {
+            const testProductIds = Array.from({ length: 45 }, (_, index) => `${45 - index}`);
+            httpClient.occClient.get.mockImplementation(async (url) => {
+                const query = new URL(url, 'http://localhost').searchParams.get('query');
+                const codes = query.split(':code:').slice(1);
+                return { data: { products: codes.reverse().map((code) => ({ code, name: `Product ${code}` })) } };
+            });
+
+            const result = await service.productsProductIdsGet(testProductIds);
+
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(3);
+            expect(result.products.map((product) => product.id)).toEqual(testProductIds);
+        });
+        it('forwards the language and the derived currency', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: { products: [] } });
+
+            await service.productsProductIdsGet(['123'], 'DE');
+
+            const params = new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(params.get('lang')).toEqual('de');
+            expect(params.get('curr')).toEqual('USD');
+        });
+        it('omits unknown IDs', async () => {
+            const testProduct1 = data.fetchProducts.products[0];
+            httpClient.occClient.get.mockImplementation(async (url) =>
+                url.includes('/products/search')
+                    ? { data: { products: [testProduct1] } }
+                    : {
+                          data: { errors: [{ type: 'UnknownIdentifierError', message: "Product with code 'unknown' not found!" }] },
+                          status: 400
+                      }
+            );
+
+            const result = await service.productsProductIdsGet([testProduct1.code, 'unknown']);
+
+            expect(result.products.map((product) => product.id)).toEqual([testProduct1.code]);
+            expect(result.total).toEqual(1);
+        });
+        it('fetches the products the search does not return by their ID', async () => {
+            const testProduct1 = data.fetchProducts.products[0];
+            const testProduct2 = data.fetchProducts.products[1];
+            httpClient.occClient.get.mockImplementation(async (url) =>
+                url.includes('/products/search') ? { data: { products: [testProduct2] } } : { data: testProduct1 }
+            );
+
+            const result = await service.productsProductIdsGet([testProduct1.code, testProduct2.code], 'DE');
+
+            const url = new URL(httpClient.occClient.get.mock.calls[1][0], 'http://localhost');
+            expect(url.pathname).toEqual(`/occ/path/base_site/products/${testProduct1.code}`);
+            expect(url.searchParams.get('lang')).toEqual('de');
+            expect(url.searchParams.get('fields')).toContain('code');
+            expect(result.products.map((product) => product.id)).toEqual([testProduct1.code, testProduct2.code]);
+        });
+        it('fetches IDs containing a colon by their ID only', async () => {
+            const testProduct1 = data.fetchProducts.products[0];
+            httpClient.occClient.get.mockImplementation(async (url) =>
+                url.includes('/products/search') ? { data: { products: [testProduct1] } } : { data: { ...testProduct1, code: 'a:b' } }
+            );
+
+            const result = await service.productsProductIdsGet([testProduct1.code, 'a:b']);
+
+            const params = new URL(httpClient.occClient.get.mock.calls[0][0], 'http://localhost').searchParams;
+            expect(params.get('query')).toEqual(`:relevance:code:${testProduct1.code}`);
+            expect(httpClient.occClient.get.mock.calls[1][0]).toContain('/products/a%3Ab?');
+            expect(result.products.map((product) => product.id)).toEqual([testProduct1.code, 'a:b']);
+        });
+        it('rejects with a ShopError if a product cannot be fetched by its ID', async () => {
+            httpClient.occClient.get.mockImplementation(async (url) =>
+                url.includes('/products/search') ? { data: { products: [] } } : Promise.reject({ error: true, status: 503 })
+            );
+
+            await expect(service.productsProductIdsGet(['123'])).rejects.toBeInstanceOf(ShopError);
+        });
+        it('rejects with a ShopError if the search fails', async () => {
+            httpClient.occClient.get.mockRejectedValue({ error: true, data: 'Service Unavailable', status: 503 });
+
+            await expect(service.productsProductIdsGet(['123'])).rejects.toBeInstanceOf(ShopError);
+        });
+    });
+    describe('mapProduct', () => {
+        it('maps the configured SAP attributes to the product model', () => {
+            const product = {
+                code: '123',
+                name: 'Camera',
+                url: '/camera/p/123',
+                summary: 'A camera',
+                manufacturer: 'Canon',
+                price: { formattedValue: '$10.00', value: 10 },
+                stock: { stockLevelStatus: 'inStock' },
+                categories: [{ code: 'cameras' }, { code: 'brand_canon' }],
+                images: [{ format: 'thumbnail', url: '/thumbnail.jpg' }]
+            };
+
+            const result = service.mapProduct(product);
+
+            expect(result).toEqual({
+                id: '123',
+                label: 'Camera',
+                extract: '/camera/p/123',
+                summary: 'A camera',
+                manufacturer: 'Canon',
+                price: '$10.00',
+                stockStatus: 'inStock',
+                categories: ['cameras', 'brand_canon'],
+                thumbnail: `${process.env.MEDIA_CDN_URL}/thumbnail.jpg`,
+                image: undefined
+            });
+        });
+        it('omits attributes missing in the SAP product', () => {
+            const result = service.mapProduct({ code: '123', name: 'Camera' });
+
+            expect(result).toEqual({ id: '123', label: 'Camera', thumbnail: undefined, image: undefined });
+        });
     });
     describe('getProductUrl', () => {
         it('returns the correct URL', async () => {
@@ -51,8 +251,20 @@ describe('ProductsService', () => {
 
             const result = await service.getProductUrl(productId);
 
-            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(`path/to/OCC/products/${productId}?fields=url`);
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/products/${productId}?fields=url&lang=en&curr=USD`
+            );
             expect(result).toEqual({ url: data.getProductUrl.url });
         });
+        it('returns the URL in the given language', async () => {
+            const productId = data.getProductUrl.id;
+            httpClient.occClient.get.mockResolvedValue({ data: data.getProductUrl, status: 200 });
+
+            await service.getProductUrl(productId, 'DE');
+
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual(
+                `occ/path/base_site/products/${productId}?fields=url&lang=de&curr=USD`
+            );
+        });
     });
 });
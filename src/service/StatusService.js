@@ -0,0 +1,177 @@
+const { ShopError } = require('fcecom-bridge-commons');
+const httpClient = require('../utils/http-client');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { fetchPageTemplates } = require('../utils/page-templates');
+const { getTemplateMapping } = require('../utils/template-mapping');
+const { getSite } = require('../utils/site');
+
+const LOGGING_NAME = 'StatusService';
+
+const UP = 'UP';
+const DOWN = 'DOWN';
+
+// Probes run every few seconds, so a passed result is kept briefly to not send every probe on to SAP Commerce.
+// Failed results are not kept, so the bridge is reported as ready again as soon as SAP Commerce is available.
+const READINESS_TTL = 10 * 1000;
+const readinessResults = new Map();
+
+/**
+ * Returns a readable message for an error thrown by a check.
+ *
+ * @param {*} error The error, either an `Error` or a rejection of the HTTP client.
+ * @return {string} The message of the error.
+ */
+const getErrorMessage = (error) => {
+    if (error.message) {
+        return error.message;
+    }
+    return typeof error.data === 'string' ? error.data : JSON.stringify(error.data);
+};
+
+/**
+ * Runs a single readiness check and measures its duration.
+ *
+ * @param {string} name The name of the check.
+ * @param {function(): Promise<string>} check The check, resolving with a message if it passed and rejecting otherwise.
+ * @return {Promise<{name: string, status: string, message: string, duration: number}>} The result of the check.
+ */
+const runCheck = async (name, check) => {
+    const start = Date.now();
+    try {
+        const message = await check();
+        return { name, status: UP, message, duration: Date.now() - start };
+    } catch (error) {
+        logger.logWarning(LOGGING_NAME, `Readiness check ${name} failed: ${getErrorMessage(error)}`);
+        return { name, status: DOWN, message: getErrorMessage(error), duration: Date.now() - start };
+    }
+};
+
+/**
+ * Checks that a token can be fetched from SAP Commerce.
+ *
+ * @return {Promise<string>} The message of the passed check.
+ */
+const checkToken = async () => {
+    await httpClient.getClients().occClient.tokenProvider.getToken();
+    return 'A token was fetched.';
+};
+
+/**
+ * Checks that the product catalog version of the current base site exists.
+ *
+ * @return {Promise<string>} The message of the passed check.
+ */
+const checkCatalog = async () => {
+    const { occPath, catalogId, catalogVersion } = getSite();
+    const { data } = await httpClient.occClient.get(occPath + `/catalogs/${catalogId}/${catalogVersion}?fields=id`);
+    // Unknown catalog versions are answered with an error instead of the catalog
+    if (data.errors) {
+        throw new ShopError(data.errors[0]?.message ?? 'Unknown error');
+    }
+    return `Catalog version ${catalogId}:${catalogVersion} exists.`;
+};
+
+/**
+ * Checks that the content catalog version of the current base site exists.
+ *
+ * @param {Promise<any[]>} pageTemplates The page templates of the content catalog version.
+ * @return {Promise<string>} The message of the passed check.
+ */
+const checkContentCatalog = async (pageTemplates) => {
+    const { contentCatalogId, contentCatalogVersion } = getSite();
+    await pageTemplates;
+    return `Content catalog version ${contentCatalogId}:${contentCatalogVersion} exists.`;
+};
+
+/**
+ * Checks that every SAP page template of the template mapping exists in the content catalog version.
+ *
+ * @param {Promise<any[]>} pageTemplates The page templates of the content catalog version.
+ * @return {Promise<string>} The message of the passed check.
+ */
+const checkTemplateMapping = async (pageTemplates) => {
+    const uids = new Set((await pageTemplates).map(({ uid }) => uid));
+    const templateMap = getTemplateMapping();
+    const unresolved = Object.entries(templateMap).filter(([, sapTemplate]) => !uids.has(sapTemplate));
+    if (unresolved.length) {
+        const templates = unresolved.map(([fsTemplate, sapTemplate]) => `${fsTemplate} (${sapTemplate})`).join(', ');
+        throw new Error(`The SAP page templates of the FirstSpirit templates ${templates} do not exist.`);
+    }
+    return `All ${Object.keys(templateMap).length} mapped templates exist.`;
+};
+
+/**
+ * This method reports whether the bridge is running.
+ *
+ * @return Promise<{ status: string }> The status of the bridge.
+ */
+const liveGet = async () => ({ status: UP });
+
+/**
+ * Runs all readiness checks for the current tenant and base site.
+ *
+ * @return Promise<{ status: string, checks: { name: string, status: string, message: string, duration: number }[] }> The status
+ * of the bridge and the results of the checks.
+ */
+const runChecks = async () => {
+    const pageTemplates = fetchPageTemplates();
+    // Avoids an unhandled rejection before the checks await the templates
+    pageTemplates.catch(() => {});
+
+    const checks = await Promise.all([
+        runCheck('token', checkToken),
+        runCheck('catalog', checkCatalog),
+        runCheck('contentCatalog', () => checkContentCatalog(pageTemplates)),
+        runCheck('templateMapping', () => checkTemplateMapping(pageTemplates))
+    ]);
+    return { status: checks.every(({ status }) => status === UP) ? UP : DOWN, checks };
+};
+
+/**
+ * This method reports whether the bridge is able to serve requests, checking the connection to SAP Commerce and its configuration
+ * for the current tenant and base site. A passed result is kept for ten seconds, a failed result is checked again on the next request.
+ *
+ * @return Promise<{ status: string, checks: { name: string, status: string, message: string, duration: number }[] }> The status
+ * of the bridge and the results of the checks, the status is `DOWN` if any check failed.
+ */
+const readyGet = async () => {
+    const { tenantId, baseSiteId } = getSite();
+    const key = `${tenantId}:${baseSiteId}`;
+    const kept = readinessResults.get(key);
+    if (kept && kept.expiresAt > Date.now()) {
+        return kept.result;
+    }
+
+    const result = await runChecks();
+    if (result.status === UP) {
+        readinessResults.set(key, { result, expiresAt: Date.now() + READINESS_TTL });
+    } else {
+        readinessResults.delete(key);
+    }
+    return result;
+};
+
+/**
+ * This method returns the state of the connections to the SAP Commerce upstreams (OCC and CMS) of the current tenant.
+ *
+ * @return Promise<{ upstreams: { name: string, state: string, failures: number, openedAt: string }[] }> The states of the circuit breakers.
+ */
+const upstreamsGet = async () => ({ upstreams: httpClient.getCircuitBreakerStates() });
+
+/**
+ * This method returns the metrics of the bridge in the Prometheus text format.
+ *
+ * @return Promise<{ contentType: string, metrics: string }> The metrics and their content type.
+ */
+const metricsGet = async () => ({ contentType: metrics.register.contentType, metrics: await metrics.register.metrics() });
+
+module.exports = {
+    UP,
+    DOWN,
+    readinessResults,
+    liveGet,
+    readyGet,
+    upstreamsGet,
+    metricsGet
+};
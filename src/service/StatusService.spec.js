@@ -0,0 +1,144 @@
+const httpClient = require('../utils/http-client');
+const service = require('./StatusService');
+
+jest.mock('../../src/utils/http-client');
+jest.mock('../resources/FStoSAPTemplateMapping.json', () => ({
+    landingpage: 'LandingPage2Template',
+    product: 'ProductDetailsPageTemplate'
+}));
+
+describe('StatusService', () => {
+    const getToken = jest.fn();
+    const pageTemplates = [{ uid: 'LandingPage2Template' }, { uid: 'ProductDetailsPageTemplate' }];
+
+    beforeEach(() => {
+        service.readinessResults.clear();
+        console.warn = jest.fn();
+        getToken.mockResolvedValue('token');
+        httpClient.getClients.mockReturnValue({ occClient: { tokenProvider: { getToken } } });
+        httpClient.occClient.get.mockResolvedValue({ data: { id: 'catalog_version' }, status: 200 });
+        httpClient.cmsClient.get.mockResolvedValue({ data: { response: pageTemplates }, status: 200 });
+    });
+
+    describe('liveGet', () => {
+        it('reports the bridge as running', async () => {
+            expect(await service.liveGet()).toEqual({ status: 'UP' });
+        });
+    });
+    describe('readyGet', () => {
+        it('reports the bridge as ready if all checks pass', async () => {
+            const result = await service.readyGet();
+
+            expect(result).toEqual({
+                status: 'UP',
+                checks: [
+                    { name: 'token', status: 'UP', message: 'A token was fetched.', duration: expect.any(Number) },
+                    {
+                        name: 'catalog',
+                        status: 'UP',
+                        message: 'Catalog version catalog_id:catalog_version exists.',
+                        duration: expect.any(Number)
+                    },
+                    {
+                        name: 'contentCatalog',
+                        status: 'UP',
+                        message: 'Content catalog version content_catalog_id:content_catalog_version exists.',
+                        duration: expect.any(Number)
+                    },
+                    { name: 'templateMapping', status: 'UP', message: 'All 2 mapped templates exist.', duration: expect.any(Number) }
+                ]
+            });
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual('occ/path/base_site/catalogs/catalog_id/catalog_version?fields=id');
+            expect(httpClient.cmsClient.get.mock.calls[0][0]).toEqual(
+                'cms/path/base_site/cmsitems?catalogId=content_catalog_id&catalogVersion=content_catalog_version&typeCode=PageTemplate&currentPage=0&pageSize=500'
+            );
+        });
+        it('reports a token that cannot be fetched', async () => {
+            getToken.mockRejectedValue(new Error('Request failed with status code 401'));
+
+            const result = await service.readyGet();
+
+            expect(result.status).toEqual('DOWN');
+            expect(result.checks[0]).toEqual(expect.objectContaining({ status: 'DOWN', message: 'Request failed with status code 401' }));
+        });
+        it('reports an unknown catalog version', async () => {
+            httpClient.occClient.get.mockResolvedValue({
+                data: { errors: [{ type: 'UnknownIdentifierError', message: 'Catalog version not found' }] },
+                status: 400
+            });
+
+            const result = await service.readyGet();
+
+            expect(result.status).toEqual('DOWN');
+            expect(result.checks[1]).toEqual(expect.objectContaining({ status: 'DOWN', message: 'Catalog version not found' }));
+        });
+        it('reports an unknown content catalog version', async () => {
+            httpClient.cmsClient.get.mockRejectedValue({ error: true, data: 'Catalog version not found', status: 400 });
+
+            const result = await service.readyGet();
+
+            expect(result.checks.slice(2)).toEqual([
+                expect.objectContaining({ name: 'contentCatalog', status: 'DOWN', message: 'Catalog version not found' }),
+                expect.objectContaining({ name: 'templateMapping', status: 'DOWN', message: 'Catalog version not found' })
+            ]);
+        });
+        it('reports mapped templates that do not exist', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { response: [pageTemplates[0]] }, status: 200 });
+
+            const result = await service.readyGet();
+
+            expect(result.status).toEqual('DOWN');
+            expect(result.checks[3]).toEqual(
+                expect.objectContaining({
+                    status: 'DOWN',
+                    message: 'The SAP page templates of the FirstSpirit templates product (ProductDetailsPageTemplate) do not exist.'
+                })
+            );
+        });
+        it('caches the result of the checks', async () => {
+            await service.readyGet();
+            const result = await service.readyGet();
+
+            expect(result.status).toEqual('UP');
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(1);
+            expect(httpClient.cmsClient.get).toHaveBeenCalledTimes(1);
+        });
+        it('runs the checks again once the result has expired', async () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            await service.readyGet();
+            Date.now.mockReturnValue(now + 10 * 1000);
+
+            await service.readyGet();
+
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(2);
+            Date.now.mockRestore();
+        });
+        it('never keeps a failed result', async () => {
+            getToken.mockRejectedValueOnce(new Error('Connection refused'));
+
+            const failed = await service.readyGet();
+            const result = await service.readyGet();
+
+            expect(failed.status).toEqual('DOWN');
+            expect(result.status).toEqual('UP');
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(2);
+        });
+        it('is not counted in the cache metrics', async () => {
+            await service.readyGet();
+            await service.readyGet();
+
+            const { metrics } = await service.metricsGet();
+
+            expect(metrics).not.toContain('cache="readiness"');
+        });
+    });
+    describe('upstreamsGet', () => {
+        it('returns the states of the circuit breakers', async () => {
+            const upstreams = [{ name: 'default/occ', state: 'CLOSED', failures: 0, openedAt: null }];
+            httpClient.getCircuitBreakerStates.mockReturnValue(upstreams);
+
+            expect(await service.upstreamsGet()).toEqual({ upstreams });
+        });
+    });
+});
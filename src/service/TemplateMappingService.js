@@ -0,0 +1,100 @@
+const logger = require('../utils/logger');
+const { instrument } = require('../utils/metrics');
+const { getPageTemplateUuid } = require('../utils/page-templates');
+const { getSite } = require('../utils/site');
+const { getSapTemplate, getTemplateMapping, removeSapTemplate, setSapTemplate } = require('../utils/template-mapping');
+const { BodyValidationError, ErrorCode } = require('fcecom-bridge-commons');
+
+const LOGGING_NAME = 'TemplateMappingService';
+
+// FirstSpirit template names start with a letter or digit, which also excludes keys like `__proto__`
+const TEMPLATE_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+/**
+ * Checks that the given SAP Commerce page template exists in the content catalog version of the current base site.
+ * @param {string} sapTemplate the ID of the SAP Commerce page template
+ */
+const validateSapTemplate = async (sapTemplate) => {
+    if (typeof sapTemplate !== 'string' || !sapTemplate) {
+        throw new BodyValidationError('Invalid field in body', {
+            cause: [{ field: 'sapTemplate', cause: 'fieldRequired', code: ErrorCode.FIELD_REQUIRED }]
+        });
+    }
+    if (!(await getPageTemplateUuid(sapTemplate))) {
+        const { contentCatalogId, contentCatalogVersion } = getSite();
+        const message = `SAP Commerce page template "${sapTemplate}" does not exist in ${contentCatalogId}:${contentCatalogVersion}`;
+        throw new BodyValidationError(message, {
+            cause: [{ field: 'sapTemplate', cause: 'wrongTemplateMapping', code: ErrorCode.TEMPLATE_NOT_MAPPED, message }]
+        });
+    }
+};
+
+/**
+ * This method returns the mapping of FirstSpirit templates to SAP Commerce page templates.
+ * @return Promise<{ template: string, sapTemplate: string }[]> the mapped templates, sorted by the FirstSpirit template
+ */
+const templateMappingsGet = async () =>
+    Object.entries(getTemplateMapping())
+        .map(([template, sapTemplate]) => ({ template, sapTemplate }))
+        .sort((a, b) => a.template.localeCompare(b.template));
+
+/**
+ * This method maps a FirstSpirit template that is not mapped yet to a SAP Commerce page template.
+ * @param {{ template: string, sapTemplate: string }} payload the FirstSpirit template and the SAP Commerce page template to map it to
+ * @return Promise<{ template: string, sapTemplate: string }> the added mapping
+ */
+const templateMappingsPost = async (payload = {}) => {
+    const { template, sapTemplate } = payload;
+    if (typeof template !== 'string' || !TEMPLATE_PATTERN.test(template)) {
+        throw new BodyValidationError('Invalid field in body', {
+            cause: [{ field: 'template', cause: 'invalidValue', code: ErrorCode.UNKNOWN }]
+        });
+    }
+    if (getSapTemplate(template) !== undefined) {
+        throw { error: true, data: `FirstSpirit template ${template} is already mapped`, status: 409 };
+    }
+    await validateSapTemplate(sapTemplate);
+
+    setSapTemplate(template, sapTemplate);
+    logger.logInfo(LOGGING_NAME, `Mapped FirstSpirit template ${template} to ${sapTemplate}`);
+    return { template, sapTemplate };
+};
+
+/**
+ * This method maps an already mapped FirstSpirit template to another SAP Commerce page template.
+ * @param {string} template the name of the FirstSpirit template
+ * @param {{ sapTemplate: string }} payload the SAP Commerce page template to map it to
+ * @return Promise<{ template: string, sapTemplate: string }> the changed mapping
+ */
+const templateMappingsTemplatePut = async (template, payload = {}) => {
+    const previous = getSapTemplate(template);
+    if (previous === undefined) {
+        throw { error: true, data: `FirstSpirit template ${template} is not mapped`, status: 404 };
+    }
+    const { sapTemplate } = payload;
+    await validateSapTemplate(sapTemplate);
+
+    setSapTemplate(template, sapTemplate);
+    logger.logInfo(LOGGING_NAME, `Mapped FirstSpirit template ${template} to ${sapTemplate} instead of ${previous}`);
+    return { template, sapTemplate };
+};
+
+/**
+ * This method removes the mapping of a FirstSpirit template, pages with this template are rejected afterwards.
+ * @param {string} template the name of the FirstSpirit template
+ * @return Promise<void>
+ */
+const templateMappingsTemplateDelete = async (template) => {
+    if (getSapTemplate(template) === undefined) {
+        throw { error: true, data: `FirstSpirit template ${template} is not mapped`, status: 404 };
+    }
+    removeSapTemplate(template);
+    logger.logInfo(LOGGING_NAME, `Removed the mapping of FirstSpirit template ${template}`);
+};
+
+module.exports = {
+    templateMappingsGet: instrument('templateMappingsGet', templateMappingsGet),
+    templateMappingsPost: instrument('templateMappingsPost', templateMappingsPost),
+    templateMappingsTemplatePut: instrument('templateMappingsTemplatePut', templateMappingsTemplatePut),
+    templateMappingsTemplateDelete: instrument('templateMappingsTemplateDelete', templateMappingsTemplateDelete)
+};
@@ -0,0 +1,97 @@
+const service = require('./TemplateMappingService');
+const { getPageTemplateUuid } = require('../utils/page-templates');
+const templateMapping = require('../utils/template-mapping');
+
+jest.mock('../utils/page-templates');
+jest.mock('../utils/template-mapping');
+
+describe('TemplateMappingService', () => {
+    const mapping = { product: 'ProductDetailsPageTemplate', content: 'LandingPage2Template' };
+
+    beforeEach(() => {
+        templateMapping.getTemplateMapping.mockReturnValue(mapping);
+        templateMapping.getSapTemplate.mockImplementation((template) => mapping[template]);
+        getPageTemplateUuid.mockImplementation(async (uid) => (uid.endsWith('Template') ? `${uid}Uuid` : undefined));
+    });
+
+    describe('templateMappingsGet', () => {
+        it('returns the mapped templates', async () => {
+            const result = await service.templateMappingsGet();
+
+            expect(result).toEqual([
+                { template: 'content', sapTemplate: 'LandingPage2Template' },
+                { template: 'product', sapTemplate: 'ProductDetailsPageTemplate' }
+            ]);
+        });
+    });
+    describe('templateMappingsPost', () => {
+        it('adds the mapping', async () => {
+            const result = await service.templateMappingsPost({ template: 'category', sapTemplate: 'CategoryPageTemplate' });
+
+            expect(result).toEqual({ template: 'category', sapTemplate: 'CategoryPageTemplate' });
+            expect(getPageTemplateUuid).toHaveBeenCalledWith('CategoryPageTemplate');
+            expect(templateMapping.setSapTemplate).toHaveBeenCalledWith('category', 'CategoryPageTemplate');
+        });
+        it('rejects invalid template names', async () => {
+            await expect(service.templateMappingsPost({ template: '__proto__', sapTemplate: 'CategoryPageTemplate' })).rejects.toEqual(
+                expect.objectContaining({ name: 'BodyValidationError', cause: [expect.objectContaining({ field: 'template' })] })
+            );
+            expect(templateMapping.setSapTemplate).not.toHaveBeenCalled();
+        });
+        it('rejects templates that are already mapped', async () => {
+            await expect(service.templateMappingsPost({ template: 'content', sapTemplate: 'CategoryPageTemplate' })).rejects.toEqual(
+                expect.objectContaining({ status: 409 })
+            );
+            expect(templateMapping.setSapTemplate).not.toHaveBeenCalled();
+        });
+        it('rejects missing SAP Commerce page templates', async () => {
+            await expect(service.templateMappingsPost({ template: 'category' })).rejects.toEqual(
+                expect.objectContaining({
+                    name: 'BodyValidationError',
+                    cause: [expect.objectContaining({ field: 'sapTemplate', code: '1040' })]
+                })
+            );
+            expect(getPageTemplateUuid).not.toHaveBeenCalled();
+        });
+        it('rejects SAP Commerce page templates that do not exist in the content catalog', async () => {
+            await expect(service.templateMappingsPost({ template: 'category', sapTemplate: 'Unknown' })).rejects.toEqual(
+                expect.objectContaining({
+                    name: 'BodyValidationError',
+                    message: 'SAP Commerce page template "Unknown" does not exist in content_catalog_id:content_catalog_version'
+                })
+            );
+            expect(templateMapping.setSapTemplate).not.toHaveBeenCalled();
+        });
+    });
+    describe('templateMappingsTemplatePut', () => {
+        it('changes the mapping', async () => {
+            const result = await service.templateMappingsTemplatePut('content', { sapTemplate: 'ContentPage1Template' });
+
+            expect(result).toEqual({ template: 'content', sapTemplate: 'ContentPage1Template' });
+            expect(templateMapping.setSapTemplate).toHaveBeenCalledWith('content', 'ContentPage1Template');
+        });
+        it('rejects templates that are not mapped', async () => {
+            await expect(service.templateMappingsTemplatePut('category', { sapTemplate: 'CategoryPageTemplate' })).rejects.toEqual(
+                expect.objectContaining({ status: 404 })
+            );
+            expect(templateMapping.setSapTemplate).not.toHaveBeenCalled();
+        });
+        it('rejects SAP Commerce page templates that do not exist in the content catalog', async () => {
+            await expect(service.templateMappingsTemplatePut('content', { sapTemplate: 'Unknown' })).rejects.toEqual(
+                expect.objectContaining({ cause: [expect.objectContaining({ field: 'sapTemplate', cause: 'wrongTemplateMapping' })] })
+            );
+            expect(templateMapping.setSapTemplate).not.toHaveBeenCalled();
+        });
+    });
+    describe('templateMappingsTemplateDelete', () => {
+        it('removes the mapping', async () => {
+            await service.templateMappingsTemplateDelete('product');
+
+            expect(templateMapping.removeSapTemplate).toHaveBeenCalledWith('product');
+        });
+        it('rejects templates that are not mapped', async () => {
+            await expect(service.templateMappingsTemplateDelete('category')).rejects.toEqual(expect.objectContaining({ status: 404 }));
+            expect(templateMapping.removeSapTemplate).not.toHaveBeenCalled();
+        });
+    });
+});
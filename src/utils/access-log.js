@@ -0,0 +1,31 @@
+const logger = require('./logger');
+
+const LOGGING_NAME = 'access-log';
+
+/**
+ * Logs every request the given Express app handles once its response has been sent,
+ * with its method, URL, status and duration.
+ *
+ * @param {*} app The Express app instance as returned by `BridgeCore().getAppInstance()`.
+ */
+const attach = (app) => {
+    const handle = app.handle;
+    app.handle = function (req, res, callback) {
+        const { method, url } = req;
+        const start = process.hrtime.bigint();
+        res.on('finish', () => {
+            const duration = Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+            const { statusCode: status } = res;
+            logger.logInfo(
+                LOGGING_NAME,
+                `${method} ${url} - ${status} in ${duration} ms`,
+                logger.fields({ method, url, status, duration })
+            );
+        });
+        return handle.call(this, req, res, callback);
+    };
+};
+
+module.exports = {
+    attach
+};
@@ -0,0 +1,86 @@
+const express = require('express');
+const { createMockServer } = require('../mock/sap-server');
+const { startTestBridge } = require('./testBridge');
+
+describe('access-log', () => {
+    const upstreamRequests = [];
+    let upstream;
+    let bridge;
+
+    const findAccessLogEntries = () =>
+        console.info.mock.calls.map(([line]) => JSON.parse(line)).filter((entry) => entry.logger === 'access-log');
+
+    beforeAll(async () => {
+        const app = express();
+        app.use((req, res, next) => {
+            upstreamRequests.push({ url: req.originalUrl, requestId: req.headers['x-request-id'] });
+            next();
+        });
+        app.use(createMockServer());
+        upstream = await new Promise((resolve) => {
+            const listener = app.listen(0, () => resolve(listener));
+        });
+        const url = `http://127.0.0.1:${upstream.address().port}`;
+        Object.assign(process.env, {
+            LOG_FORMAT: 'json',
+            OAUTH_TOKEN_URL: `${url}/authorizationserver/oauth/token`,
+            OCC_BASE_URL: url,
+            CMS_BASE_URL: url,
+            OCC_PATH: '/occ/v2/',
+            BASE_SITE_ID: 'electronics-spa',
+            TEMPLATE_MAPPING_FILE: 'unused/template-mapping.json',
+            DELETED_PAGES_FILE: 'unused/deleted-pages.json'
+        });
+        // The logger reads the log format when it is loaded
+        jest.resetModules();
+        bridge = await startTestBridge(() => require('../bridge').startBridge(0));
+    });
+    afterAll(() => {
+        bridge.close();
+        upstream.closeAllConnections();
+        upstream.close();
+        delete process.env.LOG_FORMAT;
+    });
+    beforeEach(() => {
+        console.debug = jest.fn();
+        console.info = jest.fn();
+        console.error = jest.fn();
+    });
+
+    it('logs the method, URL, status, duration and tenant of each request as JSON', async () => {
+        const route = '/api/storefront-url?type=product&id=3965240&lang=en';
+
+        const { status } = await bridge.request('GET', route, undefined, { 'X-Request-Id': 'access-log-1' });
+
+        expect(status).toEqual(200);
+        expect(findAccessLogEntries()).toEqual([
+            {
+                timestamp: expect.any(String),
+                level: 'INFO',
+                logger: 'access-log',
+                requestId: 'access-log-1',
+                tenant: 'default',
+                method: 'GET',
+                url: route,
+                status: 200,
+                duration: expect.any(Number),
+                message: expect.stringMatching(new RegExp(`^GET ${route.replace(/[?]/g, '\\?')} - 200 in \\d+ ms$`))
+            }
+        ]);
+    });
+    it('logs requests rejected as unauthenticated', async () => {
+        const { status } = await bridge.request('GET', '/api/products', undefined, { authorization: 'Basic invalid' });
+
+        expect(status).toEqual(401);
+        expect(findAccessLogEntries()).toEqual([expect.objectContaining({ method: 'GET', url: '/api/products', status: 401 })]);
+    });
+    it('passes the ID of the request on to SAP Commerce', async () => {
+        upstreamRequests.length = 0;
+
+        await bridge.request('GET', '/api/storefront-url?type=product&id=450848&lang=en', undefined, { 'X-Request-Id': 'access-log-2' });
+
+        expect(upstreamRequests).toEqual(
+            expect.arrayContaining([{ url: expect.stringContaining('/products/450848?'), requestId: 'access-log-2' }])
+        );
+    });
+});
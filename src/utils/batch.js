@@ -0,0 +1,94 @@
+/**
+ * Splits the given array into chunks of the given size.
+ *
+ * @param {any[]} items The items to split.
+ * @param {number} size The maximum number of items per chunk.
+ * @return {any[][]} The chunks, in the order of the given items.
+ */
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+/**
+ * Maps the given items using an async mapper while running at most `limit` mappers at the same time.
+ * Rejects as soon as one of the mappers rejects.
+ *
+ * @param {any[]} items The items to map.
+ * @param {number} limit The maximum number of mappers running in parallel.
+ * @param {function(*, number): Promise<*>} mapper The async function to apply to each item.
+ * @return {Promise<any[]>} The results, in the order of the given items.
+ */
+const mapLimit = async (items, limit, mapper) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+    return results;
+};
+
+/**
+ * Creates a limiter that runs at most `limit` async tasks at the same time.
+ * Further tasks are queued and started in the order they were scheduled as soon as a running task settles.
+ *
+ * @param {number} limit The maximum number of tasks running in parallel.
+ * @return {{run: function(function(): Promise<*>): Promise<*>, getState: function(): {active: number, queued: number}}} The limiter.
+ */
+const createLimiter = (limit) => {
+    const queue = [];
+    let active = 0;
+
+    /**
+     * Starts the next queued task if a slot is free.
+     */
+    const next = () => {
+        if (active < Math.max(limit, 1) && queue.length) {
+            active++;
+            const { task, resolve, reject } = queue.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        }
+    };
+
+    /**
+     * Runs the given task as soon as a slot is free.
+     *
+     * @param {function(): Promise<*>} task The async function to run.
+     * @return {Promise<*>} The result of the task.
+     */
+    const run = (task) =>
+        new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+
+    /**
+     * Returns the number of running and queued tasks.
+     *
+     * @return {{active: number, queued: number}} The state of the limiter.
+     */
+    const getState = () => ({ active, queued: queue.length });
+
+    return { run, getState };
+};
+
+module.exports = {
+    chunk,
+    createLimiter,
+    mapLimit
+};
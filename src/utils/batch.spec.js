@@ -0,0 +1,65 @@
+const { chunk, createLimiter, mapLimit } = require('./batch');
+
+describe('batch', () => {
+    describe('chunk()', () => {
+        it('splits the items into chunks of the given size', () => {
+            expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+        });
+        it('returns no chunks for an empty array', () => {
+            expect(chunk([], 2)).toEqual([]);
+        });
+    });
+    describe('mapLimit()', () => {
+        it('keeps the order of the items', async () => {
+            const delays = [30, 10, 20];
+
+            const result = await mapLimit(delays, 2, (delay) => new Promise((resolve) => setTimeout(() => resolve(delay), delay)));
+
+            expect(result).toEqual(delays);
+        });
+        it('runs at most the given number of mappers in parallel', async () => {
+            let running = 0;
+            let maxRunning = 0;
+            const mapper = async (item) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await new Promise((resolve) => setTimeout(resolve, 1));
+                running--;
+                return item * 2;
+            };
+
+            const result = await mapLimit([1, 2, 3, 4, 5], 2, mapper);
+
+            expect(result).toEqual([2, 4, 6, 8, 10]);
+            expect(maxRunning).toEqual(2);
+        });
+        it('rejects if a mapper rejects', async () => {
+            await expect(mapLimit([1, 2], 2, async () => Promise.reject(new Error('failed')))).rejects.toThrow('failed');
+        });
+    });
+    describe('createLimiter()', () => {
+        it('queues tasks exceeding the limit', async () => {
+            const limiter = createLimiter(2);
+            const started = [];
+            const task = (item) => async () => {
+                started.push(item);
+                await new Promise((resolve) => setTimeout(resolve, 1));
+                return item;
+            };
+
+            const results = Promise.all([1, 2, 3].map((item) => limiter.run(task(item))));
+            await new Promise(process.nextTick);
+
+            expect(started).toEqual([1, 2]);
+            expect(limiter.getState()).toEqual({ active: 2, queued: 1 });
+            expect(await results).toEqual([1, 2, 3]);
+            expect(limiter.getState()).toEqual({ active: 0, queued: 0 });
+        });
+        it('frees the slot of a rejected task', async () => {
+            const limiter = createLimiter(1);
+
+            await expect(limiter.run(async () => Promise.reject(new Error('failed')))).rejects.toThrow('failed');
+            await expect(limiter.run(async () => 'next')).resolves.toEqual('next');
+        });
+    });
+});
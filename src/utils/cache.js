@@ -0,0 +1,113 @@
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const LOGGING_NAME = 'cache';
+
+const DEFAULT_MAX_SIZE = 100;
+
+/**
+ * Creates a keyed in-memory cache whose entries expire after the given time to live.
+ * Expired entries are still served while they are being reloaded in the background,
+ * so only the very first request for a key has to wait for the loader.
+ * Once the cache holds `maxSize` entries, the least recently used entry is removed for a new one.
+ *
+ * @param {string} name Name of the cache, used for logging and metrics.
+ * @param {number} ttl Time to live of an entry in milliseconds. A value of 0 disables caching.
+ * @param {{maxSize: number}} [options] Maximum number of entries of the cache.
+ * @return The cache instance.
+ */
+const createCache = (name, ttl, { maxSize = DEFAULT_MAX_SIZE } = {}) => {
+    const entries = new Map();
+    const pending = new Map();
+    const stats = { hits: 0, misses: 0 };
+
+    /**
+     * Stores the given value, removing the least recently used entry if the cache is full.
+     *
+     * @param {string} key The key to store the value for.
+     * @param {*} value The value to store.
+     */
+    const store = (key, value) => {
+        entries.delete(key);
+        if (entries.size >= maxSize) {
+            const [oldestKey] = entries.keys();
+            logger.logDebug(LOGGING_NAME, `Evicting key ${oldestKey} from ${name}, the cache is full`);
+            entries.delete(oldestKey);
+        }
+        entries.set(key, { value, expires: Date.now() + ttl });
+    };
+
+    /**
+     * Runs the loader for the given key and stores its result.
+     * Concurrent loads for the same key share a single loader call.
+     *
+     * @param {string} key The key to load the value for.
+     * @param {function(): Promise<*>} loader Function that loads the value.
+     * @return {Promise<*>} The loaded value.
+     */
+    const load = (key, loader) => {
+        if (!pending.has(key)) {
+            const promise = Promise.resolve()
+                .then(loader)
+                .then((value) => {
+                    ttl > 0 && store(key, value);
+                    return value;
+                })
+                .finally(() => pending.delete(key));
+            pending.set(key, promise);
+        }
+        return pending.get(key);
+    };
+
+    /**
+     * Returns the cached value for the given key, loading it if necessary.
+     *
+     * @param {string} key The key to get the value for.
+     * @param {function(): Promise<*>} loader Function that loads the value on a cache miss or refresh.
+     * @return {Promise<*>} The cached or loaded value.
+     */
+    const get = async (key, loader) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            stats.misses++;
+            metrics.countCacheLookup(name, false);
+            logger.logDebug(LOGGING_NAME, `Cache miss in ${name} for key ${key}`);
+            return load(key, loader);
+        }
+        stats.hits++;
+        metrics.countCacheLookup(name, true);
+        // Maps keep their insertion order, re-inserting the entry marks it as the most recently used
+        entries.delete(key);
+        entries.set(key, entry);
+        logger.logDebug(LOGGING_NAME, `Cache hit in ${name} for key ${key}`);
+        if (entry.expires <= Date.now() && !pending.has(key)) {
+            logger.logDebug(LOGGING_NAME, `Refreshing expired entry in ${name} for key ${key} in the background`);
+            load(key, loader).catch((error) => logger.logError(LOGGING_NAME, `Failed to refresh ${name} for key ${key}`, error));
+        }
+        return entry.value;
+    };
+
+    /**
+     * Removes all entries and resets the statistics.
+     */
+    const clear = () => {
+        entries.clear();
+        pending.clear();
+        stats.hits = 0;
+        stats.misses = 0;
+    };
+
+    /**
+     * Returns the number of cache hits and misses since the last reset.
+     *
+     * @return {{hits: number, misses: number, size: number}} The statistics of the cache.
+     */
+    const getStats = () => ({ ...stats, size: entries.size });
+    metrics.trackCache(name, getStats);
+
+    return { name, get, clear, getStats };
+};
+
+module.exports = {
+    createCache
+};
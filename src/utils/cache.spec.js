@@ -0,0 +1,123 @@
+const { createCache } = require('./cache');
+
+describe('cache', () => {
+    const ttl = 1000;
+    let now;
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('get()', () => {
+        it('loads the value on a cache miss', async () => {
+            const cache = createCache('test', ttl);
+            const loader = jest.fn().mockResolvedValue('value');
+
+            const result = await cache.get('key', loader);
+
+            expect(result).toEqual('value');
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.getStats()).toEqual({ hits: 0, misses: 1, size: 1 });
+        });
+        it('returns the cached value on a cache hit', async () => {
+            const cache = createCache('test', ttl);
+            const loader = jest.fn().mockResolvedValue('value');
+
+            await cache.get('key', loader);
+            const result = await cache.get('key', loader);
+
+            expect(result).toEqual('value');
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.getStats()).toEqual({ hits: 1, misses: 1, size: 1 });
+        });
+        it('keeps the values of different keys apart', async () => {
+            const cache = createCache('test', ttl);
+
+            await cache.get('en', async () => 'english');
+            const result = await cache.get('de', async () => 'german');
+
+            expect(result).toEqual('german');
+            expect(await cache.get('en', jest.fn())).toEqual('english');
+        });
+        it('shares a single load between concurrent calls', async () => {
+            const cache = createCache('test', ttl);
+            const loader = jest.fn().mockResolvedValue('value');
+
+            const results = await Promise.all([cache.get('key', loader), cache.get('key', loader)]);
+
+            expect(results).toEqual(['value', 'value']);
+            expect(loader).toHaveBeenCalledTimes(1);
+        });
+        it('serves the expired value and refreshes it in the background', async () => {
+            const cache = createCache('test', ttl);
+            await cache.get('key', async () => 'old');
+            now = ttl + 1;
+            const loader = jest.fn().mockResolvedValue('new');
+
+            const staleResult = await cache.get('key', loader);
+            await new Promise(process.nextTick);
+            const freshResult = await cache.get('key', loader);
+
+            expect(staleResult).toEqual('old');
+            expect(freshResult).toEqual('new');
+            expect(loader).toHaveBeenCalledTimes(1);
+        });
+        it('keeps the expired value if the background refresh fails', async () => {
+            console.error = jest.fn();
+            const cache = createCache('test', ttl);
+            await cache.get('key', async () => 'old');
+            now = ttl + 1;
+
+            await cache.get('key', jest.fn().mockRejectedValue(new Error('failed')));
+            await new Promise(process.nextTick);
+            const result = await cache.get('key', jest.fn().mockReturnValue(new Promise(() => {})));
+
+            expect(result).toEqual('old');
+            expect(console.error).toHaveBeenCalled();
+        });
+        it('removes the least recently used entry once the cache is full', async () => {
+            const cache = createCache('test', ttl, { maxSize: 2 });
+
+            await cache.get('a', async () => 'a');
+            await cache.get('b', async () => 'b');
+            await cache.get('a', jest.fn());
+            await cache.get('c', async () => 'c');
+            const loader = jest.fn().mockResolvedValue('b');
+            await cache.get('b', loader);
+
+            expect(loader).toHaveBeenCalledTimes(1);
+            expect(cache.getStats().size).toEqual(2);
+        });
+        it('does not store failed loads', async () => {
+            const cache = createCache('test', ttl);
+
+            await expect(cache.get('key', jest.fn().mockRejectedValue(new Error('failed')))).rejects.toThrow('failed');
+
+            expect(await cache.get('key', async () => 'value')).toEqual('value');
+        });
+        it('does not store values if the time to live is 0', async () => {
+            const cache = createCache('test', 0);
+            const loader = jest.fn().mockResolvedValue('value');
+
+            await cache.get('key', loader);
+            await cache.get('key', loader);
+
+            expect(loader).toHaveBeenCalledTimes(2);
+        });
+    });
+    describe('clear()', () => {
+        it('removes all entries and resets the statistics', async () => {
+            const cache = createCache('test', ttl);
+            const loader = jest.fn().mockResolvedValue('value');
+            await cache.get('key', loader);
+
+            cache.clear();
+            await cache.get('key', loader);
+
+            expect(loader).toHaveBeenCalledTimes(2);
+            expect(cache.getStats()).toEqual({ hits: 0, misses: 1, size: 1 });
+        });
+    });
+});
@@ -0,0 +1,84 @@
+const logger = require('./logger');
+
+const LOGGING_NAME = 'circuit-breaker';
+
+const CLOSED = 'CLOSED';
+const OPEN = 'OPEN';
+const HALF_OPEN = 'HALF_OPEN';
+
+/**
+ * Creates a circuit breaker for an upstream system.
+ * After `threshold` consecutive failures the circuit opens and requests fail fast.
+ * Once `resetTimeout` has passed, a single trial request is let through: if it succeeds the circuit closes again, otherwise it stays open.
+ *
+ * @param {string} name Name of the upstream, used for logging and reporting.
+ * @param {{threshold: number, resetTimeout: number}} options Number of consecutive failures that open the circuit and time in milliseconds until a trial request is let through.
+ * @return The circuit breaker instance.
+ */
+const createCircuitBreaker = (name, { threshold, resetTimeout }) => {
+    let state = CLOSED;
+    let failures = 0;
+    let openedAt = null;
+
+    /**
+     * Sets the state of the circuit and logs the transition.
+     *
+     * @param {string} newState The new state.
+     */
+    const transition = (newState) => {
+        if (state !== newState) {
+            const log = newState === CLOSED ? logger.logInfo : logger.logWarning;
+            log(LOGGING_NAME, `Circuit of ${name} changed from ${state} to ${newState}`);
+            state = newState;
+        }
+    };
+
+    /**
+     * Checks whether a request may be sent to the upstream.
+     *
+     * @return {boolean} True if the request may be sent, false if it has to fail fast.
+     */
+    const tryAcquire = () => {
+        if (state === OPEN && Date.now() - openedAt >= resetTimeout) {
+            transition(HALF_OPEN);
+            return true;
+        }
+        return state === CLOSED;
+    };
+
+    /**
+     * Records a successful request, which closes the circuit.
+     */
+    const recordSuccess = () => {
+        failures = 0;
+        openedAt = null;
+        transition(CLOSED);
+    };
+
+    /**
+     * Records a failed request, which opens the circuit once the threshold is reached or a trial request failed.
+     */
+    const recordFailure = () => {
+        failures++;
+        if (state === HALF_OPEN || failures >= threshold) {
+            openedAt = Date.now();
+            transition(OPEN);
+        }
+    };
+
+    /**
+     * Returns the current state of the circuit.
+     *
+     * @return {{name: string, state: string, failures: number, openedAt: string}} The state of the circuit.
+     */
+    const getState = () => ({ name, state, failures, openedAt: openedAt === null ? null : new Date(openedAt).toISOString() });
+
+    return { name, tryAcquire, recordSuccess, recordFailure, getState };
+};
+
+module.exports = {
+    CLOSED,
+    OPEN,
+    HALF_OPEN,
+    createCircuitBreaker
+};
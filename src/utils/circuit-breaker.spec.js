@@ -0,0 +1,67 @@
+const { CLOSED, OPEN, HALF_OPEN, createCircuitBreaker } = require('./circuit-breaker');
+
+describe('circuit-breaker', () => {
+    let now;
+    let breaker;
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        console.warn = jest.fn();
+        console.info = jest.fn();
+        breaker = createCircuitBreaker('occ', { threshold: 2, resetTimeout: 1000 });
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    it('lets requests through while closed', () => {
+        breaker.recordFailure();
+
+        expect(breaker.tryAcquire()).toBe(true);
+        expect(breaker.getState()).toEqual({ name: 'occ', state: CLOSED, failures: 1, openedAt: null });
+    });
+    it('opens after the threshold of consecutive failures', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+
+        expect(breaker.tryAcquire()).toBe(false);
+        expect(breaker.getState()).toEqual({ name: 'occ', state: OPEN, failures: 2, openedAt: new Date(0).toISOString() });
+    });
+    it('resets the failures after a success', () => {
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+
+        expect(breaker.getState().state).toEqual(CLOSED);
+    });
+    it('lets a single trial request through after the reset timeout', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        now = 1000;
+
+        expect(breaker.tryAcquire()).toBe(true);
+        expect(breaker.tryAcquire()).toBe(false);
+        expect(breaker.getState().state).toEqual(HALF_OPEN);
+    });
+    it('closes if the trial request succeeds', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        now = 1000;
+        breaker.tryAcquire();
+
+        breaker.recordSuccess();
+
+        expect(breaker.tryAcquire()).toBe(true);
+        expect(breaker.getState()).toEqual({ name: 'occ', state: CLOSED, failures: 0, openedAt: null });
+    });
+    it('opens again if the trial request fails', () => {
+        breaker.recordFailure();
+        breaker.recordFailure();
+        now = 1000;
+        breaker.tryAcquire();
+
+        breaker.recordFailure();
+
+        expect(breaker.tryAcquire()).toBe(false);
+        expect(breaker.getState()).toEqual(expect.objectContaining({ state: OPEN, openedAt: new Date(1000).toISOString() }));
+    });
+});
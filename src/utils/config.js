@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { GRANT_TYPES } = require('./token');
+
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARNING', 'ERROR', 'NONE'];
+
+/**
+ * Returns whether SSL files are required by the given configuration.
+ *
+ * @param {*} config The configuration to check.
+ * @return {string|false} The reason why the files are required, false if they are not.
+ */
+const requiredByHttps = ({ CONN_MODE }) => CONN_MODE === 'HTTPS' && 'CONN_MODE is HTTPS';
+
+/**
+ * Returns whether the credentials of the password grant are required by the given configuration.
+ *
+ * @param {*} config The configuration to check.
+ * @return {string|false} The reason why the credentials are required, false if they are not.
+ */
+const requiredByPasswordGrant = ({ OAUTH_GRANT_TYPE }) =>
+    (!OAUTH_GRANT_TYPE || OAUTH_GRANT_TYPE === 'password') && 'OAUTH_GRANT_TYPE is password';
+
+// Rules for the environment variables of the bridge: `required` is true or a function returning the reason why the variable is required,
+// the other rules are only checked if the variable is set
+const CONFIG_SCHEMA = {
+    PORT: { type: 'integer', min: 1, max: 65535 },
+    NODE_PORT: { type: 'integer', min: 1, max: 65535 },
+    LOG_LEVEL: { values: LOG_LEVELS },
+    LOG_FORMAT: { values: ['text', 'json'] },
+    REQUEST_ID_HEADER: { pattern: /^[\w-]+$/, description: 'the name of an HTTP header' },
+    USER_HEADER: { pattern: /^[\w-]+$/, description: 'the name of an HTTP header' },
+    LOG_REDACT_PATHS: { pattern: /^[\w*-]+(\.[\w*-]+)*(,\s*[\w*-]+(\.[\w*-]+)*)*$/, description: 'a comma-separated list of field paths' },
+    TENANT_CONFIG: { type: 'file' },
+    BRIDGE_AUTH_USERNAME: { required: true },
+    BRIDGE_AUTH_PASSWORD: { required: true },
+    DEFAULT_LANG: { required: true },
+    CURRENCY: { pattern: /^[A-Z]{3}$/, description: 'an ISO 4217 currency code' },
+    CONN_MODE: { values: ['HTTP', 'HTTPS'] },
+    SSL_CERT: { required: requiredByHttps, type: 'file' },
+    SSL_KEY: { required: requiredByHttps, type: 'file' },
+    OAUTH_TOKEN_URL: { required: true, type: 'url' },
+    OAUTH_GRANT_TYPE: { values: GRANT_TYPES },
+    OAUTH_USE_REFRESH_TOKEN: { type: 'boolean' },
+    OAUTH_TOKEN_REFRESH_MARGIN: { type: 'integer', min: 0 },
+    CLIENT_ID: { required: true },
+    API_USERNAME: { required: requiredByPasswordGrant },
+    API_PASSWORD: { required: requiredByPasswordGrant },
+    OCC_BASE_URL: { required: true, type: 'url' },
+    CMS_BASE_URL: { required: true, type: 'url' },
+    MEDIA_CDN_URL: { type: 'url' },
+    OCC_PATH: { required: true },
+    CMS_PATH: { required: true },
+    BASE_SITE_ID: { required: true },
+    CATALOG_ID: { required: true },
+    CATALOG_VERSION: { required: true },
+    CONTENT_CATALOG_ID: { required: true },
+    CONTENT_CATALOG_VERSION: { required: true },
+    CONTENT_DELETE_MODE: { values: ['soft', 'hard'] },
+    PRODUCT_BATCH_SIZE: { type: 'integer', min: 1 },
+    PRODUCT_BATCH_CONCURRENCY: { type: 'integer', min: 1 },
+    PRODUCT_FIELDS: { pattern: /(^|,)code(,|$)/, description: 'a list of fields containing "code"' },
+    DEFAULT_PAGE_SIZE: { type: 'integer', min: 1 },
+    MAX_PAGE_SIZE: { type: 'integer', min: 1 },
+    CATEGORY_CACHE_TTL: { type: 'integer', min: 0 },
+    SAP_RETRY_ATTEMPTS: { type: 'integer', min: 0 },
+    SAP_RETRY_BASE_DELAY: { type: 'integer', min: 1 },
+    SAP_RETRY_MAX_DELAY: { type: 'integer', min: 1 },
+    CIRCUIT_BREAKER_THRESHOLD: { type: 'integer', min: 1 },
+    CIRCUIT_BREAKER_RESET_TIMEOUT: { type: 'integer', min: 1 },
+    SAP_OCC_TIMEOUT: { type: 'integer', min: 1 },
+    SAP_CMS_TIMEOUT: { type: 'integer', min: 1 },
+    SAP_MAX_CONCURRENT_REQUESTS: { type: 'integer', min: 1 }
+};
+
+/**
+ * Checks the given value against the type of a rule.
+ *
+ * @param {string} value The value to check.
+ * @param {{type: string, min: number, max: number}} rule The rule of the variable.
+ * @return {string|undefined} The expected format if the value does not match the type, undefined otherwise.
+ */
+const checkType = (value, { type, min = -Infinity, max = Infinity }) => {
+    switch (type) {
+        case 'integer':
+            if (!/^\d+$/.test(value) || Number(value) < min || Number(value) > max) {
+                return max === Infinity ? `an integer of at least ${min}` : `an integer between ${min} and ${max}`;
+            }
+            return undefined;
+        case 'boolean':
+            return ['true', 'false'].includes(value) ? undefined : 'true or false';
+        case 'url':
+            try {
+                return ['http:', 'https:'].includes(new URL(value).protocol) ? undefined : 'an HTTP or HTTPS URL';
+            } catch (error) {
+                return 'an HTTP or HTTPS URL';
+            }
+        case 'file':
+            try {
+                fs.accessSync(path.resolve(value), fs.constants.R_OK);
+                return fs.statSync(path.resolve(value)).isFile() ? undefined : 'the path of a readable file';
+            } catch (error) {
+                return 'the path of a readable file';
+            }
+        default:
+            return undefined;
+    }
+};
+
+/**
+ * Validates the given configuration against the schema of the environment variables.
+ * Empty values are treated as missing, as they are what an unset variable in a `.env` file yields.
+ *
+ * @param {*} config The configuration to validate, e.g. `process.env`.
+ * @return {string[]} All problems of the configuration, empty if it is valid.
+ */
+const validateConfig = (config) =>
+    Object.entries(CONFIG_SCHEMA).flatMap(([name, rule]) => {
+        // Tenant files may contain numbers and booleans, environment variables are always strings
+        const value = String(config[name] ?? '');
+        if (value === '') {
+            const reason = typeof rule.required === 'function' ? rule.required(config) : rule.required;
+            if (!reason) {
+                return [];
+            }
+            return [reason === true ? `${name} is required` : `${name} is required because ${reason}`];
+        }
+        const expected =
+            (rule.values && !rule.values.includes(value) && `one of ${rule.values.join(', ')}`) ||
+            (rule.pattern && !rule.pattern.test(value) && rule.description) ||
+            checkType(value, rule);
+        return expected ? [`${name} must be ${expected}, but is "${value}"`] : [];
+    });
+
+module.exports = {
+    CONFIG_SCHEMA,
+    validateConfig
+};
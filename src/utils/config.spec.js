@@ -0,0 +1,103 @@
+const fs = require('fs');
+const { validateConfig } = require('./config');
+
+describe('config', () => {
+    const config = {
+        BRIDGE_AUTH_USERNAME: 'username',
+        BRIDGE_AUTH_PASSWORD: 'password',
+        DEFAULT_LANG: 'en',
+        OAUTH_TOKEN_URL: 'https://sap.example.com/authorizationserver/oauth/token',
+        CLIENT_ID: 'client',
+        API_USERNAME: 'admin',
+        API_PASSWORD: 'nimda',
+        OCC_BASE_URL: 'https://sap.example.com',
+        CMS_BASE_URL: 'https://sap.example.com',
+        OCC_PATH: '/occ/v2/',
+        CMS_PATH: '/cmswebservices/v1/sites/',
+        BASE_SITE_ID: 'electronics-spa',
+        CATALOG_ID: 'electronicsProductCatalog',
+        CATALOG_VERSION: 'Online',
+        CONTENT_CATALOG_ID: 'electronics-spaContentCatalog',
+        CONTENT_CATALOG_VERSION: 'Online'
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('validateConfig()', () => {
+        it('accepts a valid configuration', () => {
+            expect(validateConfig(config)).toEqual([]);
+        });
+        it('reports all missing values at once', () => {
+            const result = validateConfig({ ...config, OCC_PATH: '', BASE_SITE_ID: undefined, CONTENT_CATALOG_ID: '' });
+
+            expect(result).toEqual(['OCC_PATH is required', 'BASE_SITE_ID is required', 'CONTENT_CATALOG_ID is required']);
+        });
+        it('reports invalid URLs', () => {
+            const result = validateConfig({ ...config, OCC_BASE_URL: 'sap.example.com', MEDIA_CDN_URL: 'ftp://media.example.com' });
+
+            expect(result).toEqual([
+                'OCC_BASE_URL must be an HTTP or HTTPS URL, but is "sap.example.com"',
+                'MEDIA_CDN_URL must be an HTTP or HTTPS URL, but is "ftp://media.example.com"'
+            ]);
+        });
+        it('reports invalid numbers, booleans and enumerations', () => {
+            const result = validateConfig({
+                ...config,
+                PORT: '70000',
+                CATEGORY_CACHE_TTL: '-1',
+                OAUTH_USE_REFRESH_TOKEN: 'yes',
+                CONN_MODE: 'FTP'
+            });
+
+            expect(result).toEqual([
+                'PORT must be an integer between 1 and 65535, but is "70000"',
+                'CONN_MODE must be one of HTTP, HTTPS, but is "FTP"',
+                'OAUTH_USE_REFRESH_TOKEN must be true or false, but is "yes"',
+                'CATEGORY_CACHE_TTL must be an integer of at least 0, but is "-1"'
+            ]);
+        });
+        it('accepts numbers and booleans of tenant files', () => {
+            expect(validateConfig({ ...config, PORT: 3000, OAUTH_USE_REFRESH_TOKEN: false })).toEqual([]);
+        });
+        it('checks the redacted field paths', () => {
+            expect(validateConfig({ ...config, LOG_REDACT_PATHS: 'email, items.*.phone' })).toEqual([]);
+            expect(validateConfig({ ...config, LOG_REDACT_PATHS: 'email,,customer..street' })).toEqual([
+                'LOG_REDACT_PATHS must be a comma-separated list of field paths, but is "email,,customer..street"'
+            ]);
+        });
+        it('checks the currency code', () => {
+            expect(validateConfig({ ...config, CURRENCY: 'GBP' })).toEqual([]);
+            expect(validateConfig({ ...config, CURRENCY: 'gbp' })).toEqual(['CURRENCY must be an ISO 4217 currency code, but is "gbp"']);
+        });
+        it('requires the product fields to contain the product code', () => {
+            expect(validateConfig({ ...config, PRODUCT_FIELDS: 'name,url' })).toEqual([
+                'PRODUCT_FIELDS must be a list of fields containing "code", but is "name,url"'
+            ]);
+        });
+        it('requires the API credentials for the password grant only', () => {
+            const credentials = { API_USERNAME: '', API_PASSWORD: '' };
+
+            expect(validateConfig({ ...config, ...credentials })).toEqual([
+                'API_USERNAME is required because OAUTH_GRANT_TYPE is password',
+                'API_PASSWORD is required because OAUTH_GRANT_TYPE is password'
+            ]);
+            expect(validateConfig({ ...config, ...credentials, OAUTH_GRANT_TYPE: 'client_credentials' })).toEqual([]);
+        });
+        it('requires readable certificate files when using HTTPS', () => {
+            jest.spyOn(fs, 'accessSync').mockImplementation((file) => {
+                if (file.endsWith('missing.pem')) {
+                    throw new Error('ENOENT');
+                }
+            });
+            jest.spyOn(fs, 'statSync').mockReturnValue({ isFile: () => true });
+
+            expect(validateConfig({ ...config, CONN_MODE: 'HTTPS' })).toEqual([
+                'SSL_CERT is required because CONN_MODE is HTTPS',
+                'SSL_KEY is required because CONN_MODE is HTTPS'
+            ]);
+            expect(validateConfig({ ...config, CONN_MODE: 'HTTPS', SSL_CERT: 'cert.pem', SSL_KEY: 'missing.pem' })).toEqual([
+                'SSL_KEY must be the path of a readable file, but is "missing.pem"'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+const { BodyValidationError, ParameterValidationError, ShopError } = require('fcecom-bridge-commons');
+const logger = require('./logger');
+
+const LOGGING_NAME = 'controller-utils';
+
+/**
+ * Returns a copy of the given parameters without the empty ones, like the controllers of the bridge commons do.
+ *
+ * @param {Object} params The parameters, e.g. the query of a request.
+ * @return {Object} The parameters that are neither undefined, null nor blank strings.
+ */
+const extractParameters = (params) =>
+    Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && !(typeof value === 'string' && !value.trim()))
+    );
+
+/**
+ * Sends the given payload, objects as JSON and anything else as text.
+ *
+ * @param {*} res The response to send.
+ * @param {*} payload The payload to send.
+ * @param {number} [status=200] The status of the response.
+ */
+const writeJson = (res, payload, status = 200) => {
+    if (typeof payload === 'object') {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload, null, 2));
+    } else {
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(payload);
+    }
+};
+
+/**
+ * Sends the given error with the status and body the controllers of the bridge commons use for it and logs it.
+ * Validation errors are answered with status 400, errors of SAP Commerce with status 500 and errors of services with their status.
+ *
+ * @param {*} res The response to send.
+ * @param {*} err The error thrown while handling the request.
+ */
+const handleError = (res, err) => {
+    if (err instanceof ParameterValidationError) {
+        writeJson(res, { error: err.message || 'Invalid request' }, 400);
+    } else if (err instanceof BodyValidationError) {
+        writeJson(res, { error: err.cause ?? (err.message || 'Invalid request') }, 400);
+    } else if (err instanceof ShopError) {
+        writeJson(res, { error: err.cause ?? (err.message || 'An error occured') }, 500);
+    } else if (err?.status || err?.data) {
+        writeJson(res, { error: typeof err.data === 'string' ? err.data : err.data?.error }, err.status || 500);
+    } else {
+        writeJson(res, { error: 'Unknown error occured' }, 500);
+    }
+    logger.logError(LOGGING_NAME, 'An error occured', err);
+};
+
+module.exports = {
+    extractParameters,
+    writeJson,
+    handleError
+};
@@ -0,0 +1,69 @@
+const { BodyValidationError, ParameterValidationError, ShopError } = require('fcecom-bridge-commons');
+const { extractParameters, writeJson, handleError } = require('./controller-utils');
+
+describe('controller-utils', () => {
+    const createResponse = () => ({ writeHead: jest.fn(), end: jest.fn() });
+
+    describe('extractParameters()', () => {
+        it('removes empty parameters', () => {
+            const result = extractParameters({ lang: 'en', q: ' ', page: undefined, parentId: null, sort: '' });
+
+            expect(result).toEqual({ lang: 'en' });
+        });
+    });
+    describe('writeJson()', () => {
+        it('sends objects as JSON', () => {
+            const res = createResponse();
+
+            writeJson(res, { id: 'page' }, 201);
+
+            expect(res.writeHead).toHaveBeenCalledWith(201, { 'Content-Type': 'application/json' });
+            expect(JSON.parse(res.end.mock.calls[0][0])).toEqual({ id: 'page' });
+        });
+        it('sends anything else as text with status 200', () => {
+            const res = createResponse();
+
+            writeJson(res, 'OK');
+
+            expect(res.writeHead).toHaveBeenCalledWith(200, { 'Content-Type': 'text/plain' });
+            expect(res.end).toHaveBeenCalledWith('OK');
+        });
+    });
+    describe('handleError()', () => {
+        const sendError = (err) => {
+            const res = createResponse();
+            handleError(res, err);
+            return { status: res.writeHead.mock.calls[0][0], body: JSON.parse(res.end.mock.calls[0][0]) };
+        };
+
+        beforeEach(() => {
+            console.error = jest.fn();
+        });
+
+        it('answers validation errors with status 400', () => {
+            const cause = [{ field: 'template', cause: 'wrongTemplateMapping' }];
+
+            expect(sendError(new ParameterValidationError('"page" is not a number'))).toEqual({
+                status: 400,
+                body: { error: '"page" is not a number' }
+            });
+            expect(sendError(new BodyValidationError('Invalid field in body', { cause }))).toEqual({ status: 400, body: { error: cause } });
+        });
+        it('answers errors of SAP Commerce with status 500', () => {
+            expect(sendError(new ShopError('Service Unavailable'))).toEqual({ status: 500, body: { error: 'Service Unavailable' } });
+        });
+        it('answers errors of the services with their status', () => {
+            expect(sendError({ error: true, data: 'Content page unknown not found', status: 404 })).toEqual({
+                status: 404,
+                body: { error: 'Content page unknown not found' }
+            });
+        });
+        it('answers unexpected errors with status 500 and logs them', () => {
+            expect(sendError(new TypeError('Cannot read properties of undefined'))).toEqual({
+                status: 500,
+                body: { error: 'Unknown error occured' }
+            });
+            expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Cannot read properties of undefined'));
+        });
+    });
+});
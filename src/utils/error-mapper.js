@@ -1,6 +1,7 @@
 const fieldMap = require('../resources/SAPtoFSCreatePageFieldMapping.json');
 const errorCauseMap = require('../resources/SAPtoFSErrorCauseMapping.json');
 const logger = require('./logger');
+const metrics = require('./metrics');
 const { BodyValidationError, ErrorCode, ShopError } = require('fcecom-bridge-commons');
 
 const COULD_NOT_MAP_ERROR = 'Could not map error, please check the shop system logs.';
@@ -14,6 +15,7 @@ const mapErrors = (response) => {
         mapCreationErrors(errors);
     } else {
         logger.logError(LOGGING_NAME, COULD_NOT_MAP_ERROR);
+        metrics.countError(ErrorCode.UNKNOWN);
         throw new ShopError(errors[0]?.message ?? 'Unknown error');
     }
 };
@@ -32,6 +34,7 @@ const mapCreationErrors = (errors) => {
         mappedErrors = Array.from(new Set(mappedErrors.map((err) => err.field))).map((field) =>
             mappedErrors.find((err) => err.field === field)
         );
+        mappedErrors.forEach(({ code }) => metrics.countError(code));
 
         throw new BodyValidationError('Invalid field in body', { cause: mappedErrors });
     } else {
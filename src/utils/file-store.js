@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const LOGGING_NAME = 'file-store';
+
+/**
+ * Creates a key-value store that is kept in memory and persisted to the given JSON file.
+ * The file is read on first access and rewritten after every change. It is replaced atomically, so a crash never leaves a partial file.
+ *
+ * @param {string} file The path of the JSON file, relative to the working directory.
+ * @return {{get: function(string): *, set: function(string, *), delete: function(string): boolean, entries: function(): Array}} The store.
+ */
+const createFileStore = (file) => {
+    const filePath = path.resolve(file);
+    let data;
+
+    /**
+     * Returns the content of the store, reading the file on first access.
+     *
+     * @return {Object<string, *>} The content of the store.
+     */
+    const load = () => {
+        if (!data) {
+            try {
+                data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.logError(LOGGING_NAME, `Could not read ${filePath}, starting with an empty store`, error);
+                }
+                data = {};
+            }
+        }
+        return data;
+    };
+
+    /**
+     * Writes the content of the store to the file.
+     */
+    const save = () => {
+        const tempPath = `${filePath}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    };
+
+    /**
+     * Returns the value stored for the given key.
+     *
+     * @param {string} key The key.
+     * @return {*} The value, undefined if there is none.
+     */
+    const get = (key) => load()[key];
+
+    /**
+     * Stores the given value for the given key.
+     *
+     * @param {string} key The key.
+     * @param {*} value The value, it has to be serializable as JSON.
+     */
+    const set = (key, value) => {
+        load()[key] = value;
+        save();
+    };
+
+    /**
+     * Removes the value stored for the given key.
+     *
+     * @param {string} key The key.
+     * @return {boolean} True if a value was removed.
+     */
+    const remove = (key) => {
+        if (!Object.prototype.hasOwnProperty.call(load(), key)) {
+            return false;
+        }
+        delete data[key];
+        save();
+        return true;
+    };
+
+    /**
+     * Returns all keys and values of the store.
+     *
+     * @return {Array<[string, *]>} The entries of the store.
+     */
+    const entries = () => Object.entries(load());
+
+    return { get, set, delete: remove, entries };
+};
+
+module.exports = {
+    createFileStore
+};
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('./file-store');
+
+describe('file-store', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+        file = path.join(dir, 'data', 'store.json');
+    });
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('starts empty if the file does not exist', () => {
+        const store = createFileStore(file);
+
+        expect(store.entries()).toEqual([]);
+        expect(store.get('key')).toBeUndefined();
+    });
+    it('persists changes to the file', () => {
+        const store = createFileStore(file);
+
+        store.set('a', { value: 1 });
+        store.set('b', { value: 2 });
+        const removed = store.delete('a');
+
+        expect(removed).toEqual(true);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ b: { value: 2 } });
+        expect(createFileStore(file).get('b')).toEqual({ value: 2 });
+    });
+    it('does not write the file if nothing was removed', () => {
+        const store = createFileStore(file);
+
+        expect(store.delete('unknown')).toEqual(false);
+        expect(fs.existsSync(file)).toEqual(false);
+    });
+    it('starts empty if the file is invalid', () => {
+        console.error = jest.fn();
+        fs.mkdirSync(path.dirname(file));
+        fs.writeFileSync(file, '{ invalid');
+
+        const store = createFileStore(file);
+
+        expect(store.entries()).toEqual([]);
+        expect(console.error).toHaveBeenCalled();
+    });
+});
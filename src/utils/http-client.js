@@ -1,51 +1,164 @@
 const axios = require('axios');
-const oauth = require('axios-oauth-client');
-const tokenInterceptor = require('axios-token-interceptor');
+const http = require('http');
+const https = require('https');
 const logger = require('./logger');
 const errorMapper = require('./error-mapper');
+const { getTenant } = require('./tenant');
+const { createTokenProvider } = require('./token');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { isRetryable, getRetryDelay, wait } = require('./retry');
+const { createLimiter } = require('./batch');
+const metrics = require('./metrics');
+const requestContext = require('./request-context');
 
 const LOGGING_NAME = 'http-client';
 
-const {
-    OAUTH_TOKEN_URL: url,
-    CLIENT_ID: client_id,
-    CLIENT_SECRET: client_secret,
-    API_USERNAME: username,
-    API_PASSWORD: password,
-    AIR_KEY: airKey
-} = process.env;
+const CIRCUIT_BREAKER_THRESHOLD = Number(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5;
+const CIRCUIT_BREAKER_RESET_TIMEOUT = (Number(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT) || 30) * 1000;
+const SAP_OCC_TIMEOUT = Number(process.env.SAP_OCC_TIMEOUT) || 10000;
+const SAP_CMS_TIMEOUT = Number(process.env.SAP_CMS_TIMEOUT) || 10000;
+const SAP_MAX_CONCURRENT_REQUESTS = Number(process.env.SAP_MAX_CONCURRENT_REQUESTS) || 10;
 
-const getOwnerCredentials = oauth.client(axios.create(), { url, grant_type: 'password', client_id, client_secret, username, password });
+// Error codes of axios for requests that exceeded the timeout
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
 
-const { OCC_BASE_URL, CMS_BASE_URL, BASE_SITE_ID, OCC_PATH, CMS_PATH } = process.env;
+/**
+ * Creates an axios instance for the given SAP Commerce server that authenticates with the tokens of the given provider.
+ * A request rejected with status 401 is retried once with a new token, idempotent requests failing temporarily are retried with backoff.
+ * While the circuit breaker is open, requests fail fast without being sent.
+ * Requests are sent through the given limiter, which queues them once the maximum number of parallel requests is reached.
+ * The duration and status of every request sent are recorded as metrics.
+ *
+ * @param {string} baseURL The base URL of the SAP Commerce server.
+ * @param {*} options The options of the client.
+ * @param {string} options.tenant The ID of the tenant.
+ * @param {string} options.name The name of the client, `occ` or `cms`.
+ * @param {{getToken: function(): Promise<string>, invalidate: function(string)}} options.tokenProvider Provider of the OAuth tokens.
+ * @param {string} [options.airKey] The AIR key to send with every request.
+ * @param {*} options.circuitBreaker The circuit breaker of the upstream.
+ * @param {{run: function(function(): Promise<*>): Promise<*>}} options.limiter The limiter of the parallel requests.
+ * @param {{httpAgent: http.Agent, httpsAgent: https.Agent}} options.agents The keep-alive agents of the connections.
+ * @param {number} options.timeout The time in milliseconds after which a request is aborted.
+ * @return {*} The axios instance.
+ */
+const createClient = (baseURL, { tenant, name, tokenProvider, airKey, circuitBreaker, limiter, agents, timeout }) => {
+    const adapter = axios.getAdapter(axios.defaults.adapter);
 
-const createClient = (baseURL) => {
-    const client = axios.create({ baseURL: baseURL });
-    client.interceptors.request.use(oauth.interceptor(tokenInterceptor, getOwnerCredentials));
+    /**
+     * Sends the request and records its duration and status, the duration in milliseconds is stored as `config.duration`.
+     *
+     * @param {*} config The config of the request.
+     * @return {Promise<*>} The response.
+     */
+    const send = async (config) => {
+        const start = process.hrtime.bigint();
+        const observe = (status) => {
+            const duration = Number(process.hrtime.bigint() - start) / 1e9;
+            config.duration = Math.round(duration * 1000);
+            metrics.observeUpstreamRequest({ tenant, client: name, method: config.method, status }, duration);
+        };
+        try {
+            const response = await adapter(config);
+            observe(response.status);
+            return response;
+        } catch (error) {
+            observe(error.response?.status || 0);
+            throw error;
+        }
+    };
+
+    // The limit is applied to the adapter, so the time a request is queued does not count towards its timeout
+    const client = axios.create({ baseURL: baseURL, timeout, ...agents, adapter: (config) => limiter.run(() => send(config)) });
+    client.circuitBreaker = circuitBreaker;
+    client.tokenProvider = tokenProvider;
+
+    /**
+     * Returns the structured log fields of the given request.
+     *
+     * @param {*} config The config of the request.
+     * @param {number} [status] The status of the response.
+     * @return {*} The log fields.
+     */
+    const getLogFields = ({ method, url, duration }, status) =>
+        logger.fields({ upstream: name, method: method.toUpperCase(), url, ...(status && { status }), duration });
+
+    client.interceptors.request.use(async (config) => {
+        config.accessToken = await tokenProvider.getToken();
+        config.headers.Authorization = `Bearer ${config.accessToken}`;
+        return config;
+    });
     client.interceptors.request.use((config) => {
         if (airKey) {
             config.headers['Application-Interface-Key'] = airKey;
         }
+        const requestId = requestContext.getRequestId();
+        if (requestId) {
+            config.headers[requestContext.REQUEST_ID_HEADER] = requestId;
+        }
+        return config;
+    });
+    // Registered last to run first, so no token is requested while the circuit is open
+    client.interceptors.request.use((config) => {
+        if (!circuitBreaker.tryAcquire()) {
+            return Promise.reject({
+                circuitOpen: true,
+                message: `SAP Commerce is unavailable, the circuit of ${circuitBreaker.name} is open`
+            });
+        }
         return config;
     });
 
     client.interceptors.response.use(
         (response) => {
+            circuitBreaker.recordSuccess();
             logger.logInfo(
                 LOGGING_NAME,
-                `↳ Received response ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status} ${response.statusText}`
+                `↳ Received response ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status} ${
+                    response.statusText
+                } in ${response.config.duration} ms`,
+                getLogFields(response.config, response.status)
             );
             return response;
         },
-        (error) => {
-            const { message, response } = error;
+        async (error) => {
+            const { message, response, config } = error;
             const data = response?.data || message;
-            const status = response?.status || 500;
+            const status = response?.status || (TIMEOUT_CODES.includes(error.code) ? 504 : 500);
+            if (error.circuitOpen) {
+                logger.logWarning(LOGGING_NAME, `↳ ${message}`);
+                return Promise.reject({ error: true, data: message, status: 503 });
+            }
+            // Network errors and server errors count as failures of the upstream, any other response shows that it is available
+            if (!response || status >= 500) {
+                circuitBreaker.recordFailure();
+            } else {
+                circuitBreaker.recordSuccess();
+            }
+
+            const attempt = config?.retryAttempt || 0;
+            const delay = isRetryable(error, attempt) ? getRetryDelay(error, attempt) : -1;
+            if (delay >= 0) {
+                logger.logWarning(
+                    LOGGING_NAME,
+                    `↳ ${config.method.toUpperCase()} ${config.url} failed with ${response ? status : message}, retrying in ${delay} ms`
+                );
+                await wait(delay);
+                return client({ ...config, retryAttempt: attempt + 1 });
+            }
+            // Only requests sent with a token are retried, errors of the token endpoint have no token
+            if (status === 401 && config?.accessToken && !config.isRetry) {
+                logger.logInfo(
+                    LOGGING_NAME,
+                    `↳ Token was rejected, retrying ${config.method.toUpperCase()} ${config.url} with a new token`
+                );
+                tokenProvider.invalidate(config.accessToken);
+                return client({ ...config, isRetry: true });
+            }
             if (response) {
                 if (response.data?.error === 'invalid_grant') {
                     return Promise.reject({ error: true, data: response?.data?.error_description, status: 401 });
                 }
-                if (response.data?.errors[0]?.type === 'UnknownIdentifierError') {
+                if (response.data?.errors?.[0]?.type === 'UnknownIdentifierError') {
                     // Treat invalid categories as successes
                     return response;
                 }
@@ -54,11 +167,12 @@ const createClient = (baseURL) => {
                     LOGGING_NAME,
                     `↳ Received response ${response.config.method.toUpperCase()} ${response.config.url} - ${response.status} ${
                         response.statusText
-                    } ${message} ${JSON.stringify(data, null, 2)}`
+                    } ${message} ${JSON.stringify(data, null, 2)}`,
+                    getLogFields(response.config, response.status)
                 );
                 errorMapper.mapErrors(response);
             } else {
-                logger.logError(LOGGING_NAME, `↳ ${message}`);
+                logger.logError(LOGGING_NAME, `↳ ${message}`, ...(config ? [getLogFields(config)] : []));
             }
 
             return Promise.reject({ error: true, data, status });
@@ -67,11 +181,76 @@ const createClient = (baseURL) => {
     return client;
 };
 
-const occClient = createClient(OCC_BASE_URL);
-const cmsClient = OCC_BASE_URL === CMS_BASE_URL ? occClient : createClient(CMS_BASE_URL);
+/**
+ * Creates the OCC and CMS clients for the given tenant, each with its own circuit breaker and timeout.
+ * Both clients share the keep-alive agents and the limit of parallel requests of the tenant.
+ *
+ * @param {string} id The ID of the tenant.
+ * @param {*} config The configuration of the tenant.
+ * @return {{occClient: *, cmsClient: *}} The clients of the tenant.
+ */
+const createClients = (id, config) => {
+    const { AIR_KEY: airKey, OCC_BASE_URL, CMS_BASE_URL } = config;
+    const tokenProvider = createTokenProvider(config);
+    const limiter = createLimiter(SAP_MAX_CONCURRENT_REQUESTS);
+    const agentOptions = { keepAlive: true, maxSockets: SAP_MAX_CONCURRENT_REQUESTS };
+    const agents = { httpAgent: new http.Agent(agentOptions), httpsAgent: new https.Agent(agentOptions) };
+    const createBreaker = (upstream) =>
+        createCircuitBreaker(`${id}/${upstream}`, { threshold: CIRCUIT_BREAKER_THRESHOLD, resetTimeout: CIRCUIT_BREAKER_RESET_TIMEOUT });
+    const options = { tenant: id, tokenProvider, airKey, limiter, agents };
+
+    const occClient = createClient(OCC_BASE_URL, {
+        ...options,
+        name: 'occ',
+        circuitBreaker: createBreaker('occ'),
+        timeout: SAP_OCC_TIMEOUT
+    });
+    const cmsClient = createClient(CMS_BASE_URL, {
+        ...options,
+        name: 'cms',
+        circuitBreaker: createBreaker('cms'),
+        timeout: SAP_CMS_TIMEOUT
+    });
+    return { occClient, cmsClient };
+};
+
+// Clients by tenant ID, created on the first request of a tenant
+const clients = new Map();
 
-module.exports = { occClient, cmsClient };
-module.exports.constants = {
-    FULL_OCC_PATH: OCC_PATH + BASE_SITE_ID,
-    FULL_CMS_PATH: CMS_PATH + BASE_SITE_ID
+/**
+ * Returns the OCC and CMS clients of the tenant handling the current request.
+ *
+ * @return {{occClient: *, cmsClient: *}} The clients of the current tenant.
+ */
+const getClients = () => {
+    const { id, config } = getTenant();
+    if (!clients.has(id)) {
+        logger.logDebug(LOGGING_NAME, `Creating clients for tenant ${id}`);
+        clients.set(id, createClients(id, config));
+    }
+    return clients.get(id);
 };
+
+/**
+ * Creates a client that sends every request with the client of the given name of the current tenant.
+ *
+ * @param {string} name The name of the client, either `occClient` or `cmsClient`.
+ * @return {*} The client.
+ */
+const createTenantClient = (name) =>
+    ['get', 'post', 'put', 'patch', 'delete'].reduce(
+        (client, method) => Object.assign(client, { [method]: (...args) => getClients()[name][method](...args) }),
+        {}
+    );
+
+/**
+ * Returns the states of the circuit breakers of the current tenant.
+ *
+ * @return {{name: string, state: string, failures: number, openedAt: string}[]} The states of the OCC and CMS circuit breakers.
+ */
+const getCircuitBreakerStates = () => Object.values(getClients()).map((client) => client.circuitBreaker.getState());
+
+const occClient = createTenantClient('occClient');
+const cmsClient = createTenantClient('cmsClient');
+
+module.exports = { occClient, cmsClient, getClients, getCircuitBreakerStates };
@@ -0,0 +1,62 @@
+const httpClient = require('./http-client');
+const logger = require('./logger');
+const { createCache } = require('./cache');
+const { getSite } = require('./site');
+
+const LOGGING_NAME = 'locale';
+
+// The languages of a base site hardly ever change, so they are kept for an hour
+const languageCache = createCache('languages', 60 * 60 * 1000);
+
+/**
+ * Fetches the ISO codes of all languages supported by the given base site.
+ *
+ * @param {{tenantId: string, baseSiteId: string, occPath: string}} site The base site to fetch the languages for.
+ * @return {Promise<string[]>} The ISO codes of the supported languages.
+ */
+const fetchLanguages = ({ tenantId, baseSiteId, occPath }) =>
+    languageCache.get(`${tenantId}:${baseSiteId}`, async () => {
+        logger.logDebug(LOGGING_NAME, 'Performing GET request to /languages');
+
+        const { data } = await httpClient.occClient.get(occPath + '/languages');
+        return (data?.languages || []).map(({ isocode }) => isocode);
+    });
+
+/**
+ * Returns the SAP Commerce language and currency to use for the given language.
+ * Languages not supported by the base site fall back to the default language of the base site.
+ * The currency is the `currency` of the base site and omitted if the site has none, so SAP Commerce uses the default currency of the site.
+ *
+ * @param {string} [lang] The language of the request.
+ * @return {Promise<{lang: string, curr: string}>} The language and currency to pass to SAP Commerce.
+ */
+const getLocale = async (lang) => {
+    const site = getSite();
+    lang = lang || site.defaultLang;
+    let result = lang;
+    try {
+        const languages = await fetchLanguages(site);
+        result = languages.find((isocode) => isocode.toLowerCase() === lang.toLowerCase());
+        if (!result) {
+            logger.logWarning(LOGGING_NAME, `Language ${lang} is not supported, falling back to ${site.defaultLang}`);
+            result = site.defaultLang;
+        }
+    } catch (error) {
+        logger.logWarning(LOGGING_NAME, `Could not fetch the supported languages, using ${lang} unchecked`);
+    }
+    return { lang: result, curr: site.currency };
+};
+
+/**
+ * Returns the given locale as query parameters, leaving out empty values.
+ *
+ * @param {{lang: string, curr: string}} locale The locale as returned by `getLocale`.
+ * @return {{lang: string, curr: string}} The query parameters.
+ */
+const getLocaleParams = ({ lang, curr }) => ({ ...(lang && { lang }), ...(curr && { curr }) });
+
+module.exports = {
+    languageCache,
+    getLocale,
+    getLocaleParams
+};
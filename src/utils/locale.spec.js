@@ -0,0 +1,79 @@
+const httpClient = require('./http-client');
+const { languageCache, getLocale, getLocaleParams } = require('./locale');
+const requestContext = require('./request-context');
+
+jest.mock('./http-client');
+jest.mock('../resources/SiteConfiguration.json', () => ({
+    'apparel-uk-spa': { defaultLang: 'en_GB', currency: 'GBP' }
+}));
+
+describe('locale', () => {
+    const languages = { languages: [{ isocode: 'en' }, { isocode: 'de' }, { isocode: 'zh_TW' }] };
+
+    beforeEach(() => languageCache.clear());
+
+    describe('getLocale()', () => {
+        it('returns the supported language', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: languages, status: 200 });
+
+            const result = await getLocale('DE');
+
+            expect(httpClient.occClient.get.mock.calls[0][0]).toEqual('occ/path/base_site/languages');
+            expect(result).toEqual({ lang: 'de', curr: undefined });
+        });
+        it('returns the currency of the base site regardless of the language', async () => {
+            const req = { headers: { 'x-base-site-id': 'apparel-uk-spa' }, query: {} };
+            httpClient.occClient.get.mockResolvedValue({ data: { languages: [{ isocode: 'en' }, { isocode: 'en_GB' }] }, status: 200 });
+
+            const result = await requestContext.run({ req }, () => getLocale('en'));
+
+            expect(result).toEqual({ lang: 'en', curr: 'GBP' });
+        });
+        it('falls back to the default language for unsupported languages', async () => {
+            console.warn = jest.fn();
+            httpClient.occClient.get.mockResolvedValue({ data: languages, status: 200 });
+
+            const result = await getLocale('xx');
+
+            expect(result).toEqual({ lang: 'en', curr: undefined });
+        });
+        it('falls back to the default language if no language is given', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: languages, status: 200 });
+
+            const result = await getLocale();
+
+            expect(result).toEqual({ lang: 'en', curr: undefined });
+        });
+        it('returns the ISO code of the base site for the language', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: languages, status: 200 });
+
+            const result = await getLocale('zh_tw');
+
+            expect(result).toEqual({ lang: 'zh_TW', curr: undefined });
+        });
+        it('uses the given language unchecked if the languages cannot be fetched', async () => {
+            console.warn = jest.fn();
+            httpClient.occClient.get.mockRejectedValue({ error: true, status: 500 });
+
+            const result = await getLocale('de');
+
+            expect(result).toEqual({ lang: 'de', curr: undefined });
+        });
+        it('fetches the supported languages only once', async () => {
+            httpClient.occClient.get.mockResolvedValue({ data: languages, status: 200 });
+
+            await getLocale('de');
+            await getLocale('en');
+
+            expect(httpClient.occClient.get).toHaveBeenCalledTimes(1);
+        });
+    });
+    describe('getLocaleParams()', () => {
+        it('returns language and currency', () => {
+            expect(getLocaleParams({ lang: 'de', curr: 'EUR' })).toEqual({ lang: 'de', curr: 'EUR' });
+        });
+        it('omits empty values', () => {
+            expect(getLocaleParams({ lang: 'zh_TW' })).toEqual({ lang: 'zh_TW' });
+        });
+    });
+});
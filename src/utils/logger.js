@@ -1,6 +1,144 @@
-const { createLogger } = require('fcecom-bridge-commons');
+const { createLogger, getLogger } = require('fcecom-bridge-commons');
+const requestContext = require('./request-context');
+const { createRedactor } = require('./redact');
 
-const { LOG_LEVEL } = process.env;
-const logger = createLogger(LOG_LEVEL);
+const { LOG_LEVEL, LOG_FORMAT = 'text', LOG_REDACT_PATHS = '' } = process.env;
 
-module.exports = logger;
+// The bridge commons pass their package name before the name of the logging module
+const COMMONS_PACKAGE_NAME = 'Bridge Commons';
+
+// Levels of the log entries in ascending order, matching the log levels of the bridge commons
+const LEVELS = ['DEBUG', 'INFO', 'WARNING', 'ERROR'];
+const CONSOLE_METHODS = { DEBUG: 'debug', INFO: 'info', WARNING: 'warn', ERROR: 'error' };
+
+/**
+ * Returns the index of the lowest level that is logged.
+ *
+ * @return {number} The index in `LEVELS`, its length if nothing is logged.
+ */
+const getMinLevel = () => {
+    if (LOG_LEVEL === 'NONE') {
+        return LEVELS.length;
+    }
+    return LEVELS.includes(LOG_LEVEL) ? LEVELS.indexOf(LOG_LEVEL) : LEVELS.indexOf('INFO');
+};
+
+const textLogger = createLogger(LOG_LEVEL);
+// The functions are kept, as `installCommonsLogger` changes the logger object of the bridge commons, which can be this one
+const TEXT_LOG = { DEBUG: textLogger.logDebug, INFO: textLogger.logInfo, WARNING: textLogger.logWarning, ERROR: textLogger.logError };
+// Masks credentials and the configured fields in every log entry
+const { redact, redactString } = createRedactor(
+    LOG_REDACT_PATHS.split(',')
+        .map((path) => path.trim())
+        .filter(Boolean)
+);
+
+/**
+ * Structured fields of a log entry, e.g. the method, URL, status and duration of a request.
+ * They are written as separate fields in the JSON format and omitted in the text format, where the message already contains them.
+ *
+ * @param {*} values The fields.
+ */
+function LogFields(values) {
+    Object.assign(this, values);
+}
+
+/**
+ * Creates the structured fields of a log entry.
+ *
+ * @param {*} values The fields.
+ * @return {LogFields} The fields to pass as the last argument to the log functions.
+ */
+const fields = (values) => new LogFields(values);
+
+/**
+ * Returns the fields describing the request currently being handled.
+ *
+ * @return {{requestId: string, tenant: string}} The ID and the tenant of the request, empty if called outside of a request.
+ */
+const getContextFields = () => {
+    const requestId = requestContext.getRequestId();
+    const tenant = requestContext.getRequest()?.tenant?.id;
+    return { ...(requestId && { requestId }), ...(tenant && { tenant }) };
+};
+
+/**
+ * Writes a log entry as a single line of JSON.
+ *
+ * @param {string} level The level of the entry.
+ * @param {string} name The name of the logging module.
+ * @param {...*} data The message parts, errors and fields of the entry.
+ */
+const logJson = (level, name, ...data) => {
+    if (LEVELS.indexOf(level) < getMinLevel()) {
+        return;
+    }
+    const entry = { timestamp: new Date().toISOString(), level, logger: name, ...getContextFields() };
+    const message = [];
+    data.forEach((part) => {
+        if (part instanceof LogFields) {
+            Object.assign(entry, redact({ ...part }));
+        } else if (part instanceof Error) {
+            entry.error = redact(part);
+        } else {
+            message.push(typeof part === 'object' ? JSON.stringify(redact(part)) : redact(part));
+        }
+    });
+    console[CONSOLE_METHODS[level]](JSON.stringify({ ...entry, message: message.join(' | ') }));
+};
+
+/**
+ * Writes a log entry in the text format of the bridge commons, with the ID of the current request after the logging module.
+ *
+ * @param {string} level The level of the entry.
+ * @param {string} name The name of the logging module.
+ * @param {...*} data The message parts, errors and fields of the entry.
+ */
+const logText = (level, name, ...data) => {
+    const { requestId } = getContextFields();
+    const parts = data
+        .filter((part) => !(part instanceof LogFields))
+        .map((part) => (part instanceof Error ? `${part.name} | ${redactString(part.message)}` : redact(part)));
+    const log = TEXT_LOG[level];
+    requestId ? log(name, requestId, ...parts) : log(name, ...parts);
+};
+
+const write = LOG_FORMAT === 'json' ? logJson : logText;
+
+/**
+ * Creates a log function for the bridge commons.
+ *
+ * @param {string} level The level of the entries.
+ * @return {function} The log function.
+ */
+const commonsLog =
+    (level) =>
+    (...data) =>
+        data[0] === COMMONS_PACKAGE_NAME ? write(level, ...data.slice(1)) : write(level, ...data);
+
+// Log functions of the bridge commons, which log e.g. request bodies and the errors of SAP Commerce in their controllers and `handleError`
+const COMMONS_LOG_FUNCTIONS = {
+    logDebug: commonsLog('DEBUG'),
+    log: commonsLog('INFO'),
+    logInfo: commonsLog('INFO'),
+    logWarning: commonsLog('WARNING'),
+    logError: commonsLog('ERROR')
+};
+
+/**
+ * Makes the bridge commons log through this module, so their entries are redacted and formatted as well.
+ * BridgeCore creates the logger of the bridge commons, so this is called once BridgeCore has been created.
+ * Its controllers keep a reference to the logger, therefore the logger object is changed instead of replaced.
+ */
+const installCommonsLogger = () => {
+    Object.assign(getLogger(), COMMONS_LOG_FUNCTIONS);
+};
+
+module.exports = {
+    fields,
+    installCommonsLogger,
+    logDebug: (...data) => write('DEBUG', ...data),
+    logInfo: (...data) => write('INFO', ...data),
+    logWarning: (...data) => write('WARNING', ...data),
+    logError: (...data) => write('ERROR', ...data)
+};
@@ -0,0 +1,143 @@
+describe('logger', () => {
+    let requestContext;
+
+    // The logger reads its configuration when it is loaded
+    let commons;
+
+    const loadLogger = (env) => {
+        let logger;
+        jest.isolateModules(() => {
+            Object.assign(process.env, env);
+            logger = require('./logger');
+            requestContext = require('./request-context');
+            commons = require('fcecom-bridge-commons');
+        });
+        return logger;
+    };
+
+    beforeEach(() => {
+        console.info = jest.fn();
+        console.error = jest.fn();
+        console.debug = jest.fn();
+    });
+    afterEach(() => {
+        delete process.env.LOG_FORMAT;
+        delete process.env.LOG_LEVEL;
+        delete process.env.LOG_REDACT_PATHS;
+    });
+
+    describe('redaction', () => {
+        const secrets = ['eyJ-access-token', 'r3fr3sh', 'cl13nt-s3cr3t', 'n1mda', 'a1r-k3y', 'jane@example.com'];
+        const entries = [
+            ['Performing POST request with body', JSON.stringify({ uid: 'page', password: 'n1mda' })],
+            ['↳ Received response', JSON.stringify({ access_token: 'eyJ-access-token', refresh_token: 'r3fr3sh' }, null, 2)],
+            [
+                'Requesting token',
+                { url: '/oauth/token?client_secret=cl13nt-s3cr3t', headers: { Authorization: 'Bearer eyJ-access-token' } }
+            ],
+            ['Request failed', new Error('Invalid header Application-Interface-Key=a1r-k3y')],
+            ['Customer', { customer: { email: 'jane@example.com' } }]
+        ];
+
+        ['text', 'json'].forEach((format) => {
+            it(`never writes secrets in the ${format} format`, () => {
+                const logger = loadLogger({ LOG_FORMAT: format, LOG_LEVEL: 'DEBUG', LOG_REDACT_PATHS: 'customer.email' });
+
+                entries.forEach((data) => logger.logDebug('test', ...data));
+                logger.logInfo('test', 'Response', logger.fields({ url: '/products?access_token=eyJ-access-token' }));
+                logger.logError('test', 'Failed', new Error('Bearer eyJ-access-token was rejected'));
+
+                const output = [...console.debug.mock.calls, ...console.info.mock.calls, ...console.error.mock.calls].flat().join('\n');
+                secrets.forEach((secret) => expect(output).not.toContain(secret));
+                expect(output).toContain('[REDACTED]');
+            });
+            it(`redacts the errors logged by the bridge commons in the ${format} format`, () => {
+                const logger = loadLogger({ LOG_FORMAT: format });
+                // BridgeCore creates the logger of the bridge commons when it starts
+                commons.createLogger('INFO');
+                logger.installCommonsLogger();
+
+                commons.getLogger().logError('Bridge Commons', 'errorUtils', 'An error occured', {
+                    error: true,
+                    status: 401,
+                    data: { errors: [{ type: 'InvalidTokenError' }], access_token: 'eyJ-access-token' },
+                    config: { headers: { Authorization: 'Bearer eyJ-access-token' }, data: 'password=n1mda' }
+                });
+
+                const output = console.error.mock.calls.flat().join('\n');
+                expect(output).toContain('An error occured');
+                ['eyJ-access-token', 'n1mda'].forEach((secret) => expect(output).not.toContain(secret));
+            });
+        });
+    });
+    describe('text format', () => {
+        it('adds the ID of the current request', () => {
+            const logger = loadLogger({});
+
+            requestContext.run({ requestId: 'request-1' }, () => logger.logInfo('test', 'message', logger.fields({ status: 200 })));
+
+            expect(console.info.mock.calls[0][0]).toMatch(/\| test \| request-1 \| message$/);
+        });
+    });
+    describe('JSON format', () => {
+        it('writes the entry with the request ID, tenant and fields as JSON', () => {
+            const logger = loadLogger({ LOG_FORMAT: 'json' });
+            const req = { tenant: { id: 'electronics' } };
+
+            requestContext.run({ req, requestId: 'request-1' }, () =>
+                logger.logInfo(
+                    'test',
+                    'Received',
+                    'response',
+                    logger.fields({ method: 'GET', url: '/products', status: 200, duration: 12 })
+                )
+            );
+
+            expect(JSON.parse(console.info.mock.calls[0][0])).toEqual({
+                timestamp: expect.any(String),
+                level: 'INFO',
+                logger: 'test',
+                requestId: 'request-1',
+                tenant: 'electronics',
+                method: 'GET',
+                url: '/products',
+                status: 200,
+                duration: 12,
+                message: 'Received | response'
+            });
+        });
+        it('writes errors as a separate field', () => {
+            const logger = loadLogger({ LOG_FORMAT: 'json' });
+
+            logger.logError('test', 'Failed', new Error('broken'));
+
+            expect(JSON.parse(console.error.mock.calls[0][0])).toEqual(
+                expect.objectContaining({ level: 'ERROR', message: 'Failed', error: { name: 'Error', message: 'broken' } })
+            );
+        });
+        it('writes the entries of the bridge commons with the request ID', () => {
+            const logger = loadLogger({ LOG_FORMAT: 'json' });
+            const commonsLogger = commons.createLogger('INFO');
+            logger.installCommonsLogger();
+
+            requestContext.run({ requestId: 'request-1' }, () =>
+                commonsLogger.logInfo('Bridge Commons', 'Content', 'Received GET request on /content')
+            );
+
+            expect(JSON.parse(console.info.mock.calls[0][0])).toEqual({
+                timestamp: expect.any(String),
+                level: 'INFO',
+                logger: 'Content',
+                requestId: 'request-1',
+                message: 'Received GET request on /content'
+            });
+        });
+        it('skips entries below the log level', () => {
+            const logger = loadLogger({ LOG_FORMAT: 'json', LOG_LEVEL: 'INFO' });
+
+            logger.logDebug('test', 'hidden');
+
+            expect(console.debug).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,140 @@
+const client = require('prom-client');
+
+// Registry of all metrics of the bridge, exposed by the `/metrics` endpoint
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Caches whose hit ratio is reported, by name
+const caches = new Map();
+
+const operationDuration = new client.Histogram({
+    name: 'bridge_operation_duration_seconds',
+    help: 'Duration of the bridge operations, the count is the number of calls',
+    labelNames: ['operation', 'status'],
+    registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'sap_request_duration_seconds',
+    help: 'Duration of the requests to SAP Commerce by client, the status is 0 for requests that failed without a response',
+    labelNames: ['tenant', 'client', 'method', 'status'],
+    registers: [register]
+});
+
+const tokenRequests = new client.Counter({
+    name: 'sap_token_requests_total',
+    help: 'Number of OAuth token requests to SAP Commerce',
+    labelNames: ['grant_type', 'result'],
+    registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+    name: 'bridge_cache_requests_total',
+    help: 'Number of cache lookups',
+    labelNames: ['cache', 'result'],
+    registers: [register]
+});
+
+new client.Gauge({
+    name: 'bridge_cache_hit_ratio',
+    help: 'Ratio of cache lookups served from the cache',
+    labelNames: ['cache'],
+    registers: [register],
+    collect() {
+        this.reset();
+        caches.forEach((getStats, cache) => {
+            const { hits, misses } = getStats();
+            hits + misses > 0 && this.set({ cache }, hits / (hits + misses));
+        });
+    }
+});
+
+const errors = new client.Counter({
+    name: 'bridge_errors_total',
+    help: 'Number of errors of SAP Commerce mapped to bridge error codes',
+    labelNames: ['code'],
+    registers: [register]
+});
+
+/**
+ * Returns the HTTP status the bridge responds with for the given error of an operation.
+ *
+ * @param {*} error The error thrown by the operation.
+ * @return {number} The HTTP status.
+ */
+const getErrorStatus = (error) => {
+    if (error?.name === 'ParameterValidationError' || error?.name === 'BodyValidationError') {
+        return 400;
+    }
+    return (error?.name !== 'ShopError' && error?.status) || 500;
+};
+
+/**
+ * Wraps the given bridge operation to record its duration and result.
+ *
+ * @param {string} operation The name of the operation, e.g. `productsGet`.
+ * @param {function(...*): Promise<*>} fn The operation.
+ * @return {function(...*): Promise<*>} The instrumented operation.
+ */
+const instrument =
+    (operation, fn) =>
+    async (...args) => {
+        const end = operationDuration.startTimer({ operation });
+        try {
+            const result = await fn(...args);
+            end({ status: 200 });
+            return result;
+        } catch (error) {
+            end({ status: getErrorStatus(error) });
+            throw error;
+        }
+    };
+
+/**
+ * Records a request to SAP Commerce.
+ *
+ * @param {{tenant: string, client: string, method: string, status: number}} labels The labels of the request.
+ * @param {number} duration The duration of the request in seconds.
+ */
+const observeUpstreamRequest = (labels, duration) => upstreamDuration.observe(labels, duration);
+
+/**
+ * Records a request for an OAuth token.
+ *
+ * @param {string} grantType The grant used to request the token.
+ * @param {boolean} success Whether a token was issued.
+ */
+const countTokenRequest = (grantType, success) => tokenRequests.inc({ grant_type: grantType, result: success ? 'success' : 'failure' });
+
+/**
+ * Registers a cache to report its hit ratio.
+ *
+ * @param {string} name The name of the cache.
+ * @param {function(): {hits: number, misses: number}} getStats Function returning the statistics of the cache.
+ */
+const trackCache = (name, getStats) => caches.set(name, getStats);
+
+/**
+ * Records a cache lookup.
+ *
+ * @param {string} name The name of the cache.
+ * @param {boolean} hit Whether the value was served from the cache.
+ */
+const countCacheLookup = (name, hit) => cacheRequests.inc({ cache: name, result: hit ? 'hit' : 'miss' });
+
+/**
+ * Records an error of SAP Commerce mapped to a bridge error code.
+ *
+ * @param {string} code The `ErrorCode` of the error.
+ */
+const countError = (code) => errors.inc({ code });
+
+module.exports = {
+    register,
+    instrument,
+    observeUpstreamRequest,
+    countTokenRequest,
+    trackCache,
+    countCacheLookup,
+    countError
+};
@@ -0,0 +1,63 @@
+const { ParameterValidationError, ShopError } = require('fcecom-bridge-commons');
+const metrics = require('./metrics');
+
+describe('metrics', () => {
+    const getValues = async (name) => (await metrics.register.getSingleMetric(name).get()).values;
+
+    beforeEach(() => metrics.register.resetMetrics());
+
+    describe('instrument()', () => {
+        it('records the duration of successful operations', async () => {
+            const operation = metrics.instrument('productsGet', async (value) => value * 2);
+
+            const result = await operation(21);
+
+            expect(result).toEqual(42);
+            expect(await getValues('bridge_operation_duration_seconds')).toContainEqual(
+                expect.objectContaining({
+                    metricName: 'bridge_operation_duration_seconds_count',
+                    labels: { operation: 'productsGet', status: 200 },
+                    value: 1
+                })
+            );
+        });
+        it('records the status of failed operations', async () => {
+            const errors = [
+                new ParameterValidationError('invalid'),
+                new ShopError('failed'),
+                { error: true, status: 401 },
+                new Error('failed')
+            ];
+
+            for (const error of errors) {
+                await expect(metrics.instrument('contentPost', async () => Promise.reject(error))()).rejects.toBe(error);
+            }
+
+            const counts = (await getValues('bridge_operation_duration_seconds'))
+                .filter(({ metricName }) => metricName.endsWith('_count'))
+                .map(({ labels, value }) => [labels.status, value]);
+            expect(counts).toEqual([
+                [400, 1],
+                [500, 2],
+                [401, 1]
+            ]);
+        });
+    });
+    describe('trackCache()', () => {
+        it('reports the hit ratio of the cache', async () => {
+            metrics.trackCache('categories', () => ({ hits: 3, misses: 1 }));
+
+            expect(await getValues('bridge_cache_hit_ratio')).toEqual([
+                expect.objectContaining({ labels: { cache: 'categories' }, value: 0.75 })
+            ]);
+        });
+    });
+    describe('countError()', () => {
+        it('counts the errors by code', async () => {
+            metrics.countError('1020');
+            metrics.countError('1020');
+
+            expect(await getValues('bridge_errors_total')).toEqual([expect.objectContaining({ labels: { code: '1020' }, value: 2 })]);
+        });
+    });
+});
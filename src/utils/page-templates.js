@@ -0,0 +1,61 @@
+const { ShopError } = require('fcecom-bridge-commons');
+const httpClient = require('./http-client');
+const logger = require('./logger');
+const { createCache } = require('./cache');
+const { getSite } = require('./site');
+
+const LOGGING_NAME = 'page-templates';
+
+// Page templates are only added by deployments, so they are kept for five minutes
+const templateCache = createCache('pageTemplates', 5 * 60 * 1000);
+
+/**
+ * Fetches the page templates of the content catalog version of the current base site.
+ *
+ * @return {Promise<any[]>} The page templates as CMS items.
+ */
+const fetchPageTemplates = async () => {
+    const { cmsPath, contentCatalogId, contentCatalogVersion } = getSite();
+    const params = new URLSearchParams({
+        catalogId: contentCatalogId,
+        catalogVersion: contentCatalogVersion,
+        typeCode: 'PageTemplate',
+        currentPage: 0,
+        pageSize: 500
+    });
+
+    logger.logDebug(LOGGING_NAME, `Performing GET request to /cmsitems with parameters ${params}`);
+
+    const { data } = await httpClient.cmsClient.get(cmsPath + `/cmsitems?${params}`);
+    // Unknown catalog versions are answered with an error instead of the templates
+    if (data.errors) {
+        throw new ShopError(data.errors[0]?.message ?? 'Unknown error');
+    }
+    return data.response || [];
+};
+
+/**
+ * Returns the UUID of the page template with the given ID in the content catalog version of the current base site.
+ * Templates missing from the cache are looked up in SAP Commerce again, so templates added since the cache was filled are found.
+ *
+ * @param {string} uid The ID of the page template, e.g. `LandingPage2Template`.
+ * @return {Promise<string|undefined>} The UUID of the page template, undefined if it does not exist.
+ */
+const getPageTemplateUuid = async (uid) => {
+    const { tenantId, baseSiteId, contentCatalogId, contentCatalogVersion } = getSite();
+    const key = `${tenantId}:${baseSiteId}:${contentCatalogId}:${contentCatalogVersion}`;
+    const findUuid = (templates) => templates.find((template) => template.uid === uid)?.uuid;
+
+    const uuid = findUuid(await templateCache.get(key, fetchPageTemplates));
+    if (uuid) {
+        return uuid;
+    }
+    logger.logDebug(LOGGING_NAME, `Page template ${uid} is not cached, fetching the page templates again`);
+    return findUuid(await fetchPageTemplates());
+};
+
+module.exports = {
+    templateCache,
+    fetchPageTemplates,
+    getPageTemplateUuid
+};
@@ -0,0 +1,58 @@
+const httpClient = require('./http-client');
+const { templateCache, getPageTemplateUuid } = require('./page-templates');
+
+jest.mock('./http-client');
+
+describe('page-templates', () => {
+    const templates = [
+        { uid: 'LandingPage2Template', uuid: 'landingPageUuid' },
+        { uid: 'ContentPage1Template', uuid: 'contentPageUuid' }
+    ];
+
+    beforeEach(() => templateCache.clear());
+
+    describe('getPageTemplateUuid()', () => {
+        it('returns the UUID of the page template', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { response: templates } });
+
+            const result = await getPageTemplateUuid('ContentPage1Template');
+
+            expect(result).toEqual('contentPageUuid');
+            expect(httpClient.cmsClient.get.mock.calls[0][0]).toEqual(
+                'cms/path/base_site/cmsitems?catalogId=content_catalog_id&catalogVersion=content_catalog_version&typeCode=PageTemplate&currentPage=0&pageSize=500'
+            );
+        });
+        it('caches the page templates', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { response: templates } });
+
+            await getPageTemplateUuid('ContentPage1Template');
+            const result = await getPageTemplateUuid('LandingPage2Template');
+
+            expect(result).toEqual('landingPageUuid');
+            expect(httpClient.cmsClient.get).toHaveBeenCalledTimes(1);
+        });
+        it('fetches the page templates again if the template is not cached', async () => {
+            httpClient.cmsClient.get
+                .mockResolvedValueOnce({ data: { response: templates } })
+                .mockResolvedValueOnce({ data: { response: [...templates, { uid: 'NewTemplate', uuid: 'newUuid' }] } });
+
+            await getPageTemplateUuid('ContentPage1Template');
+            const result = await getPageTemplateUuid('NewTemplate');
+
+            expect(result).toEqual('newUuid');
+            expect(httpClient.cmsClient.get).toHaveBeenCalledTimes(2);
+        });
+        it('returns undefined for unknown page templates', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { response: templates } });
+
+            const result = await getPageTemplateUuid('UnknownTemplate');
+
+            expect(result).toBeUndefined();
+        });
+        it('rejects unknown catalog versions', async () => {
+            httpClient.cmsClient.get.mockResolvedValue({ data: { errors: [{ message: 'Unknown catalog version' }] } });
+
+            await expect(getPageTemplateUuid('ContentPage1Template')).rejects.toThrow('Unknown catalog version');
+        });
+    });
+});
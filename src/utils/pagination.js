@@ -0,0 +1,73 @@
+const { getNumber } = require('fcecom-bridge-commons');
+const requestContext = require('./request-context');
+
+const DEFAULT_PAGE_SIZE = Number(process.env.DEFAULT_PAGE_SIZE) || 20;
+const MAX_PAGE_SIZE = Number(process.env.MAX_PAGE_SIZE) || 100;
+
+/**
+ * Returns the page size to use for a listing.
+ * The page size is taken from the `pageSize` query parameter of the current request if not given explicitly,
+ * falls back to `DEFAULT_PAGE_SIZE` and is capped at `MAX_PAGE_SIZE`.
+ *
+ * @param {number|string} [requested] The requested page size.
+ * @return {number} The page size to use.
+ */
+const getPageSize = (requested = requestContext.getQuery().pageSize) => {
+    if (requested === undefined || requested === null || requested === '') {
+        return Math.min(DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    }
+    return Math.min(Math.max(getNumber(requested, 'pageSize'), 1), MAX_PAGE_SIZE);
+};
+
+/**
+ * Returns the given page number as a positive integer, defaulting to the first page.
+ *
+ * @param {number|string} [page] The requested page number, starting at 1.
+ * @return {number} The page number to use.
+ */
+const getPage = (page) => {
+    const result = parseInt(page, 10);
+    return Number.isInteger(result) && result > 0 ? result : 1;
+};
+
+/**
+ * Computes the pagination of a listing the same way for all services.
+ * If the shop system does not report a valid total, it is derived from the number of items on the current page
+ * and no next page is reported, so that FirstSpirit never shows an empty trailing page.
+ *
+ * @param {number|string} [page] The requested page number, starting at 1.
+ * @param {number} pageSize The number of items per page.
+ * @param {number} [total] The total number of items as reported by the shop system.
+ * @param {number} [count=0] The number of items on the requested page.
+ * @return {{page: number, pageSize: number, offset: number, total: number, hasNext: boolean}} The pagination of the listing.
+ */
+const paginate = ({ page, pageSize, total, count = 0 }) => {
+    page = getPage(page);
+    const offset = (page - 1) * pageSize;
+    if (!Number.isFinite(total) || total < 0) {
+        return { page, pageSize, offset, total: offset + count, hasNext: false };
+    }
+    return { page, pageSize, offset, total, hasNext: page * pageSize < total };
+};
+
+/**
+ * Returns the requested page of the given list along with its pagination.
+ *
+ * @param {any[]} list The whole list of items.
+ * @param {number|string} [page] The requested page number, starting at 1.
+ * @param {number} pageSize The number of items per page.
+ * @return {{items: any[], total: number, hasNext: boolean}} The items of the requested page and the pagination.
+ */
+const paginateList = (list, page, pageSize) => {
+    const { offset, total, hasNext } = paginate({ page, pageSize, total: list.length });
+    return { items: list.slice(offset, offset + pageSize), total, hasNext };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    getPageSize,
+    getPage,
+    paginate,
+    paginateList
+};
@@ -0,0 +1,105 @@
+const { ParameterValidationError } = require('fcecom-bridge-commons');
+const requestContext = require('./request-context');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, getPageSize, getPage, paginate, paginateList } = require('./pagination');
+
+describe('pagination', () => {
+    describe('getPageSize()', () => {
+        it('returns the default page size if none is requested', () => {
+            expect(getPageSize()).toEqual(DEFAULT_PAGE_SIZE);
+        });
+        it('returns the requested page size', () => {
+            expect(getPageSize(5)).toEqual(5);
+            expect(getPageSize('7')).toEqual(7);
+        });
+        it('caps the page size at the maximum page size', () => {
+            expect(getPageSize(MAX_PAGE_SIZE + 1)).toEqual(MAX_PAGE_SIZE);
+        });
+        it('returns at least a page size of 1', () => {
+            expect(getPageSize(0)).toEqual(1);
+            expect(getPageSize(-5)).toEqual(1);
+        });
+        it('reads the page size from the query of the current request', () => {
+            const result = requestContext.run({ req: { query: { pageSize: '3' } } }, () => getPageSize());
+
+            expect(result).toEqual(3);
+        });
+        it('throws if the page size is not a number', () => {
+            expect(() => getPageSize('many')).toThrow(ParameterValidationError);
+        });
+    });
+    describe('getPage()', () => {
+        it.each([
+            [undefined, 1],
+            [null, 1],
+            ['', 1],
+            ['abc', 1],
+            [0, 1],
+            [-3, 1],
+            [1, 1],
+            [7, 7],
+            ['7', 7],
+            [2.5, 2]
+        ])('returns %p as page %p', (page, expected) => {
+            expect(getPage(page)).toEqual(expected);
+        });
+    });
+    describe('paginate()', () => {
+        it.each([
+            // page, pageSize, total, count, expected offset, expected total, expected hasNext
+            [1, 10, 0, 0, 0, 0, false],
+            [1, 10, 5, 5, 0, 5, false],
+            [1, 10, 10, 10, 0, 10, false],
+            [1, 10, 11, 10, 0, 11, true],
+            [2, 10, 11, 1, 10, 11, false],
+            [2, 10, 20, 10, 10, 20, false],
+            [2, 10, 21, 10, 10, 21, true],
+            [3, 10, 20, 0, 20, 20, false],
+            [123, 20, 8, 0, 2440, 8, false],
+            [1, 1, 2, 1, 0, 2, true],
+            [2, 1, 2, 1, 1, 2, false]
+        ])(
+            'page %p with page size %p and total %p (count %p) has offset %p, total %p and hasNext %p',
+            (page, pageSize, total, count, expectedOffset, expectedTotal, expectedHasNext) => {
+                const result = paginate({ page, pageSize, total, count });
+
+                expect(result).toEqual({ page, pageSize, offset: expectedOffset, total: expectedTotal, hasNext: expectedHasNext });
+            }
+        );
+        it.each([undefined, null, NaN, '10', -1, Infinity])('derives the total from the items on the page if the total is %p', (total) => {
+            const result = paginate({ page: 2, pageSize: 10, total, count: 10 });
+
+            expect(result.total).toEqual(20);
+            expect(result.hasNext).toEqual(false);
+        });
+        it('defaults to the first page for invalid page numbers', () => {
+            const result = paginate({ page: 0, pageSize: 10, total: 15, count: 10 });
+
+            expect(result.page).toEqual(1);
+            expect(result.offset).toEqual(0);
+            expect(result.hasNext).toEqual(true);
+        });
+        it('defaults the number of items on the page to 0', () => {
+            expect(paginate({ page: 3, pageSize: 10 }).total).toEqual(20);
+        });
+    });
+    describe('paginateList()', () => {
+        const list = [1, 2, 3, 4, 5, 6, 7];
+
+        it.each([
+            [1, 3, [1, 2, 3], true],
+            [2, 3, [4, 5, 6], true],
+            [3, 3, [7], false],
+            [4, 3, [], false],
+            [1, 7, list, false],
+            [1, 10, list, false],
+            [undefined, 3, [1, 2, 3], true]
+        ])('returns page %p with page size %p', (page, pageSize, expectedItems, expectedHasNext) => {
+            const result = paginateList(list, page, pageSize);
+
+            expect(result).toEqual({ items: expectedItems, total: list.length, hasNext: expectedHasNext });
+        });
+        it('returns an empty page for an empty list', () => {
+            expect(paginateList([], 1, 10)).toEqual({ items: [], total: 0, hasNext: false });
+        });
+    });
+});
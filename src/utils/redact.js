@@ -0,0 +1,111 @@
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always masked, matched case-insensitively anywhere in a key
+const SENSITIVE_KEY_PATTERN =
+    '[\\w-]*(?:password|secret|token)[\\w-]*|authorization|(?:set-)?cookie|api[_-]?key|air[_-]?key|application-interface-key';
+
+/**
+ * Escapes the given text for use in a regular expression.
+ *
+ * @param {string} text The text to escape.
+ * @return {string} The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Creates a redactor that masks credentials and the given field paths in log data.
+ * A path without dots masks the field at any depth, e.g. `email`. A dotted path is matched from the root of a logged object,
+ * where `*` matches any key, e.g. `customer.*.phone`. In text, fields are found by the last key of their path.
+ *
+ * @param {string[]} [paths] The paths of additional fields to mask.
+ * @return {{redact: function(*): *, redactString: function(string): string}} The redactor.
+ */
+const createRedactor = (paths = []) => {
+    const keys = paths.filter((path) => !path.includes('.')).map((key) => key.toLowerCase());
+    const dottedPaths = paths.filter((path) => path.includes('.')).map((path) => path.split('.'));
+    const sensitiveKey = new RegExp(`^(?:${SENSITIVE_KEY_PATTERN})$`, 'i');
+    const keyPattern = [
+        SENSITIVE_KEY_PATTERN,
+        ...paths
+            .map((path) => path.split('.').pop())
+            .filter((key) => key !== '*')
+            .map(escapeRegExp)
+    ].join('|');
+    const stringPatterns = [
+        // Authorization header values
+        [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`],
+        // Fields of JSON, e.g. "password": "secret"
+        [new RegExp(`("(?:${keyPattern})"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|[^,}\\]\\s]+)`, 'gi'), `$1"${REDACTED}"`],
+        // Query and form parameters, e.g. client_secret=secret
+        [new RegExp(`(^|[?&\\s])(${keyPattern})=[^&\\s]*`, 'gi'), `$1$2=${REDACTED}`]
+    ];
+
+    /**
+     * Masks the credentials and configured fields contained in the given text.
+     *
+     * @param {string} text The text to redact.
+     * @return {string} The redacted text.
+     */
+    const redactString = (text) => stringPatterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+    /**
+     * Checks whether the field at the given path is masked.
+     *
+     * @param {string[]} path The keys from the root of the logged object to the field.
+     * @return {boolean} True if the value of the field is masked.
+     */
+    const isRedacted = (path) => {
+        const key = path[path.length - 1];
+        return (
+            sensitiveKey.test(key) ||
+            keys.includes(key.toLowerCase()) ||
+            dottedPaths.some(
+                (dottedPath) =>
+                    dottedPath.length === path.length && dottedPath.every((segment, index) => segment === '*' || segment === path[index])
+            )
+        );
+    };
+
+    /**
+     * Returns a copy of the given value with all credentials and configured fields masked.
+     *
+     * @param {*} value The value to redact.
+     * @param {string[]} [path] The keys from the root of the logged object to the value.
+     * @param {WeakSet} [seen] The objects on the current path, to detect circular references.
+     * @return {*} The redacted value.
+     */
+    const redact = (value, path = [], seen = new WeakSet()) => {
+        if (typeof value === 'string') {
+            return redactString(value);
+        }
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        seen.add(value);
+        let result;
+        if (value instanceof Error) {
+            result = { name: value.name, message: redactString(value.message) };
+        } else if (Array.isArray(value)) {
+            result = value.map((element, index) => redact(element, [...path, String(index)], seen));
+        } else {
+            result = Object.fromEntries(
+                Object.entries(value).map(([key, element]) => [
+                    key,
+                    isRedacted([...path, key]) ? REDACTED : redact(element, [...path, key], seen)
+                ])
+            );
+        }
+        seen.delete(value);
+        return result;
+    };
+
+    return { redact, redactString };
+};
+
+module.exports = {
+    REDACTED,
+    createRedactor
+};
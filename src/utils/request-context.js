@@ -0,0 +1,76 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Header carrying the ID of a request, taken from the incoming request, returned in the response and sent to SAP Commerce
+const REQUEST_ID_HEADER = process.env.REQUEST_ID_HEADER || 'X-Request-Id';
+// Incoming IDs are only accepted in this format, as they are written to the log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Header naming the user who triggered a request, e.g. the FirstSpirit editor
+const USER_HEADER = process.env.USER_HEADER || 'X-User';
+
+/**
+ * Makes the incoming request available to all code running while the given Express app handles it.
+ * The bridge API controllers only pass a fixed set of parameters to the services,
+ * this allows the services to read additional query parameters and headers of the request.
+ * Every request is identified by the ID of the `REQUEST_ID_HEADER` header or, if it has none, a generated ID.
+ *
+ * @param {*} app The Express app instance as returned by `BridgeCore().getAppInstance()`.
+ */
+const attach = (app) => {
+    const handle = app.handle;
+    app.handle = function (req, res, callback) {
+        const incomingId = req.headers[REQUEST_ID_HEADER.toLowerCase()];
+        const requestId = REQUEST_ID_PATTERN.test(incomingId || '') ? incomingId : randomUUID();
+        res.setHeader(REQUEST_ID_HEADER, requestId);
+        return storage.run({ req, res, requestId }, () => handle.call(this, req, res, callback));
+    };
+};
+
+/**
+ * Runs the given function with the given context, e.g. to provide a request in tests or background jobs.
+ *
+ * @param {{req: *, res: *, requestId: string}} context The context to run the function in.
+ * @param {function(): *} fn The function to run.
+ * @return {*} The return value of the given function.
+ */
+const run = (context, fn) => storage.run(context, fn);
+
+/**
+ * Returns the request currently being handled.
+ *
+ * @return {*} The current request, undefined if called outside of a request.
+ */
+const getRequest = () => storage.getStore()?.req;
+
+/**
+ * Returns the ID of the request currently being handled.
+ *
+ * @return {string} The ID of the current request, undefined if called outside of a request.
+ */
+const getRequestId = () => storage.getStore()?.requestId;
+
+/**
+ * Returns the user who triggered the request currently being handled, as passed by the `USER_HEADER` header.
+ *
+ * @return {string} The name of the user, undefined if the request does not name one or if called outside of a request.
+ */
+const getUser = () => getRequest()?.headers?.[USER_HEADER.toLowerCase()] || undefined;
+
+/**
+ * Returns the query parameters of the request currently being handled.
+ *
+ * @return {object} The query parameters, an empty object if called outside of a request.
+ */
+const getQuery = () => getRequest()?.query || {};
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    attach,
+    run,
+    getRequest,
+    getRequestId,
+    getUser,
+    getQuery
+};
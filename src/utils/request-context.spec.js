@@ -0,0 +1,75 @@
+const requestContext = require('./request-context');
+
+describe('request-context', () => {
+    const createResponse = () => ({ setHeader: jest.fn() });
+
+    describe('attach()', () => {
+        it('provides the request while the app handles it', () => {
+            let request;
+            const app = { handle: jest.fn(() => (request = requestContext.getRequest())) };
+            const req = { headers: {}, query: { sort: 'name-asc' } };
+
+            requestContext.attach(app);
+            app.handle(req, createResponse(), jest.fn());
+
+            expect(request).toBe(req);
+        });
+        it('passes all arguments to the original handler', () => {
+            const handle = jest.fn();
+            const app = { handle };
+            const req = { headers: {} };
+            const res = createResponse();
+            const callback = jest.fn();
+
+            requestContext.attach(app);
+            app.handle(req, res, callback);
+
+            expect(handle).toHaveBeenCalledWith(req, res, callback);
+        });
+        it('identifies the request by the ID of the request header', () => {
+            let requestId;
+            const app = { handle: jest.fn(() => (requestId = requestContext.getRequestId())) };
+            const res = createResponse();
+
+            requestContext.attach(app);
+            app.handle({ headers: { 'x-request-id': 'fs-request-1' } }, res, jest.fn());
+
+            expect(requestId).toEqual('fs-request-1');
+            expect(res.setHeader).toHaveBeenCalledWith('X-Request-Id', 'fs-request-1');
+        });
+        it('generates an ID for requests without a valid ID', () => {
+            const requestIds = [];
+            const app = { handle: jest.fn(() => requestIds.push(requestContext.getRequestId())) };
+
+            requestContext.attach(app);
+            app.handle({ headers: {} }, createResponse(), jest.fn());
+            app.handle({ headers: { 'x-request-id': 'injected\nline' } }, createResponse(), jest.fn());
+
+            expect(requestIds).toEqual([expect.stringMatching(/^[0-9a-f-]{36}$/), expect.stringMatching(/^[0-9a-f-]{36}$/)]);
+        });
+    });
+    describe('getUser()', () => {
+        it('returns the user named by the header of the current request', () => {
+            const req = { headers: { 'x-user': 'jdoe' } };
+
+            expect(requestContext.run({ req }, () => requestContext.getUser())).toEqual('jdoe');
+            expect(requestContext.run({ req: { headers: {} } }, () => requestContext.getUser())).toBeUndefined();
+            expect(requestContext.getUser()).toBeUndefined();
+        });
+    });
+    describe('getQuery()', () => {
+        it('returns the query of the current request', async () => {
+            const query = { facets: 'brand:Canon' };
+
+            const result = await requestContext.run({ req: { query } }, async () => {
+                await Promise.resolve();
+                return requestContext.getQuery();
+            });
+
+            expect(result).toBe(query);
+        });
+        it('returns an empty object outside of a request', () => {
+            expect(requestContext.getQuery()).toEqual({});
+        });
+    });
+});
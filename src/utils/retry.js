@@ -0,0 +1,67 @@
+const RETRY_ATTEMPTS = Number(process.env.SAP_RETRY_ATTEMPTS || 2);
+const RETRY_BASE_DELAY = Number(process.env.SAP_RETRY_BASE_DELAY) || 200;
+const RETRY_MAX_DELAY = Number(process.env.SAP_RETRY_MAX_DELAY) || 5000;
+
+// Methods that can be sent again without side effects
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+// Status codes of responses that indicate a temporary problem of the upstream
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * Checks whether the given failed request may be sent again.
+ * Only idempotent requests that failed with a network error, a timeout or a temporary error status are retried.
+ *
+ * @param {*} error The axios error of the request.
+ * @param {number} attempt The number of retries already made.
+ * @return {boolean} True if the request may be retried.
+ */
+const isRetryable = ({ config, response }, attempt) =>
+    attempt < RETRY_ATTEMPTS &&
+    IDEMPOTENT_METHODS.includes(config?.method) &&
+    (!response || RETRYABLE_STATUS_CODES.includes(response.status));
+
+/**
+ * Returns the delay in milliseconds requested by the `Retry-After` header of the given response.
+ *
+ * @param {*} [response] The response to read the header from.
+ * @return {number|undefined} The delay, undefined if the header is missing or invalid.
+ */
+const getRetryAfter = (response) => {
+    const retryAfter = response?.headers?.['retry-after'];
+    if (retryAfter === undefined || retryAfter === '') {
+        return undefined;
+    }
+    const delay = /^\d+$/.test(retryAfter) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+    return Number.isNaN(delay) ? undefined : Math.max(delay, 0);
+};
+
+/**
+ * Returns the delay before the next retry of the given failed request.
+ * The delay grows exponentially with each attempt and is randomized ("full jitter") to spread the retries of concurrent requests.
+ * A `Retry-After` header of the response takes precedence.
+ *
+ * @param {*} error The axios error of the request.
+ * @param {number} attempt The number of retries already made.
+ * @return {number} The delay in milliseconds, -1 if the upstream asks to wait longer than `SAP_RETRY_MAX_DELAY`.
+ */
+const getRetryDelay = ({ response }, attempt) => {
+    const retryAfter = getRetryAfter(response);
+    if (retryAfter !== undefined) {
+        return retryAfter <= RETRY_MAX_DELAY ? retryAfter : -1;
+    }
+    return Math.round(Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt));
+};
+
+/**
+ * Waits for the given time.
+ *
+ * @param {number} delay The time to wait in milliseconds.
+ * @return {Promise<void>} Resolves after the given time.
+ */
+const wait = (delay) => new Promise((resolve) => setTimeout(resolve, delay));
+
+module.exports = {
+    isRetryable,
+    getRetryDelay,
+    wait
+};
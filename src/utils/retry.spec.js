@@ -0,0 +1,50 @@
+const { isRetryable, getRetryDelay } = require('./retry');
+
+describe('retry', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('isRetryable()', () => {
+        it('retries GET requests failing with a network error', () => {
+            expect(isRetryable({ config: { method: 'get' } }, 0)).toBe(true);
+        });
+        it('retries GET requests failing with a temporary error', () => {
+            [429, 502, 503, 504].forEach((status) =>
+                expect(isRetryable({ config: { method: 'get' }, response: { status } }, 1)).toBe(true)
+            );
+        });
+        it('does not retry other errors', () => {
+            [400, 401, 404, 500].forEach((status) =>
+                expect(isRetryable({ config: { method: 'get' }, response: { status } }, 0)).toBe(false)
+            );
+        });
+        it('does not retry requests that are not idempotent', () => {
+            ['post', 'put', 'patch', 'delete'].forEach((method) => expect(isRetryable({ config: { method } }, 0)).toBe(false));
+        });
+        it('stops after the configured number of attempts', () => {
+            expect(isRetryable({ config: { method: 'get' } }, 2)).toBe(false);
+        });
+    });
+    describe('getRetryDelay()', () => {
+        it('grows the delay exponentially with full jitter', () => {
+            jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+            expect([0, 1, 2].map((attempt) => getRetryDelay({}, attempt))).toEqual([100, 200, 400]);
+        });
+        it('caps the delay', () => {
+            jest.spyOn(Math, 'random').mockReturnValue(1);
+
+            expect(getRetryDelay({}, 10)).toEqual(5000);
+        });
+        it('waits for the seconds requested by the Retry-After header', () => {
+            expect(getRetryDelay({ response: { headers: { 'retry-after': '3' } } }, 0)).toEqual(3000);
+        });
+        it('waits until the date requested by the Retry-After header', () => {
+            jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2024-01-01T00:00:00Z'));
+
+            expect(getRetryDelay({ response: { headers: { 'retry-after': 'Mon, 01 Jan 2024 00:00:02 GMT' } } }, 0)).toEqual(2000);
+        });
+        it('does not retry if the Retry-After header exceeds the maximum delay', () => {
+            expect(getRetryDelay({ response: { headers: { 'retry-after': '60' } } }, 0)).toEqual(-1);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+const { ParameterValidationError } = require('fcecom-bridge-commons');
+const requestContext = require('./request-context');
+const { getTenant } = require('./tenant');
+
+// Header and query parameter to select the base site of a request
+const SITE_HEADER = 'x-base-site-id';
+const SITE_PARAM = 'baseSiteId';
+
+/**
+ * Returns the ID of the base site selected by the current request together with the name of the value it was taken from.
+ * The `X-Base-Site-Id` header takes precedence over the `baseSiteId` query parameter, `BASE_SITE_ID` is used if none is set.
+ *
+ * @param {string} defaultSiteId The ID of the base site to use if the request does not select one.
+ * @return {{baseSiteId: string, source: string}} The ID of the selected base site and the header, parameter or variable naming it.
+ */
+const getSiteSelection = (defaultSiteId) => {
+    const req = requestContext.getRequest();
+    if (req?.headers?.[SITE_HEADER]) {
+        return { baseSiteId: req.headers[SITE_HEADER], source: 'X-Base-Site-Id' };
+    }
+    if (req?.query?.[SITE_PARAM]) {
+        return { baseSiteId: req.query[SITE_PARAM], source: SITE_PARAM };
+    }
+    return { baseSiteId: defaultSiteId, source: 'BASE_SITE_ID' };
+};
+
+/**
+ * Returns the configuration of the given base site of the current tenant.
+ * Sites are configured in `SiteConfiguration.json` or the tenant configuration, missing values are taken from the tenant.
+ *
+ * @param {string} [baseSiteId] ID of the base site, defaults to the site selected by the current request.
+ * @return {{tenantId: string, baseSiteId: string, occPath: string, cmsPath: string, catalogId: string, catalogVersion: string, contentCatalogId: string, contentCatalogVersion: string, contentCatalogOnlineVersion: string, defaultLang: string, currency: string}} The site configuration.
+ */
+const getSite = (baseSiteId) => {
+    const { id: tenantId, config, sites } = getTenant();
+    const {
+        BASE_SITE_ID,
+        CATALOG_ID,
+        CATALOG_VERSION,
+        CONTENT_CATALOG_ID,
+        CONTENT_CATALOG_VERSION,
+        CONTENT_CATALOG_ONLINE_VERSION,
+        DEFAULT_LANG,
+        CURRENCY,
+        OCC_PATH,
+        CMS_PATH
+    } = config;
+    const selection = baseSiteId ? { baseSiteId, source: SITE_PARAM } : getSiteSelection(BASE_SITE_ID);
+    baseSiteId = selection.baseSiteId;
+
+    if (baseSiteId !== BASE_SITE_ID && !Object.prototype.hasOwnProperty.call(sites, baseSiteId)) {
+        throw new ParameterValidationError(`"${selection.source}" contains unknown base site "${baseSiteId}"`);
+    }
+    return {
+        catalogId: CATALOG_ID,
+        catalogVersion: CATALOG_VERSION,
+        contentCatalogId: CONTENT_CATALOG_ID,
+        contentCatalogVersion: CONTENT_CATALOG_VERSION,
+        contentCatalogOnlineVersion: CONTENT_CATALOG_ONLINE_VERSION || 'Online',
+        defaultLang: DEFAULT_LANG,
+        currency: CURRENCY,
+        ...sites[baseSiteId],
+        tenantId,
+        baseSiteId,
+        occPath: `${OCC_PATH}${baseSiteId}`,
+        cmsPath: `${CMS_PATH}${baseSiteId}`
+    };
+};
+
+module.exports = {
+    SITE_HEADER,
+    SITE_PARAM,
+    getSite
+};
@@ -0,0 +1,87 @@
+const { ParameterValidationError } = require('fcecom-bridge-commons');
+const requestContext = require('./request-context');
+const { getSite } = require('./site');
+
+jest.mock('../resources/SiteConfiguration.json', () => ({
+    'apparel-uk-spa': {
+        catalogId: 'apparelProductCatalog',
+        contentCatalogId: 'apparel-ukContentCatalog',
+        defaultLang: 'en_GB'
+    }
+}));
+
+describe('site', () => {
+    describe('getSite()', () => {
+        it('returns the default site outside of a request', () => {
+            const result = getSite();
+
+            expect(result).toEqual({
+                tenantId: 'default',
+                baseSiteId: 'base_site',
+                occPath: 'occ/path/base_site',
+                cmsPath: 'cms/path/base_site',
+                catalogId: 'catalog_id',
+                catalogVersion: 'catalog_version',
+                contentCatalogId: 'content_catalog_id',
+                contentCatalogVersion: 'content_catalog_version',
+                contentCatalogOnlineVersion: 'Online',
+                defaultLang: 'en'
+            });
+        });
+        it('returns the site selected by the header of the current request', () => {
+            const req = { headers: { 'x-base-site-id': 'apparel-uk-spa' }, query: { baseSiteId: 'base_site' } };
+
+            const result = requestContext.run({ req }, () => getSite());
+
+            expect(result).toEqual({
+                tenantId: 'default',
+                baseSiteId: 'apparel-uk-spa',
+                occPath: 'occ/path/apparel-uk-spa',
+                cmsPath: 'cms/path/apparel-uk-spa',
+                catalogId: 'apparelProductCatalog',
+                catalogVersion: 'catalog_version',
+                contentCatalogId: 'apparel-ukContentCatalog',
+                contentCatalogVersion: 'content_catalog_version',
+                contentCatalogOnlineVersion: 'Online',
+                defaultLang: 'en_GB'
+            });
+        });
+        it('returns the site selected by the query of the current request', () => {
+            const req = { headers: {}, query: { baseSiteId: 'apparel-uk-spa' } };
+
+            const result = requestContext.run({ req }, () => getSite());
+
+            expect(result.baseSiteId).toEqual('apparel-uk-spa');
+        });
+        it('returns the sites of the tenant of the current request', () => {
+            const tenant = {
+                id: 'electronics',
+                config: { ...process.env, BASE_SITE_ID: 'electronics-spa', OCC_PATH: '/occ/v2/' },
+                sites: { 'electronics-uk': { defaultLang: 'en_GB' } }
+            };
+
+            const defaultSite = requestContext.run({ req: { headers: {}, query: {}, tenant } }, () => getSite());
+            const site = requestContext.run({ req: { headers: {}, query: { baseSiteId: 'electronics-uk' }, tenant } }, () => getSite());
+
+            expect(defaultSite).toEqual(
+                expect.objectContaining({ tenantId: 'electronics', occPath: '/occ/v2/electronics-spa', defaultLang: 'en' })
+            );
+            expect(site).toEqual(
+                expect.objectContaining({ tenantId: 'electronics', occPath: '/occ/v2/electronics-uk', defaultLang: 'en_GB' })
+            );
+            expect(() => requestContext.run({ req: { headers: {}, query: {}, tenant } }, () => getSite('apparel-uk-spa'))).toThrow(
+                ParameterValidationError
+            );
+        });
+        it('throws for unknown sites', () => {
+            expect(() => getSite('unknown')).toThrow(ParameterValidationError);
+            expect(() => getSite('toString')).toThrow(ParameterValidationError);
+        });
+        it('names the header or query parameter an unknown site was selected with', () => {
+            const select = (req) => () => requestContext.run({ req: { headers: {}, query: {}, ...req } }, () => getSite());
+
+            expect(select({ headers: { 'x-base-site-id': 'unknown' } })).toThrow('"X-Base-Site-Id" contains unknown base site "unknown"');
+            expect(select({ query: { baseSiteId: 'unknown' } })).toThrow('"baseSiteId" contains unknown base site "unknown"');
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const defaultMapping = require('../resources/FStoSAPTemplateMapping.json');
+const { createFileStore } = require('./file-store');
+const logger = require('./logger');
+const { getSite } = require('./site');
+
+const LOGGING_NAME = 'template-mapping';
+
+const { TEMPLATE_MAPPING_FILE = 'data/template-mapping.json' } = process.env;
+
+// The mappings changed at runtime by tenant and base site, as their page templates differ by content catalog
+const store = createFileStore(TEMPLATE_MAPPING_FILE);
+
+/**
+ * Returns the key of the mapping of the base site selected by the current request.
+ *
+ * @return {string} The key of the mapping, unique across tenants.
+ */
+const getMappingKey = () => {
+    const { tenantId, baseSiteId } = getSite();
+    return `${tenantId}:${baseSiteId}`;
+};
+
+/**
+ * Returns the mapping of FirstSpirit templates to SAP Commerce page templates of the base site selected by the current request.
+ * Until the mapping of a base site is changed at runtime, the mapping shipped in the resources is used.
+ *
+ * @return {Object<string, string>} The IDs of the SAP Commerce page templates by the names of the FirstSpirit templates.
+ */
+const getTemplateMapping = () => ({ ...(store.get(getMappingKey()) || defaultMapping) });
+
+/**
+ * Changes the mapping of the base site selected by the current request and saves it.
+ *
+ * @param {function(Object<string, string>): *} change Changes the given mapping in place.
+ * @return {*} The result of the change.
+ */
+const changeTemplateMapping = (change) => {
+    const key = getMappingKey();
+    if (!store.get(key)) {
+        logger.logInfo(
+            LOGGING_NAME,
+            `Saving the template mapping of ${key} to ${TEMPLATE_MAPPING_FILE}, based on the mapping of the resources`
+        );
+    }
+    const mapping = getTemplateMapping();
+    const result = change(mapping);
+    store.set(key, mapping);
+    return result;
+};
+
+/**
+ * Returns the SAP Commerce page template the given FirstSpirit template is mapped to.
+ *
+ * @param {string} template The name of the FirstSpirit template.
+ * @return {string|undefined} The ID of the SAP Commerce page template, undefined if the template is not mapped.
+ */
+const getSapTemplate = (template) => {
+    const mapping = getTemplateMapping();
+    return Object.prototype.hasOwnProperty.call(mapping, template) ? mapping[template] : undefined;
+};
+
+/**
+ * Maps the given FirstSpirit template to the given SAP Commerce page template and saves the mapping.
+ *
+ * @param {string} template The name of the FirstSpirit template.
+ * @param {string} sapTemplate The ID of the SAP Commerce page template.
+ */
+const setSapTemplate = (template, sapTemplate) => {
+    changeTemplateMapping((mapping) => {
+        mapping[template] = sapTemplate;
+    });
+};
+
+/**
+ * Removes the mapping of the given FirstSpirit template and saves the mapping.
+ *
+ * @param {string} template The name of the FirstSpirit template.
+ * @return {boolean} True if the template was mapped.
+ */
+const removeSapTemplate = (template) =>
+    changeTemplateMapping((mapping) => Object.prototype.hasOwnProperty.call(mapping, template) && delete mapping[template]);
+
+module.exports = {
+    getTemplateMapping,
+    getSapTemplate,
+    setSapTemplate,
+    removeSapTemplate
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../resources/FStoSAPTemplateMapping.json', () => ({
+    content: 'LandingPage2Template',
+    product: 'ProductDetailsPageTemplate'
+}));
+jest.mock('../resources/SiteConfiguration.json', () => ({
+    'apparel-uk-spa': { contentCatalogId: 'apparel-ukContentCatalog', contentCatalogVersion: 'Staged' }
+}));
+
+describe('template-mapping', () => {
+    let dir;
+    let file;
+
+    let requestContext;
+
+    const load = () => {
+        let templateMapping;
+        jest.isolateModules(() => {
+            templateMapping = require('./template-mapping');
+            requestContext = require('./request-context');
+        });
+        return templateMapping;
+    };
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-mapping-'));
+        file = path.join(dir, 'template-mapping.json');
+        process.env.TEMPLATE_MAPPING_FILE = file;
+    });
+    afterEach(() => {
+        delete process.env.TEMPLATE_MAPPING_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('uses the mapping of the resources until it is changed', () => {
+        const { getTemplateMapping, getSapTemplate } = load();
+
+        expect(getTemplateMapping()).toEqual({ content: 'LandingPage2Template', product: 'ProductDetailsPageTemplate' });
+        expect(getSapTemplate('product')).toEqual('ProductDetailsPageTemplate');
+        expect(getSapTemplate('toString')).toBeUndefined();
+        expect(fs.existsSync(file)).toEqual(false);
+    });
+    it('saves the changed mapping to the file', () => {
+        const { setSapTemplate, removeSapTemplate } = load();
+
+        setSapTemplate('category', 'CategoryPageTemplate');
+        const removed = removeSapTemplate('product');
+
+        expect(removed).toEqual(true);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({
+            'default:base_site': { content: 'LandingPage2Template', category: 'CategoryPageTemplate' }
+        });
+    });
+    it('reads the mapping from the file once it has been changed', () => {
+        load().removeSapTemplate('content');
+
+        const { getTemplateMapping } = load();
+
+        expect(getTemplateMapping()).toEqual({ product: 'ProductDetailsPageTemplate' });
+    });
+    it('keeps a mapping for each base site', () => {
+        const { getTemplateMapping, setSapTemplate } = load();
+        const req = { headers: {}, query: { baseSiteId: 'apparel-uk-spa' } };
+
+        requestContext.run({ req }, () => setSapTemplate('content', 'ContentPage1Template'));
+
+        expect(requestContext.run({ req }, () => getTemplateMapping())).toEqual({
+            content: 'ContentPage1Template',
+            product: 'ProductDetailsPageTemplate'
+        });
+        expect(getTemplateMapping()).toEqual({ content: 'LandingPage2Template', product: 'ProductDetailsPageTemplate' });
+        expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual(['default:apparel-uk-spa']);
+    });
+});
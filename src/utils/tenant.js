@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const requestContext = require('./request-context');
+const logger = require('./logger');
+const { validateConfig } = require('./config');
+const defaultSites = require('../resources/SiteConfiguration.json');
+
+const LOGGING_NAME = 'tenant';
+
+const { TENANT_CONFIG } = process.env;
+
+// ID of the tenant configured by the environment variables
+const DEFAULT_TENANT_ID = 'default';
+
+// Environment variables a tenant may override, all others are shared by every tenant
+const TENANT_SETTINGS = [
+    'BRIDGE_AUTH_USERNAME',
+    'BRIDGE_AUTH_PASSWORD',
+    'OAUTH_TOKEN_URL',
+    'OAUTH_GRANT_TYPE',
+    'OAUTH_USE_REFRESH_TOKEN',
+    'CLIENT_ID',
+    'CLIENT_SECRET',
+    'API_USERNAME',
+    'API_PASSWORD',
+    'AIR_KEY',
+    'OCC_BASE_URL',
+    'CMS_BASE_URL',
+    'MEDIA_CDN_URL',
+    'OCC_PATH',
+    'CMS_PATH',
+    'BASE_SITE_ID',
+    'CATALOG_ID',
+    'CATALOG_VERSION',
+    'CONTENT_CATALOG_ID',
+    'CONTENT_CATALOG_VERSION',
+    'CONTENT_CATALOG_ONLINE_VERSION',
+    'DEFAULT_LANG',
+    'CURRENCY'
+];
+
+// Requests to `/tenants/<id>/...` are handled by the tenant with the given ID
+const PATH_PREFIX = /^\/tenants\/([^/?]+)(.*)$/;
+
+/**
+ * Returns the value of the Authorization header that authenticates with the given bridge credentials.
+ *
+ * @param {{BRIDGE_AUTH_USERNAME: string, BRIDGE_AUTH_PASSWORD: string}} config The configuration containing the credentials.
+ * @return {string} The value of the Authorization header.
+ */
+const getAuthorization = ({ BRIDGE_AUTH_USERNAME, BRIDGE_AUTH_PASSWORD }) =>
+    `Basic ${Buffer.from(`${BRIDGE_AUTH_USERNAME}:${BRIDGE_AUTH_PASSWORD}`).toString('base64')}`;
+
+/**
+ * Creates a tenant from the given settings, missing settings are taken from the given defaults.
+ *
+ * @param {string} id The ID of the tenant.
+ * @param {*} defaults The configuration to use for settings the tenant does not override.
+ * @param {*} [settings] The settings of the tenant.
+ * @return {{id: string, config: *, sites: *, authorization: string}} The tenant.
+ */
+const createTenant = (id, defaults, { sites = defaultSites, ...settings } = {}) => {
+    const config = { ...defaults, ...settings };
+    return { id, config, sites, authorization: getAuthorization(config) };
+};
+
+/**
+ * Reads the given JSON or YAML file, the format is taken from the file extension.
+ *
+ * @param {string} file The path of the file, relative to the working directory.
+ * @return {*} The parsed content of the file.
+ */
+const readConfigFile = (file) => {
+    const content = fs.readFileSync(path.resolve(file), 'utf8');
+    return /\.ya?ml$/i.test(file) ? yaml.load(content) : JSON.parse(content);
+};
+
+/**
+ * Loads the tenant registry from the given file.
+ * All problems of the file are collected and reported at once.
+ *
+ * @param {string} [file] The path of the JSON or YAML file, no tenants are loaded if omitted.
+ * @param {*} [defaults] The configuration to use for settings a tenant does not override.
+ * @return {Map<string, *>} The tenants by their ID.
+ */
+const loadTenants = (file, defaults = process.env) => {
+    if (!file) {
+        return new Map();
+    }
+    const { tenants = {} } = readConfigFile(file) || {};
+    const entries = Object.entries(tenants).map(([id, settings]) => [id, settings || {}]);
+    const problems = [];
+    // Problems of the defaults are reported when the bridge starts, only the problems caused by a tenant are reported here
+    const defaultProblems = validateConfig(defaults);
+    const authorizations = new Map([[getAuthorization(defaults), DEFAULT_TENANT_ID]]);
+
+    entries.forEach(([id, settings]) => {
+        if (id === DEFAULT_TENANT_ID) {
+            problems.push(`Tenant ID "${DEFAULT_TENANT_ID}" is reserved for the tenant configured by the environment variables`);
+        }
+        Object.keys(settings)
+            .filter((key) => key !== 'sites' && !TENANT_SETTINGS.includes(key))
+            .forEach((key) => problems.push(`Tenant "${id}" contains unknown setting "${key}"`));
+        ['BRIDGE_AUTH_USERNAME', 'BRIDGE_AUTH_PASSWORD']
+            .filter((key) => !settings[key])
+            .forEach((key) => problems.push(`Tenant "${id}" is missing the setting "${key}"`));
+        const authorization = getAuthorization(settings);
+        if (settings.BRIDGE_AUTH_USERNAME && authorizations.has(authorization)) {
+            problems.push(`Tenant "${id}" uses the same bridge credentials as tenant "${authorizations.get(authorization)}"`);
+        }
+        authorizations.set(authorization, id);
+        validateConfig({ ...defaults, ...settings })
+            .filter((problem) => !defaultProblems.includes(problem))
+            .forEach((problem) => problems.push(`Tenant "${id}": ${problem}`));
+    });
+
+    if (problems.length) {
+        throw new Error(`Invalid tenant configuration in ${file}:\n${problems.join('\n')}`);
+    }
+    logger.logInfo(LOGGING_NAME, `Loaded ${entries.length} tenant(s) from ${file}`);
+    return new Map(entries.map(([id, settings]) => [id, createTenant(id, defaults, settings)]));
+};
+
+const defaultTenant = createTenant(DEFAULT_TENANT_ID, process.env);
+const tenants = loadTenants(TENANT_CONFIG);
+
+/**
+ * Returns the tenant handling the current request.
+ *
+ * @return {{id: string, config: *, sites: *}} The current tenant, the default tenant if called outside of a request.
+ */
+const getTenant = () => requestContext.getRequest()?.tenant || defaultTenant;
+
+/**
+ * Returns the configuration of the tenant handling the current request.
+ *
+ * @return {*} The environment variables, overridden by the settings of the current tenant.
+ */
+const getConfig = () => getTenant().config;
+
+/**
+ * Selects the tenant of the given request, either by the `/tenants/<id>` path prefix or by the bridge credentials.
+ * Requests selecting a tenant by path prefix must use the credentials of that tenant.
+ *
+ * @param {*} req The incoming request.
+ * @param {Map<string, *>} [registry] The tenants to select from.
+ * @return {{tenant: *, url: string}|{status: number, error: string}} The tenant and the URL without prefix, or the error to respond with.
+ */
+const resolveTenant = (req, registry = tenants) => {
+    const { authorization } = req.headers;
+    const [, id, url = req.url] = PATH_PREFIX.exec(req.url) || [];
+    if (id === undefined) {
+        const tenant = [...registry.values()].find((tenant) => tenant.authorization === authorization);
+        return { tenant: tenant || defaultTenant, url };
+    }
+
+    let tenantId;
+    try {
+        tenantId = decodeURIComponent(id);
+    } catch (error) {
+        // Malformed escape sequences cannot name a tenant
+        return { status: 400, error: 'Invalid tenant ID.' };
+    }
+    const tenant = registry.get(tenantId);
+    if (!tenant) {
+        return { status: 404, error: `Unknown tenant "${id}".` };
+    }
+    if (tenant.authorization !== authorization) {
+        return { status: 401, error: 'Authentication required.' };
+    }
+    return { tenant, url: url.startsWith('/') ? url : `/${url}` };
+};
+
+/**
+ * Routes every request the given Express app handles to its tenant.
+ * The bridge API only accepts the credentials of the default tenant, so requests authenticated by another tenant
+ * are passed on with the default credentials once the tenant has been selected.
+ *
+ * @param {*} app The Express app instance as returned by `BridgeCore().getAppInstance()`.
+ * @param {Map<string, *>} [registry] The tenants to route to.
+ */
+const attach = (app, registry = tenants) => {
+    const handle = app.handle;
+    app.handle = function (req, res, callback) {
+        const { tenant, url, status, error } = resolveTenant(req, registry);
+        if (error) {
+            // The Express response methods are not available before the app handles the request
+            res.statusCode = status;
+            status === 401 && res.setHeader('WWW-Authenticate', 'Basic realm="401"');
+            res.setHeader('Content-Type', 'application/json');
+            return res.end(JSON.stringify({ error }));
+        }
+        req.url = url;
+        req.tenant = tenant;
+        if (tenant !== defaultTenant) {
+            req.headers.authorization = defaultTenant.authorization;
+        }
+        return handle.call(this, req, res, callback);
+    };
+};
+
+module.exports = {
+    DEFAULT_TENANT_ID,
+    loadTenants,
+    getTenant,
+    getConfig,
+    resolveTenant,
+    attach
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const requestContext = require('./request-context');
+const tenant = require('./tenant');
+
+const authorization = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+describe('tenant', () => {
+    const tenantsJson = JSON.stringify({
+        tenants: {
+            electronics: {
+                BRIDGE_AUTH_USERNAME: 'electronics',
+                BRIDGE_AUTH_PASSWORD: 'secret',
+                OCC_BASE_URL: 'https://electronics.example.com',
+                CATALOG_ID: 'electronicsProductCatalog',
+                sites: { 'electronics-uk': { defaultLang: 'en_GB' } }
+            },
+            apparel: {
+                BRIDGE_AUTH_USERNAME: 'apparel',
+                BRIDGE_AUTH_PASSWORD: 'secret'
+            }
+        }
+    });
+    const tenantsYaml = `
+tenants:
+  electronics:
+    BRIDGE_AUTH_USERNAME: electronics
+    BRIDGE_AUTH_PASSWORD: secret
+    CATALOG_ID: electronicsProductCatalog
+`;
+
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('loadTenants()', () => {
+        it('loads the tenants from a JSON file', () => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(tenantsJson);
+
+            const result = tenant.loadTenants('tenants.json');
+
+            expect([...result.keys()]).toEqual(['electronics', 'apparel']);
+            expect(result.get('electronics')).toEqual(
+                expect.objectContaining({
+                    id: 'electronics',
+                    sites: { 'electronics-uk': { defaultLang: 'en_GB' } },
+                    authorization: authorization('electronics', 'secret')
+                })
+            );
+        });
+        it('loads the tenants from a YAML file', () => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(tenantsYaml);
+
+            const result = tenant.loadTenants('tenants.yaml');
+
+            expect(result.get('electronics').config.CATALOG_ID).toEqual('electronicsProductCatalog');
+        });
+        it('takes settings the tenant does not override from the environment variables', () => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(tenantsJson);
+
+            const { config } = tenant.loadTenants('tenants.json').get('apparel');
+
+            expect(config.CATALOG_ID).toEqual(process.env.CATALOG_ID);
+            expect(config.BRIDGE_AUTH_USERNAME).toEqual('apparel');
+        });
+        it('returns no tenants without a file', () => {
+            expect(tenant.loadTenants(undefined).size).toEqual(0);
+        });
+        it('reports all problems at once', () => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(
+                JSON.stringify({
+                    tenants: {
+                        default: { BRIDGE_AUTH_USERNAME: 'default', BRIDGE_AUTH_PASSWORD: 'secret' },
+                        electronics: { BRIDGE_AUTH_USERNAME: 'electronics', PORT: 3001 },
+                        apparel: { BRIDGE_AUTH_USERNAME: 'username', BRIDGE_AUTH_PASSWORD: 'password' }
+                    }
+                })
+            );
+
+            expect(() => tenant.loadTenants('tenants.json')).toThrow(
+                [
+                    'Invalid tenant configuration in tenants.json:',
+                    'Tenant ID "default" is reserved for the tenant configured by the environment variables',
+                    'Tenant "electronics" contains unknown setting "PORT"',
+                    'Tenant "electronics" is missing the setting "BRIDGE_AUTH_PASSWORD"',
+                    'Tenant "apparel" uses the same bridge credentials as tenant "default"'
+                ].join('\n')
+            );
+        });
+        it('reports invalid settings of a tenant', () => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(
+                JSON.stringify({
+                    tenants: {
+                        electronics: { BRIDGE_AUTH_USERNAME: 'electronics', BRIDGE_AUTH_PASSWORD: 'secret', OCC_BASE_URL: 'electronics' }
+                    }
+                })
+            );
+
+            expect(() => tenant.loadTenants('tenants.json')).toThrow(
+                'Tenant "electronics": OCC_BASE_URL must be an HTTP or HTTPS URL, but is "electronics"'
+            );
+        });
+    });
+    describe('resolveTenant()', () => {
+        let registry;
+
+        beforeEach(() => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(tenantsJson);
+            registry = tenant.loadTenants('tenants.json');
+        });
+
+        it('selects the tenant by its credentials', () => {
+            const req = { url: '/api/products', headers: { authorization: authorization('apparel', 'secret') } };
+
+            const result = tenant.resolveTenant(req, registry);
+
+            expect(result).toEqual({ tenant: registry.get('apparel'), url: '/api/products' });
+        });
+        it('selects the tenant by the path prefix', () => {
+            const req = {
+                url: '/tenants/electronics/api/products?lang=en',
+                headers: { authorization: authorization('electronics', 'secret') }
+            };
+
+            const result = tenant.resolveTenant(req, registry);
+
+            expect(result).toEqual({ tenant: registry.get('electronics'), url: '/api/products?lang=en' });
+        });
+        it('selects the default tenant for other credentials', () => {
+            const req = { url: '/api/products', headers: { authorization: authorization('username', 'password') } };
+
+            const result = tenant.resolveTenant(req, registry);
+
+            expect(result.tenant.id).toEqual(tenant.DEFAULT_TENANT_ID);
+        });
+        it('rejects a path prefix with the credentials of another tenant', () => {
+            const req = { url: '/tenants/electronics/api/products', headers: { authorization: authorization('apparel', 'secret') } };
+
+            const result = tenant.resolveTenant(req, registry);
+
+            expect(result).toEqual({ status: 401, error: 'Authentication required.' });
+        });
+        it('rejects an unknown path prefix', () => {
+            const req = { url: '/tenants/unknown/api/products', headers: {} };
+
+            const result = tenant.resolveTenant(req, registry);
+
+            expect(result).toEqual({ status: 404, error: 'Unknown tenant "unknown".' });
+        });
+        it('rejects a malformed path prefix', () => {
+            const req = { url: '/tenants/%E0/x', headers: {} };
+
+            const result = tenant.resolveTenant(req, registry);
+
+            expect(result).toEqual({ status: 400, error: 'Invalid tenant ID.' });
+        });
+    });
+    describe('attach()', () => {
+        let registry;
+
+        beforeEach(() => {
+            jest.spyOn(fs, 'readFileSync').mockReturnValue(tenantsJson);
+            registry = tenant.loadTenants('tenants.json');
+        });
+
+        it('handles the request with the tenant and the default credentials', () => {
+            let config;
+            const app = { handle: jest.fn((req) => requestContext.run({ req }, () => (config = tenant.getConfig()))) };
+            const req = { url: '/tenants/electronics/api/products', headers: { authorization: authorization('electronics', 'secret') } };
+
+            tenant.attach(app, registry);
+            app.handle(req, {}, jest.fn());
+
+            expect(req.url).toEqual('/api/products');
+            expect(req.headers.authorization).toEqual(authorization('username', 'password'));
+            expect(config.OCC_BASE_URL).toEqual('https://electronics.example.com');
+        });
+        it('responds with an error without handling the request', () => {
+            const handle = jest.fn();
+            const app = { handle };
+            const res = { setHeader: jest.fn(), end: jest.fn() };
+            const req = { url: '/tenants/electronics/api/products', headers: {} };
+
+            tenant.attach(app, registry);
+            app.handle(req, res, jest.fn());
+
+            expect(handle).not.toHaveBeenCalled();
+            expect(res.statusCode).toEqual(401);
+            expect(res.end).toHaveBeenCalledWith(JSON.stringify({ error: 'Authentication required.' }));
+        });
+        it('responds with an error to malformed tenant IDs', () => {
+            const handle = jest.fn();
+            const app = { handle };
+            const res = { setHeader: jest.fn(), end: jest.fn() };
+
+            tenant.attach(app, registry);
+            app.handle({ url: '/tenants/%E0/x', headers: {} }, res, jest.fn());
+
+            expect(handle).not.toHaveBeenCalled();
+            expect(res.statusCode).toEqual(400);
+        });
+    });
+    describe('getConfig()', () => {
+        it('returns the environment variables outside of a request', () => {
+            expect(tenant.getConfig().CATALOG_ID).toEqual(process.env.CATALOG_ID);
+            expect(tenant.getTenant().id).toEqual(tenant.DEFAULT_TENANT_ID);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const http = require('http');
+
+/**
+ * Creates the client of a test for the given listening server.
+ *
+ * @param {http.Server} server The server to send requests to.
+ * @return {{request: function(string, string, *=, Object=): Promise<{status: number, headers: Headers, body: *}>, close: function(): void}}
+ * The function to send a request with the bridge credentials to the server and the function to stop it.
+ */
+const createTestClient = (server) => {
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const authorization = `Basic ${Buffer.from(`${process.env.BRIDGE_AUTH_USERNAME}:${process.env.BRIDGE_AUTH_PASSWORD}`).toString('base64')}`;
+
+    const request = async (method, path, body, headers = {}) => {
+        const response = await fetch(url + path, {
+            method,
+            headers: { authorization, ...(body !== undefined && { 'content-type': 'application/json' }), ...headers },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        const isJson = text && response.headers.get('content-type')?.includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    };
+    const close = () => {
+        server.closeAllConnections();
+        server.close();
+    };
+
+    return { request, close };
+};
+
+/**
+ * Starts the bridge for a test and waits until it listens.
+ * BridgeCore does not return its server, so it is taken from the call to `listen`.
+ *
+ * @param {function(): *} start Starts the bridge, e.g. by requiring `server.js`.
+ * @return {Promise<{request: function(string, string, *=, Object=): Promise<{status: number, headers: Headers, body: *}>, close: function(): void}>}
+ * The function to send a request with the bridge credentials to the bridge and the function to stop it.
+ */
+const startTestBridge = async (start) => {
+    const listen = jest.spyOn(http.Server.prototype, 'listen');
+    let server;
+    try {
+        await start();
+        [server] = listen.mock.instances;
+    } finally {
+        listen.mockRestore();
+    }
+    if (!server.listening) {
+        await new Promise((resolve) => server.once('listening', resolve));
+    }
+    return createTestClient(server);
+};
+
+/**
+ * Starts the given Express app for a test on a free port.
+ *
+ * @param {*} app The Express app.
+ * @return {Promise<{request: function(string, string, *=, Object=): Promise<{status: number, headers: Headers, body: *}>, close: function(): void}>}
+ * The function to send a request with the bridge credentials to the app and the function to stop it.
+ */
+const startTestApp = async (app) => {
+    const server = await new Promise((resolve) => {
+        const listener = app.listen(0, () => resolve(listener));
+    });
+    return createTestClient(server);
+};
+
+module.exports = {
+    startTestBridge,
+    startTestApp
+};
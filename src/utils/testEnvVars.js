@@ -1,5 +1,12 @@
 process.env = {
+    BASE_SITE_ID: 'base_site',
+    OCC_PATH: 'occ/path/',
+    CMS_PATH: 'cms/path/',
     CATALOG_ID: 'catalog_id',
     CATALOG_VERSION: 'catalog_version',
-    DEFAULT_LANG: 'en'
+    CONTENT_CATALOG_ID: 'content_catalog_id',
+    CONTENT_CATALOG_VERSION: 'content_catalog_version',
+    DEFAULT_LANG: 'en',
+    BRIDGE_AUTH_USERNAME: 'username',
+    BRIDGE_AUTH_PASSWORD: 'password'
 };
@@ -0,0 +1,122 @@
+const axios = require('axios');
+const oauth = require('axios-oauth-client');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const LOGGING_NAME = 'token';
+
+// Time in milliseconds before the expiry of a token in which it is already refreshed in the background
+const TOKEN_REFRESH_MARGIN = (Number(process.env.OAUTH_TOKEN_REFRESH_MARGIN) || 60) * 1000;
+
+const GRANT_TYPES = ['password', 'client_credentials'];
+
+/**
+ * Creates a provider for the OAuth access tokens of SAP Commerce.
+ * The token is cached until it expires and is refreshed in the background shortly before.
+ * If SAP Commerce issues refresh tokens, they are used to renew the token before falling back to the configured grant.
+ *
+ * @param {*} config The configuration of the tenant containing the OAuth settings.
+ * @return {{getToken: function(): Promise<string>, invalidate: function(string)}} The token provider.
+ */
+const createTokenProvider = (config) => {
+    const {
+        OAUTH_TOKEN_URL: url,
+        OAUTH_GRANT_TYPE: grantType = 'password',
+        OAUTH_USE_REFRESH_TOKEN,
+        CLIENT_ID: client_id,
+        CLIENT_SECRET: client_secret,
+        API_USERNAME: username,
+        API_PASSWORD: password
+    } = config;
+    if (!GRANT_TYPES.includes(grantType)) {
+        throw new Error(`OAUTH_GRANT_TYPE must be one of ${GRANT_TYPES.join(', ')}, but is "${grantType}"`);
+    }
+    const useRefreshToken = OAUTH_USE_REFRESH_TOKEN !== 'false';
+    const grant = grantType === 'password' ? { grant_type: grantType, username, password } : { grant_type: grantType };
+    const tokenClient = axios.create();
+    let token;
+    let pending;
+
+    /**
+     * Requests a token from the OAuth token endpoint.
+     *
+     * @param {*} credentials The grant type and the credentials of the grant.
+     * @return {Promise<{accessToken: string, refreshToken: string, expires: number}>} The token.
+     */
+    const requestToken = async (credentials) => {
+        let data;
+        try {
+            data = await oauth.client(tokenClient, { url, client_id, client_secret, ...credentials })();
+            metrics.countTokenRequest(credentials.grant_type, true);
+        } catch (error) {
+            metrics.countTokenRequest(credentials.grant_type, false);
+            throw error;
+        }
+        const expiresIn = Number(data.expires_in);
+        return {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token,
+            expires: expiresIn ? Date.now() + expiresIn * 1000 : Infinity
+        };
+    };
+
+    /**
+     * Fetches a new token, concurrent calls share a single request.
+     *
+     * @return {Promise<{accessToken: string, refreshToken: string, expires: number}>} The new token.
+     */
+    const fetchToken = () => {
+        if (!pending) {
+            pending = (async () => {
+                if (useRefreshToken && token?.refreshToken) {
+                    try {
+                        logger.logDebug(LOGGING_NAME, 'Requesting token using the refresh_token grant');
+                        return await requestToken({ grant_type: 'refresh_token', refresh_token: token.refreshToken });
+                    } catch (error) {
+                        logger.logWarning(LOGGING_NAME, `Refreshing the token failed, requesting a new one using the ${grantType} grant`);
+                    }
+                }
+                logger.logDebug(LOGGING_NAME, `Requesting token using the ${grantType} grant`);
+                return requestToken(grant);
+            })()
+                .then((newToken) => (token = newToken))
+                .finally(() => (pending = undefined));
+        }
+        return pending;
+    };
+
+    /**
+     * Returns a valid access token, requesting a new one only if there is no valid token yet.
+     *
+     * @return {Promise<string>} The access token.
+     */
+    const getToken = async () => {
+        const now = Date.now();
+        if (!token || token.expires <= now) {
+            return (await fetchToken()).accessToken;
+        }
+        if (token.expires - TOKEN_REFRESH_MARGIN <= now && !pending) {
+            fetchToken().catch((error) => logger.logError(LOGGING_NAME, 'Failed to refresh the token in the background', error));
+        }
+        return token.accessToken;
+    };
+
+    /**
+     * Marks the given access token as expired, e.g. after SAP Commerce rejected it.
+     * Its refresh token is kept to renew the token.
+     *
+     * @param {string} accessToken The rejected access token.
+     */
+    const invalidate = (accessToken) => {
+        if (token?.accessToken === accessToken) {
+            token = { ...token, expires: 0 };
+        }
+    };
+
+    return { getToken, invalidate };
+};
+
+module.exports = {
+    GRANT_TYPES,
+    createTokenProvider
+};
@@ -0,0 +1,155 @@
+const oauth = require('axios-oauth-client');
+const { createTokenProvider } = require('./token');
+
+jest.mock('axios-oauth-client');
+
+describe('token', () => {
+    const config = {
+        OAUTH_TOKEN_URL: 'https://sap.example.com/oauth/token',
+        CLIENT_ID: 'client',
+        CLIENT_SECRET: 'secret',
+        API_USERNAME: 'user',
+        API_PASSWORD: 'password'
+    };
+    let now;
+    let requestToken;
+
+    beforeEach(() => {
+        now = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        let count = 0;
+        requestToken = jest.fn(async ({ grant_type }) => ({
+            access_token: `access-${++count}`,
+            refresh_token: grant_type === 'client_credentials' ? undefined : `refresh-${count}`,
+            expires_in: 3600
+        }));
+        oauth.client.mockImplementation((axios, credentials) => () => requestToken(credentials));
+    });
+    afterEach(() => jest.restoreAllMocks());
+
+    describe('getToken()', () => {
+        it('requests a token using the password grant by default', async () => {
+            const result = await createTokenProvider(config).getToken();
+
+            expect(result).toEqual('access-1');
+            expect(requestToken).toHaveBeenCalledWith({
+                url: config.OAUTH_TOKEN_URL,
+                client_id: 'client',
+                client_secret: 'secret',
+                grant_type: 'password',
+                username: 'user',
+                password: 'password'
+            });
+        });
+        it('requests a token using the client_credentials grant', async () => {
+            await createTokenProvider({ ...config, OAUTH_GRANT_TYPE: 'client_credentials' }).getToken();
+
+            expect(requestToken).toHaveBeenCalledWith({
+                url: config.OAUTH_TOKEN_URL,
+                client_id: 'client',
+                client_secret: 'secret',
+                grant_type: 'client_credentials'
+            });
+        });
+        it('rejects unknown grant types', () => {
+            expect(() => createTokenProvider({ ...config, OAUTH_GRANT_TYPE: 'implicit' })).toThrow(
+                'OAUTH_GRANT_TYPE must be one of password, client_credentials, but is "implicit"'
+            );
+        });
+        it('caches the token until shortly before it expires', async () => {
+            const provider = createTokenProvider(config);
+
+            await provider.getToken();
+            now = 3539 * 1000;
+            const result = await provider.getToken();
+
+            expect(result).toEqual('access-1');
+            expect(requestToken).toHaveBeenCalledTimes(1);
+        });
+        it('shares a single request between concurrent calls', async () => {
+            const provider = createTokenProvider(config);
+
+            const results = await Promise.all([provider.getToken(), provider.getToken()]);
+
+            expect(results).toEqual(['access-1', 'access-1']);
+            expect(requestToken).toHaveBeenCalledTimes(1);
+        });
+        it('refreshes the token in the background shortly before it expires', async () => {
+            const provider = createTokenProvider(config);
+            await provider.getToken();
+            now = 3541 * 1000;
+
+            const staleResult = await provider.getToken();
+            await new Promise(process.nextTick);
+            const freshResult = await provider.getToken();
+
+            expect(staleResult).toEqual('access-1');
+            expect(freshResult).toEqual('access-2');
+            expect(requestToken).toHaveBeenLastCalledWith(
+                expect.objectContaining({ grant_type: 'refresh_token', refresh_token: 'refresh-1' })
+            );
+        });
+        it('requests a new token once the token has expired', async () => {
+            const provider = createTokenProvider(config);
+            await provider.getToken();
+            now = 3600 * 1000;
+
+            const result = await provider.getToken();
+
+            expect(result).toEqual('access-2');
+        });
+        it('falls back to the configured grant if the refresh fails', async () => {
+            console.warn = jest.fn();
+            const provider = createTokenProvider(config);
+            await provider.getToken();
+            now = 3600 * 1000;
+            requestToken.mockRejectedValueOnce({ response: { data: { error: 'invalid_grant' } } });
+
+            const result = await provider.getToken();
+
+            expect(result).toEqual('access-2');
+            expect(requestToken).toHaveBeenLastCalledWith(expect.objectContaining({ grant_type: 'password' }));
+        });
+        it('does not use refresh tokens if disabled', async () => {
+            const provider = createTokenProvider({ ...config, OAUTH_USE_REFRESH_TOKEN: 'false' });
+            await provider.getToken();
+            now = 3600 * 1000;
+
+            await provider.getToken();
+
+            expect(requestToken).toHaveBeenLastCalledWith(expect.objectContaining({ grant_type: 'password' }));
+        });
+        it('keeps tokens without expiry', async () => {
+            requestToken.mockResolvedValueOnce({ access_token: 'access' });
+            const provider = createTokenProvider(config);
+            await provider.getToken();
+            now = Number.MAX_SAFE_INTEGER;
+
+            const result = await provider.getToken();
+
+            expect(result).toEqual('access');
+            expect(requestToken).toHaveBeenCalledTimes(1);
+        });
+    });
+    describe('invalidate()', () => {
+        it('renews the given token', async () => {
+            const provider = createTokenProvider(config);
+            await provider.getToken();
+
+            provider.invalidate('access-1');
+            const result = await provider.getToken();
+
+            expect(result).toEqual('access-2');
+            expect(requestToken).toHaveBeenLastCalledWith(expect.objectContaining({ grant_type: 'refresh_token' }));
+        });
+        it('keeps the token if another token was rejected', async () => {
+            const provider = createTokenProvider(config);
+            await provider.getToken();
+
+            provider.invalidate('outdated');
+            const result = await provider.getToken();
+
+            expect(result).toEqual('access-1');
+        });
+    });
+});